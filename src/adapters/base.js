@@ -0,0 +1,95 @@
+import fs from 'fs';
+
+// Field names that look like usage data. Ones an adapter does not know are
+// reported, since they usually mean the source layout changed under us.
+const USAGE_LIKE = /^last[A-Z]|token|cost|usage|duration|request/i;
+
+// Each warning is printed once per process, not once per poll
+const warned = new Set();
+
+export function warnOnce(message, key = message) {
+  if (warned.has(key)) return;
+  warned.add(key);
+  console.warn(`⚠️ ${message}`);
+}
+
+// The shape every adapter normalizes a session's cumulative usage into.
+// observedAt is when the data was read (an ISO string).
+export function emptySnapshot(observedAt = new Date().toISOString()) {
+  return {
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheCreationTokens: 0,
+    cacheReadTokens: 0,
+    cost: 0,
+    timestamp: observedAt,
+    apiDuration: 0,
+    totalDuration: 0,
+    linesAdded: 0,
+    linesRemoved: 0,
+    webSearchRequests: 0
+  };
+}
+
+// A source adapter turns one kind of usage file into sessions:
+// - read(filePath): parse the file
+// - detect(data): whether the parsed file has this adapter's layout
+// - discoverSessions(data): [{ projectPath, sessionId, raw }], one per
+//   session record; sessionId may be null for projects without one
+// - readSnapshot(session): the record normalized into emptySnapshot's shape,
+//   warning about usage-like fields the adapter does not read
+// Subclasses set name, version, description and knownFields, and implement
+// discoverSessions, detectRecord and normalize. Adapters of the same
+// format parse a file the same way, so one parse serves all of them.
+export class SourceAdapter {
+  constructor() {
+    this.name = 'base';
+    this.version = 1;
+    this.format = 'json';
+    this.description = '';
+    this.knownFields = new Set();
+  }
+
+  read(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  detect(data) {
+    try {
+      return this.discoverSessions(data).some(session => this.detectRecord(session.raw));
+    } catch {
+      return false;
+    }
+  }
+
+  discoverSessions(data) {
+    return [];
+  }
+
+  // Whether a single session record (as stored in session_snapshots.raw_data)
+  // has this adapter's layout
+  detectRecord(raw) {
+    return false;
+  }
+
+  readSnapshot(session, observedAt = new Date().toISOString()) {
+    this.warnUnknownFields(session.raw, session.projectPath || session.sessionId);
+    return this.normalize(session.raw, observedAt);
+  }
+
+  // `where` names the record in the warning (a project path, a file...)
+  warnUnknownFields(raw, where) {
+    this.unknownFields(raw).forEach(field => {
+      warnOnce(`${this.name}: unknown field "${field}" in ${where} - the source layout may have changed`, `${this.name}:${field}`);
+    });
+  }
+
+  normalize(raw, observedAt) {
+    return emptySnapshot(observedAt);
+  }
+
+  unknownFields(raw) {
+    if (!raw || typeof raw !== 'object') return [];
+    return Object.keys(raw).filter(field => USAGE_LIKE.test(field) && !this.knownFields.has(field));
+  }
+}
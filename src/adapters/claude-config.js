@@ -0,0 +1,142 @@
+import { SourceAdapter, emptySnapshot, warnOnce } from './base.js';
+
+// Per-project totals Claude Code writes to ~/.claude.json when a session ends
+const V1_FIELDS = [
+  'lastSessionId',
+  'lastTotalInputTokens',
+  'lastTotalOutputTokens',
+  'lastTotalCacheCreationInputTokens',
+  'lastTotalCacheReadInputTokens',
+  'lastTotalWebSearchRequests',
+  'lastCost',
+  'lastAPIDuration',
+  'lastDuration',
+  'lastLinesAdded',
+  'lastLinesRemoved'
+];
+
+// Newer releases add a per-model breakdown and some timing fields we don't use
+const V2_FIELDS = [
+  ...V1_FIELDS,
+  'lastModelUsage',
+  'lastAPIDurationWithoutRetries',
+  'lastToolDuration',
+  'lastFpsAverage',
+  'lastFpsLow1Pct'
+];
+
+const MODEL_USAGE_FIELDS = new Set([
+  'inputTokens',
+  'outputTokens',
+  'cacheReadInputTokens',
+  'cacheCreationInputTokens',
+  'webSearchRequests',
+  'costUSD'
+]);
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// .claude.json with lastTotal*-style totals per project
+export class ClaudeConfigV1Adapter extends SourceAdapter {
+  constructor() {
+    super();
+    this.name = 'claude-config-v1';
+    this.version = 1;
+    this.description = '.claude.json with per-project lastTotal* counters';
+    this.knownFields = new Set(V1_FIELDS);
+  }
+
+  // Any file with a projects map is a .claude.json; fields are checked per
+  // record so a brand-new config without usage yet still matches
+  detect(data) {
+    return isPlainObject(data) && isPlainObject(data.projects);
+  }
+
+  discoverSessions(data) {
+    return Object.entries(data.projects).map(([projectPath, raw]) => ({
+      projectPath,
+      sessionId: raw.lastSessionId || null,
+      raw
+    }));
+  }
+
+  detectRecord(raw) {
+    return isPlainObject(raw) && V1_FIELDS.some(field => field !== 'lastSessionId' && field in raw);
+  }
+
+  normalize(raw, observedAt) {
+    return {
+      ...emptySnapshot(observedAt),
+      inputTokens: raw.lastTotalInputTokens || 0,
+      outputTokens: raw.lastTotalOutputTokens || 0,
+      cacheCreationTokens: raw.lastTotalCacheCreationInputTokens || 0,
+      cacheReadTokens: raw.lastTotalCacheReadInputTokens || 0,
+      cost: raw.lastCost || 0,
+      apiDuration: raw.lastAPIDuration || 0,
+      totalDuration: raw.lastDuration || 0,
+      linesAdded: raw.lastLinesAdded || 0,
+      linesRemoved: raw.lastLinesRemoved || 0,
+      webSearchRequests: raw.lastTotalWebSearchRequests || 0
+    };
+  }
+}
+
+// .claude.json with lastModelUsage. The lastTotal* counters are still
+// preferred when present; otherwise totals are summed over the models.
+export class ClaudeConfigV2Adapter extends ClaudeConfigV1Adapter {
+  constructor() {
+    super();
+    this.name = 'claude-config-v2';
+    this.version = 2;
+    this.description = '.claude.json with per-model lastModelUsage';
+    this.knownFields = new Set(V2_FIELDS);
+  }
+
+  detect(data) {
+    return super.detect(data) && Object.values(data.projects).some(raw => this.detectRecord(raw));
+  }
+
+  detectRecord(raw) {
+    return isPlainObject(raw) && isPlainObject(raw.lastModelUsage);
+  }
+
+  unknownFields(raw) {
+    const unknown = super.unknownFields(raw);
+    if (isPlainObject(raw?.lastModelUsage)) {
+      for (const [model, usage] of Object.entries(raw.lastModelUsage)) {
+        Object.keys(usage || {})
+          .filter(field => !MODEL_USAGE_FIELDS.has(field))
+          .forEach(field => unknown.push(`lastModelUsage.${model}.${field}`));
+      }
+    }
+    return unknown;
+  }
+
+  normalize(raw, observedAt) {
+    const snapshot = super.normalize(raw, observedAt);
+    if (!this.detectRecord(raw)) return snapshot;
+
+    const models = Object.values(raw.lastModelUsage);
+    const sum = field => models.reduce((total, usage) => total + ((usage && usage[field]) || 0), 0);
+    const pick = (totalField, modelField) => totalField in raw ? raw[totalField] || 0 : sum(modelField);
+
+    const result = {
+      ...snapshot,
+      inputTokens: pick('lastTotalInputTokens', 'inputTokens'),
+      outputTokens: pick('lastTotalOutputTokens', 'outputTokens'),
+      cacheCreationTokens: pick('lastTotalCacheCreationInputTokens', 'cacheCreationInputTokens'),
+      cacheReadTokens: pick('lastTotalCacheReadInputTokens', 'cacheReadInputTokens'),
+      cost: pick('lastCost', 'costUSD'),
+      webSearchRequests: pick('lastTotalWebSearchRequests', 'webSearchRequests')
+    };
+
+    // The two views should agree; if not, one of them changed meaning
+    const modelCost = sum('costUSD');
+    if ('lastCost' in raw && modelCost > 0 && Math.abs(modelCost - result.cost) > 0.01) {
+      warnOnce(`${this.name}: lastCost and the lastModelUsage costs disagree - the source layout may have changed`);
+    }
+    return result;
+  }
+}
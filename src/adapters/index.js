@@ -0,0 +1,80 @@
+import { ClaudeConfigV1Adapter, ClaudeConfigV2Adapter } from './claude-config.js';
+import { TranscriptJsonlAdapter } from './transcript-jsonl.js';
+import { JsonUsageAdapter } from './json-usage.js';
+
+export { SourceAdapter, emptySnapshot, warnOnce } from './base.js';
+
+// Detection tries adapters in registration order, so the most specific
+// layouts (and the newest version of each) come first and generic ones last
+const adapters = new Map();
+
+export function registerAdapter(adapter) {
+  adapters.set(adapter.name, adapter);
+  return adapter;
+}
+
+export function listAdapters() {
+  return [...adapters.values()];
+}
+
+export function getAdapter(name) {
+  const adapter = adapters.get(name);
+  if (!adapter) {
+    throw new Error(`Unknown source adapter "${name}" (known: ${[...adapters.keys()].join(', ')})`);
+  }
+  return adapter;
+}
+
+// Adapter for a single stored session record, e.g. a snapshot's raw_data
+export function detectRecordAdapter(raw) {
+  return listAdapters().find(adapter => adapter.detectRecord(raw)) || null;
+}
+
+// Parse a file with the first adapter that recognizes it, or with the named
+// one. Pass `data` when the JSON is already parsed (see SafeJsonReader); only
+// json-format adapters are tried then. Returns { adapter, data }, or
+// { adapter: null } when nothing matches.
+export function detectSource(filePath, { adapter: name = null, data } = {}) {
+  const candidates = name ? [getAdapter(name)] : listAdapters();
+
+  // Each format is parsed at most once
+  const parsed = new Map();
+  if (data !== undefined) parsed.set('json', { data });
+
+  let readError = null;
+  for (const adapter of candidates) {
+    if (!parsed.has(adapter.format)) {
+      if (data !== undefined) continue;
+      try {
+        parsed.set(adapter.format, { data: adapter.read(filePath) });
+      } catch (error) {
+        parsed.set(adapter.format, { error });
+        readError = readError || error;
+      }
+    }
+
+    const result = parsed.get(adapter.format);
+    if (!result.error && (name || adapter.detect(result.data))) return { adapter, data: result.data };
+  }
+
+  if (readError) throw readError;
+  return { adapter: null, data: null };
+}
+
+// Read a file into normalized sessions: [{ projectPath, sessionId, raw, snapshot }]
+export function readSource(filePath, options = {}) {
+  const { adapter, data } = detectSource(filePath, options);
+  if (!adapter) return { adapter: null, sessions: [] };
+
+  const observedAt = new Date().toISOString();
+  const sessions = adapter.discoverSessions(data).map(session => ({
+    ...session,
+    snapshot: adapter.readSnapshot(session, observedAt)
+  }));
+  return { adapter, sessions };
+}
+
+registerAdapter(new ClaudeConfigV2Adapter());
+registerAdapter(new ClaudeConfigV1Adapter());
+registerAdapter(new TranscriptJsonlAdapter());
+registerAdapter(new JsonUsageAdapter());
@@ -0,0 +1,85 @@
+import { SourceAdapter, emptySnapshot } from './base.js';
+
+// Names a generic usage file may use for each snapshot field, checked in
+// order on the record and then on its "usage" object
+const FIELD_ALIASES = {
+  sessionId: ['sessionId', 'session_id', 'session', 'id'],
+  projectPath: ['projectPath', 'project_path', 'project', 'cwd'],
+  inputTokens: ['inputTokens', 'input_tokens', 'totalInputTokens', 'total_input_tokens'],
+  outputTokens: ['outputTokens', 'output_tokens', 'totalOutputTokens', 'total_output_tokens'],
+  cacheCreationTokens: ['cacheCreationTokens', 'cache_creation_tokens', 'cacheCreationInputTokens', 'cache_creation_input_tokens'],
+  cacheReadTokens: ['cacheReadTokens', 'cache_read_tokens', 'cacheReadInputTokens', 'cache_read_input_tokens'],
+  cost: ['cost', 'costUSD', 'cost_usd', 'totalCost', 'total_cost_usd'],
+  apiDuration: ['apiDuration', 'api_duration_ms', 'apiDurationMs'],
+  totalDuration: ['duration', 'totalDuration', 'duration_ms', 'durationMs'],
+  linesAdded: ['linesAdded', 'lines_added'],
+  linesRemoved: ['linesRemoved', 'lines_removed'],
+  webSearchRequests: ['webSearchRequests', 'web_search_requests']
+};
+
+const COUNTER_FIELDS = Object.keys(FIELD_ALIASES).filter(field => !['sessionId', 'projectPath'].includes(field));
+const ALL_ALIASES = new Set(Object.values(FIELD_ALIASES).flat().concat('usage'));
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function lookup(record, field) {
+  for (const scope of [record, record.usage]) {
+    if (!isPlainObject(scope)) continue;
+    const alias = FIELD_ALIASES[field].find(name => scope[name] !== undefined && scope[name] !== null);
+    if (alias) return scope[alias];
+  }
+  return undefined;
+}
+
+// Any local JSON file of cumulative per-session usage, such as another
+// tool's export. Accepts an array of records, { sessions: [...] } or an
+// object keyed by session id; field names are matched against FIELD_ALIASES.
+export class JsonUsageAdapter extends SourceAdapter {
+  constructor() {
+    super();
+    this.name = 'json-usage';
+    this.version = 1;
+    this.description = 'Generic JSON file of per-session usage records';
+    this.knownFields = ALL_ALIASES;
+  }
+
+  records(data) {
+    if (Array.isArray(data)) return data.map(record => [null, record]);
+    if (isPlainObject(data) && Array.isArray(data.sessions)) return data.sessions.map(record => [null, record]);
+    if (isPlainObject(data)) return Object.entries(data);
+    return [];
+  }
+
+  discoverSessions(data) {
+    return this.records(data)
+      .filter(([, record]) => isPlainObject(record))
+      .map(([key, record]) => ({
+        projectPath: lookup(record, 'projectPath') || null,
+        sessionId: lookup(record, 'sessionId') || key,
+        raw: record
+      }));
+  }
+
+  detectRecord(raw) {
+    return isPlainObject(raw) && COUNTER_FIELDS.some(field => lookup(raw, field) !== undefined);
+  }
+
+  unknownFields(raw) {
+    const unknown = super.unknownFields(raw);
+    if (isPlainObject(raw?.usage)) {
+      unknown.push(...super.unknownFields(raw.usage).map(field => `usage.${field}`));
+    }
+    return unknown;
+  }
+
+  normalize(raw, observedAt) {
+    const snapshot = emptySnapshot(observedAt);
+    for (const field of COUNTER_FIELDS) {
+      const value = Number(lookup(raw, field));
+      if (Number.isFinite(value)) snapshot[field] = value;
+    }
+    return snapshot;
+  }
+}
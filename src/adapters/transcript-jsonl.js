@@ -0,0 +1,139 @@
+import fs from 'fs';
+import path from 'path';
+import { SourceAdapter, emptySnapshot } from './base.js';
+
+// Keys of an assistant message's usage block, and of its nested objects
+const USAGE_FIELDS = new Set([
+  'input_tokens',
+  'output_tokens',
+  'cache_creation_input_tokens',
+  'cache_read_input_tokens',
+  'cache_creation',
+  'server_tool_use',
+  'service_tier'
+]);
+const NESTED_USAGE_FIELDS = {
+  cache_creation: new Set(['ephemeral_5m_input_tokens', 'ephemeral_1h_input_tokens']),
+  server_tool_use: new Set(['web_search_requests'])
+};
+
+function isUsageEntry(entry) {
+  return Boolean(entry) && entry.type === 'assistant' && Boolean(entry.message) &&
+    typeof entry.message.usage === 'object' && entry.message.usage !== null;
+}
+
+// Claude Code's per-session transcripts (~/.claude/projects/<slug>/<id>.jsonl).
+// A session record is the list of its assistant entries; transcripts carry
+// no cost, which comes from the price table instead (see recompute-costs).
+export class TranscriptJsonlAdapter extends SourceAdapter {
+  constructor() {
+    super();
+    this.name = 'transcript-jsonl';
+    this.version = 1;
+    this.format = 'jsonl';
+    this.description = 'Claude Code transcript .jsonl files (per-message usage)';
+    this.knownFields = USAGE_FIELDS;
+  }
+
+  read(filePath) {
+    const entries = fs.readFileSync(filePath, 'utf8').split('\n')
+      .map(line => this.parseLine(line))
+      .filter(Boolean);
+    return { filePath, entries };
+  }
+
+  parseLine(line) {
+    if (!line.trim()) return null;
+    try {
+      return JSON.parse(line);
+    } catch {
+      return null;
+    }
+  }
+
+  detect(data) {
+    return Boolean(data) && Array.isArray(data.entries) && data.entries.some(isUsageEntry);
+  }
+
+  discoverSessions({ filePath, entries }) {
+    const sessions = new Map();
+    for (const entry of entries.filter(isUsageEntry)) {
+      const sessionId = entry.sessionId || path.basename(filePath, '.jsonl');
+      if (!sessions.has(sessionId)) {
+        sessions.set(sessionId, { projectPath: entry.cwd || null, sessionId, raw: [] });
+      }
+      sessions.get(sessionId).raw.push(entry);
+    }
+    return [...sessions.values()];
+  }
+
+  detectRecord(raw) {
+    return Array.isArray(raw) && raw.some(isUsageEntry);
+  }
+
+  unknownFields(raw) {
+    const unknown = new Set();
+    for (const entry of (Array.isArray(raw) ? raw : [raw]).filter(isUsageEntry)) {
+      for (const [field, value] of Object.entries(entry.message.usage)) {
+        if (!USAGE_FIELDS.has(field)) {
+          unknown.add(`usage.${field}`);
+        } else if (NESTED_USAGE_FIELDS[field] && value && typeof value === 'object') {
+          Object.keys(value)
+            .filter(nested => !NESTED_USAGE_FIELDS[field].has(nested))
+            .forEach(nested => unknown.add(`usage.${field}.${nested}`));
+        }
+      }
+    }
+    return [...unknown];
+  }
+
+  // Sum the session's messages. Claude Code writes one line per content
+  // block with the same message id, so only the last line of each counts.
+  normalize(raw, observedAt) {
+    const messages = new Map();
+    raw.filter(isUsageEntry).forEach(entry => {
+      const message = this.normalizeMessage(entry, '');
+      if (message) messages.set(message.messageId, message);
+    });
+
+    const snapshot = emptySnapshot(observedAt);
+    for (const message of messages.values()) {
+      snapshot.inputTokens += message.inputTokens;
+      snapshot.outputTokens += message.outputTokens;
+      snapshot.cacheCreationTokens += message.cacheCreationTokens;
+      snapshot.cacheReadTokens += message.cacheReadTokens;
+      snapshot.webSearchRequests += message.webSearchRequests;
+    }
+    return snapshot;
+  }
+
+  // The usage block of one assistant message, or null for any other entry
+  normalizeMessage(entry, filePath) {
+    if (!isUsageEntry(entry)) return null;
+
+    const message = entry.message;
+    // Synthetic messages are generated locally and never billed
+    if (message.model === '<synthetic>') return null;
+
+    const usage = message.usage;
+    const cacheCreation = usage.cache_creation || {};
+
+    return {
+      sessionId: entry.sessionId || path.basename(filePath, '.jsonl'),
+      projectPath: entry.cwd || null,
+      messageId: message.id || entry.requestId || entry.uuid,
+      requestId: entry.requestId || null,
+      model: message.model || null,
+      timestamp: entry.timestamp || null,
+      inputTokens: usage.input_tokens || 0,
+      outputTokens: usage.output_tokens || 0,
+      cacheCreationTokens: usage.cache_creation_input_tokens || 0,
+      cacheCreation5mTokens: cacheCreation.ephemeral_5m_input_tokens || 0,
+      cacheCreation1hTokens: cacheCreation.ephemeral_1h_input_tokens || 0,
+      cacheReadTokens: usage.cache_read_input_tokens || 0,
+      webSearchRequests: (usage.server_tool_use && usage.server_tool_use.web_search_requests) || 0,
+      isSidechain: Boolean(entry.isSidechain),
+      sourceFile: filePath
+    };
+  }
+}
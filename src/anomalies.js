@@ -0,0 +1,230 @@
+import { TokenDatabase, toSqlTimestamp } from './database.js';
+import { loadConfig } from './config.js';
+
+export const SEVERITIES = ['warning', 'critical'];
+
+// Per-turn metrics. direction says which side of the baseline is worth
+// reporting: expensive or huge turns, and turns that missed the cache.
+export const METRICS = {
+  cost_per_turn: {
+    label: 'Cost per turn',
+    direction: 'high',
+    value: turn => turn.cost_usd,
+    format: value => `$${value.toFixed(4)}`
+  },
+  tokens_per_turn: {
+    label: 'Tokens per turn',
+    direction: 'high',
+    value: turn => turn.input_tokens + turn.output_tokens + turn.cache_creation_tokens + turn.cache_read_tokens,
+    format: value => Math.round(value).toLocaleString()
+  },
+  cache_ratio: {
+    label: 'Cache hit ratio',
+    direction: 'low',
+    // Cache reads as a share of all input; undefined for output-only turns
+    value: turn => {
+      const input = turn.input_tokens + turn.cache_creation_tokens + turn.cache_read_tokens;
+      return input > 0 ? turn.cache_read_tokens / input : null;
+    },
+    format: value => `${(value * 100).toFixed(1)}%`
+  }
+};
+
+// Scales the median absolute deviation (or, when more than half the
+// baseline is identical, the mean absolute deviation) to a standard
+// deviation of normal data, so scores read like z-scores
+const MAD_SCALE = 0.6745;
+const MEAN_AD_SCALE = 1.253314;
+
+function median(sorted) {
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Median and robust score function of a baseline; null when it has no
+// spread at all
+export function robustBaseline(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const center = median(sorted);
+  const deviations = sorted.map(value => Math.abs(value - center)).sort((a, b) => a - b);
+  const mad = median(deviations);
+
+  if (mad > 0) return { median: center, score: value => MAD_SCALE * (value - center) / mad };
+
+  const meanAd = deviations.reduce((sum, deviation) => sum + deviation, 0) / deviations.length;
+  if (meanAd > 0) return { median: center, score: value => (value - center) / (MEAN_AD_SCALE * meanAd) };
+  return null;
+}
+
+const TURN_COLUMNS = `
+  c.id, c.session_id, c.started_at, c.input_tokens, c.output_tokens,
+  c.cache_creation_tokens, c.cache_read_tokens, c.cost_usd, s.project_path
+`;
+
+// Conversation deltas without tokens (e.g. duration-only changes) are not turns
+const IS_TURN = '(c.input_tokens + c.output_tokens + c.cache_creation_tokens + c.cache_read_tokens) > 0';
+
+// Learns per-project baselines from recent turns (conversation deltas) and
+// stores turns that fall far outside them in the anomalies table. Scores
+// are robust z-scores based on the median absolute deviation, so a few
+// earlier outliers do not hide new ones.
+export class AnomalyDetector {
+  constructor(db = null, options = {}) {
+    this.config = loadConfig(options);
+    this.ownsDb = !db;
+    this.db = db || new TokenDatabase({ dbPath: this.config.dbPath, reporting: this.config.reporting });
+    this.settings = this.config.anomalies;
+  }
+
+  // Findings for one turn against the turns before it (oldest first)
+  evaluate(turn, baseline) {
+    const findings = [];
+
+    for (const [metric, definition] of Object.entries(METRICS)) {
+      const value = definition.value(turn);
+      if (value === null) continue;
+
+      const values = baseline.map(definition.value).filter(v => v !== null);
+      if (values.length < this.settings.minSamples) continue;
+
+      const stats = robustBaseline(values);
+      if (!stats) continue;
+
+      const score = stats.score(value);
+      if (definition.direction === 'high' ? score < this.settings.warningScore : score > -this.settings.warningScore) continue;
+
+      const severity = Math.abs(score) >= this.settings.criticalScore ? 'critical' : 'warning';
+      findings.push({
+        conversationId: turn.id,
+        sessionId: turn.session_id,
+        projectPath: turn.project_path,
+        metric,
+        value,
+        baseline: stats.median,
+        score,
+        severity,
+        explanation: this.explain(definition, value, stats.median, score, values.length),
+        occurredAt: turn.started_at
+      });
+    }
+
+    return findings;
+  }
+
+  explain(definition, value, baseline, score, samples) {
+    const comparison = definition.direction === 'high' && baseline > 0
+      ? ` (${(value / baseline).toFixed(1)}x)`
+      : '';
+    return `${definition.label} ${definition.format(value)} against a project median of ${definition.format(baseline)}${comparison}; robust z ${score.toFixed(1)} over the last ${samples} turns`;
+  }
+
+  // Returns true when the finding is new
+  record(finding) {
+    return this.db.db.prepare(`
+      INSERT OR IGNORE INTO anomalies
+      (conversation_id, session_id, project_path, metric, value, baseline, score, severity, explanation, occurred_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      finding.conversationId, finding.sessionId, finding.projectPath, finding.metric,
+      finding.value, finding.baseline, finding.score, finding.severity, finding.explanation, finding.occurredAt
+    ).changes > 0;
+  }
+
+  // Turns of a project before `turn` (by time, then id), oldest first
+  baselineBefore(projectPath, turn) {
+    return this.db.db.prepare(`
+      SELECT ${TURN_COLUMNS}
+      FROM conversations c
+      JOIN sessions s ON s.id = c.session_id
+      WHERE s.project_path = ? AND ${IS_TURN}
+        AND (c.started_at < ? OR (c.started_at = ? AND c.id < ?))
+      ORDER BY c.started_at DESC, c.id DESC
+      LIMIT ?
+    `).all(projectPath, turn.started_at, turn.started_at, turn.id, this.settings.baselineTurns).reverse();
+  }
+
+  // Check a freshly recorded conversation; returns the new findings
+  checkConversation(conversationId) {
+    const turn = this.db.db.prepare(`
+      SELECT ${TURN_COLUMNS}
+      FROM conversations c
+      JOIN sessions s ON s.id = c.session_id
+      WHERE c.id = ? AND ${IS_TURN}
+    `).get(conversationId);
+    if (!turn) return [];
+
+    const findings = this.evaluate(turn, this.baselineBefore(turn.project_path, turn));
+    return this.db.transaction(() => findings.filter(finding => this.record(finding)));
+  }
+
+  // Evaluate every turn since `since` (default: scanDays ago), each against
+  // the turns before it. Already stored findings are left as they are.
+  scan({ project, since } = {}) {
+    const from = since || toSqlTimestamp(new Date(Date.now() - this.settings.scanDays * 86400000));
+    const params = [from];
+    let projectFilter = '';
+    if (project) {
+      projectFilter = 'AND s.project_path = ?';
+      params.push(project);
+    }
+
+    const turns = this.db.db.prepare(`
+      SELECT ${TURN_COLUMNS}
+      FROM conversations c
+      JOIN sessions s ON s.id = c.session_id
+      WHERE c.started_at >= ? AND ${IS_TURN} ${projectFilter}
+      ORDER BY s.project_path, c.started_at, c.id
+    `).all(...params);
+
+    const stats = { turns: turns.length, findings: 0 };
+    const windows = new Map(); // projectPath -> turns before the current one
+
+    this.db.transaction(() => {
+      for (const turn of turns) {
+        if (!windows.has(turn.project_path)) {
+          windows.set(turn.project_path, this.baselineBefore(turn.project_path, turn));
+        }
+        const window = windows.get(turn.project_path);
+
+        for (const finding of this.evaluate(turn, window)) {
+          if (this.record(finding)) stats.findings++;
+        }
+
+        window.push(turn);
+        if (window.length > this.settings.baselineTurns) window.shift();
+      }
+    });
+
+    return stats;
+  }
+
+  list({ project, since, severity, limit = 20 } = {}) {
+    const clauses = [];
+    const params = [];
+    if (project) {
+      clauses.push('project_path = ?');
+      params.push(project);
+    }
+    if (since) {
+      clauses.push('occurred_at >= ?');
+      params.push(since);
+    }
+    // Severities are minimums: warning lists everything
+    if (severity === 'critical') {
+      clauses.push("severity = 'critical'");
+    }
+
+    return this.db.db.prepare(`
+      SELECT * FROM anomalies
+      ${clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : ''}
+      ORDER BY occurred_at DESC, id DESC
+      LIMIT ?
+    `).all(...params, limit);
+  }
+
+  close() {
+    if (this.ownsDb) {
+      this.db.close();
+    }
+  }
+}
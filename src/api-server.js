@@ -0,0 +1,260 @@
+import http from 'http';
+import { TokenDatabase, toSqlTimestamp } from './database.js';
+import { loadConfig } from './config.js';
+import { subscribeLiveStream } from './live-stream.js';
+import { SpendForecaster, FORECAST_PERIODS } from './forecast.js';
+
+const MAX_PAGE_SIZE = 500;
+
+// Comment lines keep idle SSE connections from being closed by proxies
+const SSE_HEARTBEAT_MS = 15000;
+
+// Raised by handlers for a JSON error response with a specific status
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function parseIntParam(query, name, fallback, { min = 0, max = Infinity } = {}) {
+  const raw = query.get(name);
+  if (raw === null || raw === '') return fallback;
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new HttpError(400, `Invalid ${name}: expected an integer between ${min} and ${max}`);
+  }
+  return value;
+}
+
+// Accept any Date-parsable value and compare in SQLite's timestamp format
+function parseDateParam(query, name) {
+  const raw = query.get(name);
+  if (!raw) return undefined;
+
+  const date = new Date(raw);
+  if (Number.isNaN(date.getTime())) {
+    throw new HttpError(400, `Invalid ${name}: expected a date such as 2025-01-31`);
+  }
+  return toSqlTimestamp(date);
+}
+
+function parseFilters(query) {
+  return {
+    project: query.get('project') || undefined,
+    host: query.get('host') || undefined,
+    since: parseDateParam(query, 'since'),
+    until: parseDateParam(query, 'until')
+  };
+}
+
+function parsePagination(query, defaultLimit) {
+  return {
+    limit: parseIntParam(query, 'limit', defaultLimit, { min: 1, max: MAX_PAGE_SIZE }),
+    offset: parseIntParam(query, 'offset', 0)
+  };
+}
+
+export class TokenApiServer {
+  constructor(options = {}) {
+    this.config = loadConfig(options);
+    this.db = new TokenDatabase({ dbPath: this.config.dbPath, reporting: this.config.reporting });
+    this.startedAt = Date.now();
+    this.server = http.createServer((req, res) => this.handle(req, res));
+
+    // SSE clients share one subscription to the tracker's live stream,
+    // opened with the first client and closed with the last
+    this.eventClients = new Set();
+    this.liveSubscription = null;
+
+    // [method, pattern, handler]; named groups become route params
+    this.routes = [
+      ['GET', /^\/api\/health$/, () => this.health()],
+      ['GET', /^\/api\/projects$/, (query) => this.projects(query)],
+      ['GET', /^\/api\/sessions$/, (query) => this.sessions(query)],
+      ['GET', /^\/api\/sessions\/(?<id>[^/]+)$/, (query, params) => this.session(query, params.id)],
+      ['GET', /^\/api\/daily$/, (query) => this.daily(query)],
+      ['GET', /^\/api\/forecast$/, (query) => this.forecast(query)]
+    ];
+  }
+
+  start(port = this.config.server.port, host = this.config.server.host) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  stop() {
+    for (const client of this.eventClients) {
+      this.removeEventClient(client);
+    }
+
+    return new Promise(resolve => {
+      this.server.close(() => {
+        this.db.close();
+        resolve();
+      });
+      this.server.closeAllConnections();
+    });
+  }
+
+  handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === '/api/events' && req.method === 'GET') {
+      this.addEventClient(req, res, url.searchParams);
+      return;
+    }
+
+    try {
+      const route = this.routes.find(([, pattern]) => pattern.test(url.pathname));
+      if (!route) {
+        throw new HttpError(404, `No route for ${url.pathname}`);
+      }
+
+      const [method, pattern, handler] = route;
+      if (req.method !== method && !(req.method === 'HEAD' && method === 'GET')) {
+        res.setHeader('Allow', method);
+        throw new HttpError(405, `Method ${req.method} not allowed`);
+      }
+
+      const params = pattern.exec(url.pathname).groups || {};
+      this.send(res, 200, handler(url.searchParams, params));
+    } catch (error) {
+      const status = error.status || 500;
+      if (status === 500) {
+        console.error('❌ API error:', error.message);
+      }
+      this.send(res, status, { error: error.message });
+    }
+  }
+
+  send(res, status, body) {
+    const payload = JSON.stringify(body);
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Content-Length', Buffer.byteLength(payload));
+    if (this.config.server.corsOrigin) {
+      res.setHeader('Access-Control-Allow-Origin', this.config.server.corsOrigin);
+    }
+    res.end(res.req.method === 'HEAD' ? undefined : payload);
+  }
+
+  // GET /api/events: Server-Sent Events relayed from the live stream socket
+  addEventClient(req, res, query) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      ...(this.config.server.corsOrigin && { 'Access-Control-Allow-Origin': this.config.server.corsOrigin })
+    });
+    res.write(': connected\n\n');
+
+    const client = {
+      res,
+      project: query.get('project') || null,
+      heartbeat: setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS)
+    };
+    this.eventClients.add(client);
+    req.on('close', () => this.removeEventClient(client));
+
+    if (!this.liveSubscription) {
+      this.liveSubscription = subscribeLiveStream(
+        this.config.live.socketPath,
+        event => this.broadcastEvent(event),
+        { onStatus: status => this.broadcastEvent({ type: 'status', tracker: status, timestamp: new Date().toISOString() }) }
+      );
+    }
+  }
+
+  removeEventClient(client) {
+    if (!this.eventClients.delete(client)) return;
+
+    clearInterval(client.heartbeat);
+    client.res.end();
+
+    if (this.eventClients.size === 0 && this.liveSubscription) {
+      this.liveSubscription.close();
+      this.liveSubscription = null;
+    }
+  }
+
+  broadcastEvent(event) {
+    const frame = `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+
+    for (const client of this.eventClients) {
+      if (client.project && event.projectPath && event.projectPath !== client.project) continue;
+      client.res.write(frame);
+    }
+  }
+
+  health() {
+    return {
+      status: 'ok',
+      dbPath: this.db.dbPath,
+      schemaVersion: this.db.migrations.currentVersion(),
+      uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000)
+    };
+  }
+
+  projects(query) {
+    const filters = parseFilters(query);
+    return { data: this.db.getAllProjects(filters), filters };
+  }
+
+  sessions(query) {
+    const filters = parseFilters(query);
+    const { limit, offset } = parsePagination(query, 10);
+
+    return {
+      data: this.db.getRecentSessions(limit, { ...filters, offset }),
+      pagination: { limit, offset, total: this.db.countSessions(filters) },
+      filters
+    };
+  }
+
+  session(query, idOrPrefix) {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(idOrPrefix);
+    } catch {
+      throw new HttpError(400, `Invalid session id: ${idOrPrefix}`);
+    }
+
+    const sessionId = this.db.resolveSessionId(decoded);
+    if (!sessionId) {
+      throw new HttpError(404, `Session not found: ${idOrPrefix}`);
+    }
+
+    const { limit, offset } = parsePagination(query, 100);
+    const session = this.db.getSessionSummary(sessionId);
+
+    return {
+      data: {
+        ...session,
+        conversations: this.db.getSessionConversations(sessionId, { limit, offset })
+      },
+      pagination: { limit, offset, total: session.conversation_count }
+    };
+  }
+
+  daily(query) {
+    const filters = parseFilters(query);
+    const days = parseIntParam(query, 'days', 7, { min: 1, max: 3650 });
+    return { data: this.db.getDailyStats(days, filters), days, filters, timeZone: this.db.zone.timeZone };
+  }
+
+  forecast(query) {
+    const period = query.get('period') || 'month';
+    if (!FORECAST_PERIODS.includes(period)) {
+      throw new HttpError(400, `Invalid period: expected ${FORECAST_PERIODS.join(' or ')}`);
+    }
+    const forecaster = new SpendForecaster(this.db);
+    return { data: forecaster.forecast({ project: query.get('project') || null, period }) };
+  }
+}
@@ -0,0 +1,156 @@
+import path from 'path';
+import { TokenDatabase, toSqlTimestamp } from './database.js';
+import { createNotifiers } from './notifiers.js';
+import { loadConfig } from './config.js';
+import { periodWindowStart } from './time-zones.js';
+
+export const BUDGET_PERIODS = ['daily', 'weekly', 'monthly'];
+export const GLOBAL_SCOPE = 'global';
+
+export class BudgetMonitor {
+  constructor(db = null, options = {}) {
+    this.config = loadConfig(options);
+    this.ownsDb = !db;
+    this.db = db || new TokenDatabase({ dbPath: this.config.dbPath, reporting: this.config.reporting });
+
+    const budgets = this.config.budgets;
+    this.thresholds = [...budgets.thresholds].sort((a, b) => a - b);
+    this.notifiers = createNotifiers({
+      alertLog: budgets.alertLog || path.join(path.dirname(this.db.dbPath), 'alerts.log'),
+      notifiers: budgets.notifiers
+    });
+  }
+
+  setBudget(scope, period, limitUsd) {
+    if (!BUDGET_PERIODS.includes(period)) {
+      throw new Error(`Unknown budget period: ${period}`);
+    }
+    if (!(limitUsd > 0)) {
+      throw new Error(`Budget limit must be a positive amount, got ${limitUsd}`);
+    }
+
+    return this.db.db.prepare(`
+      INSERT INTO budgets (scope, period, limit_usd) VALUES (?, ?, ?)
+      ON CONFLICT (scope, period) DO UPDATE SET limit_usd = excluded.limit_usd
+    `).run(scope, period, limitUsd);
+  }
+
+  // Remove one period, or every period of a scope when period is omitted
+  removeBudget(scope, period = null) {
+    if (period) {
+      return this.db.db.prepare('DELETE FROM budgets WHERE scope = ? AND period = ?').run(scope, period).changes;
+    }
+    return this.db.db.prepare('DELETE FROM budgets WHERE scope = ?').run(scope).changes;
+  }
+
+  listBudgets() {
+    return this.db.db.prepare(`
+      SELECT * FROM budgets
+      ORDER BY CASE WHEN scope = ? THEN 0 ELSE 1 END, scope,
+               CASE period WHEN 'daily' THEN 0 WHEN 'weekly' THEN 1 ELSE 2 END
+    `).all(GLOBAL_SCOPE);
+  }
+
+  // Start of the current period in the reporting time zone: midnight,
+  // Monday, or the 1st
+  periodStart(period, now = new Date()) {
+    const unit = { daily: 'day', weekly: 'week', monthly: 'month' }[period];
+    return periodWindowStart(now, unit, 1, { timeZone: this.db.zone.timeZone, weekStart: 1 });
+  }
+
+  // Spend is summed from conversation deltas so only money spent inside the
+  // period counts, even for sessions that started before it
+  spendSince(scope, since) {
+    const params = [toSqlTimestamp(since)];
+    let projectFilter = '';
+
+    if (scope !== GLOBAL_SCOPE) {
+      projectFilter = 'AND s.project_path = ?';
+      params.push(scope);
+    }
+
+    return this.db.db.prepare(`
+      SELECT COALESCE(SUM(c.cost_usd), 0) as spend
+      FROM conversations c
+      JOIN sessions s ON s.id = c.session_id
+      WHERE c.started_at >= ? ${projectFilter}
+    `).get(...params).spend;
+  }
+
+  status(now = new Date()) {
+    return this.listBudgets().map(budget => {
+      const start = this.periodStart(budget.period, now);
+      const spend = this.spendSince(budget.scope, start);
+      return {
+        ...budget,
+        periodStart: start,
+        spend,
+        percent: (spend / budget.limit_usd) * 100
+      };
+    });
+  }
+
+  // Check the budgets that apply to a project after a delta was recorded.
+  // Each threshold fires once per period; if a single delta crosses several
+  // thresholds only the highest one is announced.
+  check(projectPath, now = new Date()) {
+    const budgets = this.db.db.prepare(
+      'SELECT * FROM budgets WHERE scope = ? OR scope = ?'
+    ).all(GLOBAL_SCOPE, projectPath);
+
+    const markFired = this.db.db.prepare(`
+      INSERT OR IGNORE INTO budget_alerts (budget_id, period_start, threshold, spend_usd)
+      VALUES (?, ?, ?, ?)
+    `);
+    const alerts = [];
+
+    for (const budget of budgets) {
+      const start = this.periodStart(budget.period, now);
+      const spend = this.spendSince(budget.scope, start);
+      const percent = (spend / budget.limit_usd) * 100;
+      const periodKey = toSqlTimestamp(start);
+
+      const crossed = this.thresholds.filter(threshold =>
+        percent >= threshold && markFired.run(budget.id, periodKey, threshold, spend).changes > 0
+      );
+
+      if (crossed.length > 0) {
+        alerts.push(this.buildAlert(budget, crossed[crossed.length - 1], spend, percent, start, now));
+      }
+    }
+
+    alerts.forEach(alert => this.dispatch(alert));
+    return alerts;
+  }
+
+  buildAlert(budget, threshold, spend, percent, periodStart, now) {
+    const scopeName = budget.scope === GLOBAL_SCOPE ? 'Global' : path.basename(budget.scope);
+    return {
+      budgetId: budget.id,
+      scope: budget.scope,
+      period: budget.period,
+      limitUsd: budget.limit_usd,
+      spendUsd: spend,
+      percent: Math.round(percent * 10) / 10,
+      threshold,
+      periodStart: periodStart.toISOString(),
+      firedAt: now.toISOString(),
+      message: `${scopeName} ${budget.period} budget at ${percent.toFixed(1)}% ($${spend.toFixed(2)} of $${budget.limit_usd.toFixed(2)}) - crossed ${threshold}%`
+    };
+  }
+
+  // Notifier failures are logged and never interrupt tracking
+  dispatch(alert) {
+    for (const notifier of this.notifiers) {
+      Promise.resolve()
+        .then(() => notifier.notify(alert))
+        .catch(error => console.error(`❌ Budget notifier ${notifier.constructor.name} failed:`, error.message));
+    }
+  }
+
+  close() {
+    if (this.ownsDb) {
+      this.db.close();
+    }
+  }
+}
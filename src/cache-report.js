@@ -0,0 +1,184 @@
+import { TokenDatabase, toSqlTimestamp, fromSqlTimestamp } from './database.js';
+import { PricingEngine } from './pricing.js';
+import { loadConfig } from './config.js';
+import { periodKey } from './time-zones.js';
+
+export const CACHE_TREND_PERIODS = ['day', 'week', 'month'];
+
+function emptyTotals() {
+  return {
+    turns: 0,
+    inputTokens: 0,
+    cacheCreationTokens: 0,
+    cacheReadTokens: 0,
+    unreadTokens: 0,
+    savedUsd: 0,
+    writePremiumUsd: 0,
+    writeCostUsd: 0,
+    unreadCostUsd: 0
+  };
+}
+
+// Adds the counters of `turn` (an emptyTotals() shape) to target
+function add(target, turn) {
+  for (const key of Object.keys(turn)) target[key] += turn[key];
+  return target;
+}
+
+// Ratios and the net effect of caching, derived from summed totals
+function finish(totals) {
+  const allInput = totals.inputTokens + totals.cacheCreationTokens + totals.cacheReadTokens;
+  return {
+    ...totals,
+    hitRatio: allInput > 0 ? totals.cacheReadTokens / allInput : 0,
+    unreadShare: totals.cacheCreationTokens > 0 ? totals.unreadTokens / totals.cacheCreationTokens : 0,
+    netSavedUsd: totals.savedUsd - totals.writePremiumUsd
+  };
+}
+
+// How well prompt caching pays off, per project, per session and over time,
+// from the conversation deltas. Dollars use the price table at each
+// session's model (sessions.cost_model from `recompute-costs`, else
+// pricing.defaultModel):
+// - saved: cache reads priced as uncached input, minus what they cost
+// - write premium: what cache writes cost above plain input
+// - unread: cache writes that no later turn of the session read back. Reads
+//   use up earlier unread writes first, and the last turn's writes usually
+//   expire unread.
+export class CacheAnalyzer {
+  constructor(db = null, options = {}) {
+    this.config = loadConfig(options);
+    this.ownsDb = !db;
+    this.db = db || new TokenDatabase({ dbPath: this.config.dbPath, reporting: this.config.reporting });
+    this.pricing = new PricingEngine(this.config);
+    this.settings = this.config.cache;
+  }
+
+  turns({ project, since, until }) {
+    const params = [since];
+    let filters = '';
+    if (until) {
+      filters += ' AND c.started_at < ?';
+      params.push(until);
+    }
+    if (project) {
+      filters += ' AND s.project_path = ?';
+      params.push(project);
+    }
+
+    return this.db.db.prepare(`
+      SELECT c.session_id, c.started_at, c.input_tokens, c.cache_creation_tokens, c.cache_read_tokens,
+             s.project_path, s.started_at as session_started_at, s.cost_model
+      FROM conversations c
+      JOIN sessions s ON s.id = c.session_id
+      WHERE c.started_at >= ? ${filters}
+        AND (c.input_tokens + c.cache_creation_tokens + c.cache_read_tokens) > 0
+      ORDER BY c.session_id, c.started_at, c.conversation_index
+    `).iterate(...params);
+  }
+
+  // Flag sessions that mostly wrote cache nobody read: enough writes to
+  // matter, and most of them never re-read
+  isWasteful(session) {
+    return session.cacheCreationTokens >= this.settings.minWriteTokens
+      && session.unreadShare >= this.settings.unreadShare;
+  }
+
+  report({ project, since, until, period = 'day', now = new Date() } = {}) {
+    if (!CACHE_TREND_PERIODS.includes(period)) {
+      throw new Error(`Unknown trend period: ${period} (use ${CACHE_TREND_PERIODS.join(', ')})`);
+    }
+    this.pricing.requireDefaultModel();
+    const from = since || toSqlTimestamp(new Date(now.getTime() - this.settings.days * 86400000));
+
+    const sessions = new Map();
+    const projects = new Map();
+    const trend = new Map();
+    const totals = emptyTotals();
+    let current = null;
+
+    // Writes of the session being walked, with the period they belong to,
+    // until later reads use them up
+    let pending = [];
+    const settle = () => {
+      if (!current) return;
+      for (const write of pending) {
+        const unread = { ...emptyTotals(), unreadTokens: write.tokens, unreadCostUsd: write.tokens * write.rate };
+        add(current, unread);
+        add(projects.get(current.projectPath), unread);
+        add(trend.get(write.period), unread);
+        add(totals, unread);
+      }
+      pending = [];
+    };
+
+    for (const row of this.turns({ project, since: from, until })) {
+      if (!current || current.sessionId !== row.session_id) {
+        settle();
+        current = { sessionId: row.session_id, projectPath: row.project_path, startedAt: row.session_started_at, ...emptyTotals() };
+        sessions.set(row.session_id, current);
+        if (!projects.has(row.project_path)) {
+          projects.set(row.project_path, { projectPath: row.project_path, sessions: 0, ...emptyTotals() });
+        }
+        projects.get(row.project_path).sessions++;
+      }
+
+      const rates = this.pricing.ratesFor(row.cost_model || this.pricing.defaultModel, row.session_started_at);
+      const key = periodKey(fromSqlTimestamp(row.started_at), period, this.db.zone);
+      if (!trend.has(key)) trend.set(key, { period: key, ...emptyTotals() });
+
+      const turn = {
+        turns: 1,
+        inputTokens: row.input_tokens,
+        cacheCreationTokens: row.cache_creation_tokens,
+        cacheReadTokens: row.cache_read_tokens,
+        unreadTokens: 0,
+        savedUsd: row.cache_read_tokens * (rates.input - rates.cacheRead) / 1_000_000,
+        writePremiumUsd: row.cache_creation_tokens * (rates.cacheWrite5m - rates.input) / 1_000_000,
+        writeCostUsd: row.cache_creation_tokens * rates.cacheWrite5m / 1_000_000,
+        unreadCostUsd: 0
+      };
+      add(current, turn);
+      add(projects.get(row.project_path), turn);
+      add(trend.get(key), turn);
+      add(totals, turn);
+
+      // Reads use up earlier turns' writes, oldest first
+      let reads = row.cache_read_tokens;
+      while (reads > 0 && pending.length > 0) {
+        const used = Math.min(reads, pending[0].tokens);
+        pending[0].tokens -= used;
+        reads -= used;
+        if (pending[0].tokens === 0) pending.shift();
+      }
+      if (row.cache_creation_tokens > 0) {
+        pending.push({ tokens: row.cache_creation_tokens, rate: rates.cacheWrite5m / 1_000_000, period: key });
+      }
+    }
+    settle();
+
+    const sessionRows = [...sessions.values()].map(session => {
+      const finished = finish(session);
+      return { ...finished, wasteful: this.isWasteful(finished) };
+    });
+
+    return {
+      since: from,
+      until: until || null,
+      project: project || null,
+      period,
+      timeZone: this.db.zone.timeZone,
+      totals: finish(totals),
+      projects: [...projects.values()].map(finish).sort((a, b) => b.savedUsd - a.savedUsd),
+      sessions: sessionRows.sort((a, b) => b.unreadCostUsd - a.unreadCostUsd),
+      flagged: sessionRows.filter(session => session.wasteful),
+      trend: [...trend.values()].map(finish).sort((a, b) => a.period.localeCompare(b.period))
+    };
+  }
+
+  close() {
+    if (this.ownsDb) {
+      this.db.close();
+    }
+  }
+}
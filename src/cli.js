@@ -4,14 +4,81 @@ import { Command } from 'commander';
 import { ClaudeTokenTracker } from './tracker.js';
 import { RobustClaudeTokenTracker } from './robust-tracker.js';
 import { TokenReporter } from './reporter.js';
+import { toSqlTimestamp } from './database.js';
+import { parseZonedDate, resolveTimeZone, resolveLocale } from './time-zones.js';
+import { setCliOverrides, expandHome, loadConfig } from './config.js';
+import { parseTagGroup, parseTagFilter } from './tags.js';
 import chalk from 'chalk';
+import path from 'path';
 
 const program = new Command();
 
+// --since/--until accept any Date-parsable value; dates and times without
+// an offset are read in the reporting time zone. Stored timestamps are UTC.
+function parseDateOption(value) {
+  if (!value) return undefined;
+  const date = parseZonedDate(value, resolveTimeZone(loadConfig().reporting.timeZone));
+  if (Number.isNaN(date.getTime())) {
+    console.error(chalk.red(`❌ Invalid date: ${value}`));
+    process.exit(1);
+  }
+  return toSqlTimestamp(date);
+}
+
+function resolveProjectOption(value) {
+  return value ? path.resolve(expandHome(value)) : undefined;
+}
+
+// Repeatable options collect into an array
+function collectOption(value, previous = []) {
+  return [...previous, value];
+}
+
+// --group-by tag:<key> and --filter tag:<key>[=<value>] as report filters
+function tagFilterOptions(options) {
+  try {
+    return {
+      groupBy: options.groupBy ? parseTagGroup(options.groupBy) : undefined,
+      tags: (options.filter || []).map(parseTagFilter)
+    };
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+}
+
 program
   .name('claude-tokens')
   .description('Track Claude Code token usage with detailed analytics')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--db <path>', 'SQLite database path (overrides CLAUDE_TOKENS_DB and config file)')
+  .option('--claude-config <path>', 'Path to Claude Code\'s .claude.json (overrides CLAUDE_CONFIG_PATH)')
+  .option('--projects-dir <path>', 'Directory holding Claude Code transcript folders')
+  .option('--tz <zone>', 'Time zone for report dates and day/week/month buckets (IANA name, e.g. Europe/Berlin)')
+  .option('--locale <tag>', 'Locale for report dates (BCP 47 tag, e.g. en-GB)');
+
+// Global flags are the highest-priority config layer
+program.hook('preAction', () => {
+  const options = program.opts();
+  try {
+    if (options.tz) resolveTimeZone(options.tz);
+    if (options.locale) resolveLocale(options.locale);
+  } catch (error) {
+    console.error(chalk.red('❌'), error.message);
+    process.exit(1);
+  }
+
+  const reporting = {};
+  if (options.tz) reporting.timeZone = options.tz;
+  if (options.locale) reporting.locale = options.locale;
+
+  setCliOverrides({
+    dbPath: options.db,
+    claudeConfigPath: options.claudeConfig,
+    claudeProjectsDir: options.projectsDir,
+    reporting: Object.keys(reporting).length > 0 ? reporting : undefined
+  });
+});
 
 // Start tracking command
 program
@@ -20,29 +87,167 @@ program
   .option('--robust', 'Use robust tracker (recommended)')
   .option('--debug', 'Enable debug output')
   .action(async (options) => {
+    let tracker;
     if (options.robust) {
       console.log(chalk.green('🚀 Starting Robust Claude Token Tracker...'));
-      console.log(chalk.yellow('⚡ This will track EVERY token change with aggressive polling'));
-      const tracker = new RobustClaudeTokenTracker();
+      console.log(chalk.yellow('⚡ This will track EVERY token change as Claude Code writes it'));
+      tracker = new RobustClaudeTokenTracker();
       if (options.debug) {
         setInterval(() => tracker.showCurrentState(), 10000);
       }
-      await tracker.start();
     } else {
       console.log(chalk.green('🚀 Starting Legacy Claude Token Tracker...'));
       console.log(chalk.red('⚠️  Consider using --robust for better accuracy'));
-      const tracker = new ClaudeTokenTracker();
+      tracker = new ClaudeTokenTracker();
+    }
+
+    try {
       await tracker.start();
+    } catch (error) {
+      if (error.name !== 'TrackerLockedError') throw error;
+      console.error(chalk.red('❌'), error.message);
+      console.error(chalk.gray('Stop it first (claude-tokens daemon stop) or point --db at another database'));
+      process.exit(1);
     }
   });
 
+// Background tracker
+const daemonCommand = program
+  .command('daemon')
+  .description('Run the robust tracker in the background (systemd on Linux, launchd on macOS)');
+
+// Global flags the daemon must be started with, as absolute paths
+function daemonManagerOptions() {
+  const options = program.opts();
+  const cliArgs = [];
+  if (options.db) cliArgs.push('--db', path.resolve(expandHome(options.db)));
+  if (options.claudeConfig) cliArgs.push('--claude-config', path.resolve(expandHome(options.claudeConfig)));
+  if (options.projectsDir) cliArgs.push('--projects-dir', path.resolve(expandHome(options.projectsDir)));
+  return { cliArgs };
+}
+
+async function runDaemonAction(action) {
+  try {
+    await action();
+  } catch (error) {
+    console.error(chalk.red('❌'), error.message);
+    process.exitCode = 1;
+  }
+}
+
+daemonCommand
+  .command('install')
+  .description('Install and start a user service that runs the tracker at login')
+  .action(() => runDaemonAction(async () => {
+    const { DaemonManager } = await import('./daemon.js');
+    const daemon = new DaemonManager(daemonManagerOptions());
+    const { manager, servicePath } = daemon.install();
+    console.log(chalk.green(`✅ Installed ${manager} service at ${servicePath}`));
+    console.log(chalk.gray(`Logs: ${daemon.logFile} (claude-tokens daemon logs -f)`));
+  }));
+
+daemonCommand
+  .command('uninstall')
+  .description('Stop the tracker service and remove it')
+  .action(() => runDaemonAction(async () => {
+    const { DaemonManager } = await import('./daemon.js');
+    const removed = new DaemonManager(daemonManagerOptions()).uninstall();
+    console.log(removed
+      ? chalk.green(`✅ Removed ${removed.manager} service ${removed.servicePath}`)
+      : chalk.yellow('No tracker service installed'));
+  }));
+
+daemonCommand
+  .command('start')
+  .description('Start the tracker through the installed service, or as a background process')
+  .action(() => runDaemonAction(async () => {
+    const { DaemonManager } = await import('./daemon.js');
+    const daemon = new DaemonManager(daemonManagerOptions());
+    const started = await daemon.start();
+    console.log(chalk.green(`✅ Tracker running (pid ${started.pid}, via ${started.via})`));
+    console.log(chalk.gray(`Logs: ${daemon.logFile}`));
+  }));
+
+daemonCommand
+  .command('stop')
+  .description('Stop the background tracker (SIGTERM, waits for a clean shutdown)')
+  .action(() => runDaemonAction(async () => {
+    const { DaemonManager } = await import('./daemon.js');
+    const { stopped, holder } = await new DaemonManager(daemonManagerOptions()).stop();
+    if (!stopped) {
+      console.log(chalk.yellow(`⚠️ The running tracker (pid ${holder.pid}) was not started as a daemon: ${holder.command}`));
+      process.exitCode = 1;
+    } else {
+      console.log(holder ? chalk.green(`✅ Stopped tracker pid ${holder.pid}`) : chalk.yellow('Tracker was not running'));
+    }
+  }));
+
+daemonCommand
+  .command('status')
+  .description('Show whether the tracker is installed and running')
+  .action(() => runDaemonAction(async () => {
+    const { DaemonManager } = await import('./daemon.js');
+    const status = new DaemonManager(daemonManagerOptions()).status();
+
+    console.log(chalk.cyan('\n🤖 TRACKER DAEMON\n'));
+    if (status.manager) {
+      console.log(`Service (${status.manager}): ${status.installed ? chalk.green('installed') : chalk.gray('not installed')} ${chalk.gray(status.servicePath)}`);
+    } else {
+      console.log(`Service: ${chalk.gray(`not supported on ${status.platform}`)}`);
+    }
+    if (status.running) {
+      const uptime = Math.round((Date.now() - new Date(status.running.startedAt).getTime()) / 60000);
+      console.log(`Tracker: ${chalk.green('running')} pid ${status.running.pid}, up ${uptime} min`);
+      console.log(`Command: ${chalk.gray(status.running.command)}`);
+    } else {
+      console.log(`Tracker: ${chalk.red('stopped')}`);
+    }
+    console.log(`PID file: ${chalk.gray(status.lockPath)}`);
+    console.log(`Log: ${chalk.gray(status.logFile)}`);
+  }));
+
+daemonCommand
+  .command('logs')
+  .description('Show the daemon log')
+  .option('-n, --lines <lines>', 'Number of lines to show', '50')
+  .option('-f, --follow', 'Keep printing new lines until interrupted')
+  .action((options) => runDaemonAction(async () => {
+    const { DaemonManager } = await import('./daemon.js');
+    const daemon = new DaemonManager(daemonManagerOptions());
+    const lines = daemon.tailLog(parseInt(options.lines));
+    if (lines.length === 0 && !options.follow) {
+      console.log(chalk.yellow(`No log yet at ${daemon.logFile}`));
+    }
+    lines.forEach(line => console.log(line));
+
+    if (options.follow) {
+      const stop = daemon.followLog(text => process.stdout.write(text));
+      process.on('SIGINT', () => {
+        stop();
+        process.exit(0);
+      });
+    }
+  }));
+
+// Internal: what the service (or `daemon start`) runs
+daemonCommand
+  .command('run', { hidden: true })
+  .description('Run the tracker in the foreground with output in the rotating log')
+  .action(async () => {
+    const { DaemonManager } = await import('./daemon.js');
+    await new DaemonManager().run();
+  });
+
 // Show summary
 program
   .command('summary')
   .description('Show overall token usage summary')
-  .action(() => {
+  .option('--host <name>', 'Only sessions recorded on this machine (source_host)')
+  .option('--group-by <tag>', 'Totals per tag value instead of per project (tag:<key>)')
+  .option('--filter <tag>', 'Only sessions with this tag (tag:<key>=<value>, repeatable)', collectOption)
+  .action((options) => {
     const reporter = new TokenReporter();
-    reporter.showSummary();
+    reporter.showSummary({ host: options.host, ...tagFilterOptions(options) });
     reporter.close();
   });
 
@@ -74,9 +279,41 @@ program
   .command('daily')
   .description('Show daily usage statistics')
   .option('-d, --days <days>', 'Number of days to show', '7')
+  .option('--host <name>', 'Only sessions recorded on this machine (source_host)')
+  .option('--group-by <tag>', 'Split each day by tag value (tag:<key>)')
+  .option('--filter <tag>', 'Only sessions with this tag (tag:<key>=<value>, repeatable)', collectOption)
   .action((options) => {
     const reporter = new TokenReporter();
-    reporter.showDailyStats(parseInt(options.days));
+    reporter.showDailyStats(parseInt(options.days), { host: options.host, ...tagFilterOptions(options) });
+    reporter.close();
+  });
+
+// Show weekly stats
+program
+  .command('weekly')
+  .description('Show weekly usage statistics')
+  .option('-w, --weeks <weeks>', 'Number of weeks to show', '8')
+  .option('--iso-week', 'Label ISO 8601 weeks (2026-W43, Monday start) instead of week start dates')
+  .option('--host <name>', 'Only sessions recorded on this machine (source_host)')
+  .option('--group-by <tag>', 'Split each week by tag value (tag:<key>)')
+  .option('--filter <tag>', 'Only sessions with this tag (tag:<key>=<value>, repeatable)', collectOption)
+  .action((options) => {
+    const reporter = new TokenReporter(options.isoWeek ? { reporting: { isoWeeks: true } } : {});
+    reporter.showUsageByPeriod('week', parseInt(options.weeks), { host: options.host, ...tagFilterOptions(options) });
+    reporter.close();
+  });
+
+// Show monthly stats
+program
+  .command('monthly')
+  .description('Show monthly usage statistics')
+  .option('-m, --months <months>', 'Number of months to show', '6')
+  .option('--host <name>', 'Only sessions recorded on this machine (source_host)')
+  .option('--group-by <tag>', 'Split each month by tag value (tag:<key>)')
+  .option('--filter <tag>', 'Only sessions with this tag (tag:<key>=<value>, repeatable)', collectOption)
+  .action((options) => {
+    const reporter = new TokenReporter();
+    reporter.showUsageByPeriod('month', parseInt(options.months), { host: options.host, ...tagFilterOptions(options) });
     reporter.close();
   });
 
@@ -94,17 +331,19 @@ program
 // Real-time monitoring
 program
   .command('monitor')
-  .description('Monitor token usage in real-time')
+  .description('Follow live token usage from a running robust tracker')
   .option('-p, --project <path>', 'Filter by specific project path')
-  .option('-i, --interval <ms>', 'Polling interval in milliseconds', '1000')
   .action(async (options) => {
     console.log(chalk.cyan('🔍 REAL-TIME TOKEN MONITOR\n'));
     console.log(chalk.yellow('Press Ctrl+C to stop monitoring\n'));
-    
-    const { TokenDatabase } = await import('./database.js');
-    const db = new TokenDatabase();
-    let lastSnapshot = new Map(); // sessionId -> last known state
-    
+
+    const { subscribeLiveStream } = await import('./live-stream.js');
+    const { reportingZone } = await import('./time-zones.js');
+    const config = loadConfig();
+    const socketPath = config.live.socketPath;
+    const zone = reportingZone(config.reporting);
+    const projectFilter = resolveProjectOption(options.project);
+
     const formatDelta = (value) => {
       if (value > 0) return chalk.green(`+${value.toLocaleString()}`);
       if (value < 0) return chalk.red(value.toLocaleString());
@@ -117,85 +356,90 @@ program
       return chalk.gray('$0.000000');
     };
 
-    const checkForChanges = () => {
-      try {
-        const sessions = db.db.prepare(`
-          SELECT * FROM sessions 
-          WHERE id NOT LIKE 'placeholder-%'
-          ${options.project ? 'AND project_path = ?' : ''}
-          ORDER BY ended_at DESC
-        `).all(options.project ? [options.project] : []);
-
-        sessions.forEach(session => {
-          const currentState = {
-            inputTokens: session.total_input_tokens,
-            outputTokens: session.total_output_tokens,
-            cacheCreationTokens: session.total_cache_creation_tokens,
-            cacheReadTokens: session.total_cache_read_tokens,
-            cost: session.total_cost_usd,
-            linesAdded: session.lines_added,
-            linesRemoved: session.lines_removed,
-            webSearches: session.web_search_requests
-          };
-
-          const previousState = lastSnapshot.get(session.id);
-          
-          if (previousState) {
-            const hasChanges = Object.keys(currentState).some(key => 
-              currentState[key] !== previousState[key]
-            );
-
-            if (hasChanges) {
-              const projectName = session.project_path.split('/').pop();
-              const timestamp = new Date().toLocaleTimeString();
-              
-              console.log(`${chalk.blue('💬')} Token change in ${chalk.green(projectName)} ${chalk.gray(`[${timestamp}]`)}`);
-              console.log(`   Session: ${session.id.substring(0, 8)}...`);
-              console.log(`   Input: ${formatDelta(currentState.inputTokens - previousState.inputTokens)}`);
-              console.log(`   Output: ${formatDelta(currentState.outputTokens - previousState.outputTokens)}`);
-              console.log(`   Cache Creation: ${formatDelta(currentState.cacheCreationTokens - previousState.cacheCreationTokens)}`);
-              console.log(`   Cache Read: ${formatDelta(currentState.cacheReadTokens - previousState.cacheReadTokens)}`);
-              console.log(`   Cost: ${formatCost(currentState.cost - previousState.cost)}`);
-              
-              if (currentState.linesAdded !== previousState.linesAdded || currentState.linesRemoved !== previousState.linesRemoved) {
-                console.log(`   Code: ${formatDelta(currentState.linesAdded - previousState.linesAdded)} added, ${formatDelta(currentState.linesRemoved - previousState.linesRemoved)} removed`);
-              }
-              
-              if (currentState.webSearches !== previousState.webSearches) {
-                console.log(`   Web searches: ${formatDelta(currentState.webSearches - previousState.webSearches)}`);
-              }
-              
-              console.log('');
-            }
-          } else {
-            // First time seeing this session
-            const projectName = session.project_path.split('/').pop();
-            console.log(`${chalk.cyan('🔍')} Monitoring session in ${chalk.green(projectName)}`);
-            console.log(`   Session: ${session.id.substring(0, 8)}...`);
-            console.log(`   Current: ${currentState.inputTokens.toLocaleString()}/${currentState.outputTokens.toLocaleString()}/${currentState.cacheCreationTokens.toLocaleString()} tokens`);
-            console.log(`   Cost: $${currentState.cost.toFixed(6)}`);
-            console.log('');
-          }
+    const showEvent = (event) => {
+      if (projectFilter && event.projectPath !== projectFilter) return;
 
-          lastSnapshot.set(session.id, currentState);
-        });
-      } catch (error) {
-        console.error(chalk.red('❌ Error monitoring tokens:'), error.message);
+      if (event.type === 'counter') {
+        const projectName = event.projectPath.split('/').pop();
+        const timestamp = new Date(event.timestamp).toLocaleTimeString(zone.locale, { timeZone: zone.timeZone });
+        console.log(`${chalk.magenta('🔁')} Counter ${event.kind} in ${chalk.green(projectName)} ${chalk.gray(`[${timestamp}]`)}`);
+        console.log(`   Session: ${event.sessionId.substring(0, 8)}... ${chalk.gray(event.reason)}\n`);
+        return;
       }
-    };
+      if (event.type === 'anomaly') {
+        const projectName = event.projectPath.split('/').pop();
+        const timestamp = new Date(event.timestamp).toLocaleTimeString(zone.locale, { timeZone: zone.timeZone });
+        const icon = event.severity === 'critical' ? chalk.red('🚨') : chalk.yellow('⚠️');
+        console.log(`${icon} Anomaly (${event.severity}) in ${chalk.green(projectName)} ${chalk.gray(`[${timestamp}]`)}`);
+        console.log(`   Session: ${event.sessionId.substring(0, 8)}... ${event.explanation}\n`);
+        return;
+      }
+      if (event.type !== 'delta') return;
 
-    // Initial check
-    checkForChanges();
-    console.log(chalk.gray(`Polling every ${options.interval}ms for changes...\n`));
+      const { delta, totals } = event;
+      const projectName = event.projectPath.split('/').pop();
+      const timestamp = new Date(event.timestamp).toLocaleTimeString(zone.locale, { timeZone: zone.timeZone });
 
-    // Start monitoring
-    const interval = setInterval(checkForChanges, parseInt(options.interval));
+      console.log(`${chalk.blue('💬')} Token change in ${chalk.green(projectName)} ${chalk.gray(`[${timestamp}]`)}`);
+      console.log(`   Session: ${event.sessionId.substring(0, 8)}...${event.git?.branch ? chalk.gray(` on ${event.git.branch}`) : ''}`);
+      console.log(`   Input: ${formatDelta(delta.input)}`);
+      console.log(`   Output: ${formatDelta(delta.output)}`);
+      console.log(`   Cache Creation: ${formatDelta(delta.cacheCreation)}`);
+      console.log(`   Cache Read: ${formatDelta(delta.cacheRead)}`);
+      console.log(`   Cost: ${formatCost(delta.cost)} ${chalk.gray(`(session $${totals.cost.toFixed(6)})`)}`);
+
+      if (delta.linesAdded || delta.linesRemoved) {
+        console.log(`   Code: ${formatDelta(delta.linesAdded)} added, ${formatDelta(delta.linesRemoved)} removed`);
+      }
+
+      if (delta.webSearchRequests) {
+        console.log(`   Web searches: ${formatDelta(delta.webSearchRequests)}`);
+      }
+
+      console.log('');
+    };
+
+    console.log(chalk.gray(`Waiting for a tracker on ${socketPath}...\n`));
+    const subscription = subscribeLiveStream(socketPath, showEvent, {
+      onStatus: (status) => {
+        if (status === 'connected') {
+          console.log(chalk.green('📡 Connected to tracker\n'));
+        } else {
+          console.log(chalk.yellow('📴 Tracker went away, reconnecting...\n'));
+        }
+      }
+    });
 
     // Graceful shutdown
     process.on('SIGINT', () => {
       console.log(chalk.yellow('\n🛑 Stopping monitor...'));
-      clearInterval(interval);
-      db.close();
+      subscription.close();
+      process.exit(0);
+    });
+  });
+
+// HTTP API
+program
+  .command('serve')
+  .description('Serve tracker data as JSON over a local HTTP API')
+  .option('--port <port>', 'Port to listen on (default from config, 7777)')
+  .option('--host <host>', 'Interface to bind (default from config, 127.0.0.1)')
+  .action(async (options) => {
+    const { TokenApiServer } = await import('./api-server.js');
+    const server = new TokenApiServer();
+
+    try {
+      const address = await server.start(options.port ? parseInt(options.port) : undefined, options.host);
+      console.log(chalk.green(`🌐 API listening on http://${address.address}:${address.port}/api`));
+      console.log(chalk.gray('Endpoints: /api/health /api/projects /api/sessions /api/sessions/:id /api/daily /api/events'));
+    } catch (error) {
+      console.error(chalk.red('❌ Could not start API server:'), error.message);
+      process.exit(1);
+    }
+
+    process.on('SIGINT', async () => {
+      console.log(chalk.yellow('\n🛑 Stopping API server...'));
+      await server.stop();
       process.exit(0);
     });
   });
@@ -203,12 +447,331 @@ program
 // Export data
 program
   .command('export')
-  .description('Export usage data to JSON file')
-  .argument('[output]', 'Output file path', 'claude-usage-export.json')
-  .action((output) => {
-    const reporter = new TokenReporter();
-    reporter.exportData(output);
-    reporter.close();
+  .description('Export sessions, conversations, snapshots or daily totals as CSV, NDJSON or JSON')
+  .argument('[output]', 'Output file path (default: claude-usage-<entity>.<format>)')
+  .option('-f, --format <format>', 'csv, ndjson or json', 'json')
+  .option('-e, --entity <entity>', 'sessions, conversations, snapshots or daily', 'sessions')
+  .option('--since <date>', 'Only rows on or after this date')
+  .option('--until <date>', 'Only rows before this date')
+  .option('-p, --project <path>', 'Only rows for this project')
+  .option('--group-by <tag>', 'Add a tag_<key> column; daily totals are split by it instead of by project (tag:<key>)')
+  .option('--filter <tag>', 'Only rows of sessions with this tag (tag:<key>=<value>, repeatable)', collectOption)
+  .action(async (output, options) => {
+    const { DataExporter } = await import('./exporter.js');
+    const exporter = new DataExporter();
+
+    try {
+      const result = exporter.export({
+        entity: options.entity,
+        format: options.format,
+        output,
+        since: parseDateOption(options.since),
+        until: parseDateOption(options.until),
+        project: resolveProjectOption(options.project),
+        ...tagFilterOptions(options)
+      });
+      console.log(chalk.green(`✅ Exported ${result.rowCount} ${result.entity} rows to ${result.file}`));
+      console.log(chalk.gray(`   Manifest: ${result.manifestPath}`));
+    } catch (error) {
+      console.error(chalk.red('❌ Export failed:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      exporter.close();
+    }
+  });
+
+// Static HTML dashboard
+program
+  .command('report')
+  .description('Generate a self-contained HTML dashboard')
+  .requiredOption('--html <file>', 'Output HTML file')
+  .option('-d, --days <days>', 'Number of days to include', '90')
+  .option('--since <date>', 'Only sessions started on or after this date (overrides --days)')
+  .option('--until <date>', 'Only sessions started before this date')
+  .option('-p, --project <path>', 'Only include this project')
+  .option('--top <n>', 'Embed conversation deltas for the N most expensive sessions', '50')
+  .option('--forecast-period <period>', 'Period of the embedded spend forecast: month or week', 'month')
+  .action(async (options) => {
+    const { HtmlReportBuilder } = await import('./html-report.js');
+    const builder = new HtmlReportBuilder();
+    const result = builder.write(options.html, {
+      days: parseInt(options.days),
+      since: parseDateOption(options.since),
+      until: parseDateOption(options.until),
+      project: resolveProjectOption(options.project),
+      top: parseInt(options.top),
+      forecastPeriod: options.forecastPeriod
+    });
+    builder.close();
+
+    console.log(chalk.green(`✅ Report written to ${result.outputPath}`));
+    console.log(chalk.gray(`   ${result.sessions} sessions, ${(result.bytes / 1024).toFixed(1)} KB`));
+  });
+
+// Ingest transcript messages
+program
+  .command('ingest')
+  .description('Ingest per-message usage from Claude Code transcript files')
+  .option('-p, --project <path>', 'Only ingest transcripts for this project path')
+  .action(async (options) => {
+    const { TranscriptIngester } = await import('./transcript-ingester.js');
+    const ingester = new TranscriptIngester();
+    const result = options.project
+      ? ingester.ingestProject(resolveProjectOption(options.project))
+      : ingester.ingestAll();
+    console.log(chalk.green(`📥 Ingested ${result.messages} messages from ${result.files} transcript files`));
+    ingester.close();
+  });
+
+// Database maintenance
+const dbCommand = program
+  .command('db')
+  .description('Database maintenance commands');
+
+dbCommand
+  .command('status')
+  .description('Show schema version and migration status')
+  .action(async () => {
+    const { TokenDatabase } = await import('./database.js');
+    const db = new TokenDatabase({ migrate: false });
+    const status = db.migrations.status();
+
+    console.log(chalk.cyan('\n🗄️ DATABASE STATUS\n'));
+    console.log(`Path: ${status.dbPath}`);
+    console.log(`Schema version: ${chalk.yellow(status.currentVersion)} (latest: ${status.latestVersion})\n`);
+    status.migrations.forEach(migration => {
+      const marker = migration.applied ? chalk.green('✔ applied') : chalk.yellow('… pending');
+      console.log(`  v${String(migration.version).padEnd(3)} ${migration.name.padEnd(30)} ${marker}`);
+    });
+    db.close();
+  });
+
+dbCommand
+  .command('migrate')
+  .description('Apply pending schema migrations (backs up the database first)')
+  .option('--dry-run', 'List pending migrations without applying them')
+  .action(async (options) => {
+    const { TokenDatabase } = await import('./database.js');
+    const db = new TokenDatabase({ migrate: false });
+
+    try {
+      const result = db.migrations.migrate({ dryRun: options.dryRun });
+
+      if (result.applied.length === 0) {
+        console.log(chalk.green(`✅ Database is up to date (v${result.fromVersion})`));
+      } else {
+        const verb = options.dryRun ? 'Would apply' : 'Applied';
+        console.log(chalk.cyan(`${verb} ${result.applied.length} migration(s): v${result.fromVersion} → v${result.toVersion}`));
+        result.applied.forEach(migration => console.log(`  v${migration.version} ${migration.name}`));
+        if (result.backupPath) {
+          console.log(chalk.gray(`Backup written to ${result.backupPath}`));
+        }
+      }
+    } catch (error) {
+      console.error(chalk.red('❌ Migration failed, database left unchanged:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      db.close();
+    }
+  });
+
+dbCommand
+  .command('compact')
+  .description('Drop duplicate snapshots, downsample old ones and VACUUM')
+  .option('--dry-run', 'Report what would be removed without changing anything')
+  .option('--full-days <days>', 'Keep every snapshot for this many days (default from config)')
+  .option('--hourly-days <days>', 'Keep hourly rollups for this many days (default from config)')
+  .option('--no-vacuum', 'Skip the VACUUM step')
+  .action(async (options) => {
+    const { SnapshotCompactor } = await import('./snapshot-compactor.js');
+    const compactor = new SnapshotCompactor();
+    const formatBytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+
+    try {
+      const report = compactor.compact({
+        dryRun: options.dryRun,
+        fullDays: options.fullDays ? parseInt(options.fullDays) : undefined,
+        hourlyDays: options.hourlyDays ? parseInt(options.hourlyDays) : undefined,
+        vacuum: options.vacuum
+      });
+
+      console.log(chalk.cyan(`\n🧹 SNAPSHOT COMPACTION${report.dryRun ? ' (dry run)' : ''}\n`));
+      console.log(`Policy: full for ${report.fullDays} days, hourly for ${report.hourlyDays} days, daily after`);
+      console.log('─'.repeat(50));
+      console.log(`Duplicate snapshots:   ${chalk.yellow(report.duplicatesRemoved.toLocaleString())}`);
+      console.log(`Downsampled (hourly):  ${chalk.yellow(report.hourlyRemoved.toLocaleString())}`);
+      console.log(`Downsampled (daily):   ${chalk.yellow(report.dailyRemoved.toLocaleString())}`);
+      console.log(`Rows: ${report.rowsBefore.toLocaleString()} → ${report.rowsAfter.toLocaleString()}`);
+      if (!report.dryRun) {
+        console.log(`Size: ${formatBytes(report.bytesBefore)} → ${formatBytes(report.bytesAfter)} (${chalk.green(formatBytes(report.bytesBefore - report.bytesAfter))} reclaimed)`);
+      }
+    } catch (error) {
+      console.error(chalk.red('❌ Compaction failed:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      compactor.close();
+    }
+  });
+
+const printMergeStats = (title, stats) => {
+  console.log(chalk.cyan(`\n🔀 ${title}\n`));
+  console.log(`Sessions:      ${chalk.green(stats.sessions.inserted.toLocaleString())} new, ${stats.sessions.merged.toLocaleString()} merged`);
+  console.log(`Conversations: ${chalk.green(stats.conversations.inserted.toLocaleString())} new, ${chalk.gray(stats.conversations.skipped.toLocaleString() + ' already present')}`);
+  console.log(`Snapshots:     ${chalk.green(stats.snapshots.inserted.toLocaleString())} new, ${chalk.gray(stats.snapshots.skipped.toLocaleString() + ' already present')}`);
+};
+
+dbCommand
+  .command('merge')
+  .description('Merge sessions, conversations and snapshots from another tracker database')
+  .argument('<file>', 'Database file from another machine')
+  .option('--source-host <name>', 'Machine name for rows that have no source_host (older databases)')
+  .action(async (file, options) => {
+    const { DatabaseMerger } = await import('./db-merge.js');
+    const merger = new DatabaseMerger();
+
+    try {
+      printMergeStats(`MERGED ${file}`, merger.mergeDatabase(expandHome(file), { sourceHost: options.sourceHost }));
+    } catch (error) {
+      console.error(chalk.red('❌ Merge failed, database left unchanged:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      merger.close();
+    }
+  });
+
+dbCommand
+  .command('import')
+  .description('Import an NDJSON export (sessions, conversations or snapshots)')
+  .argument('<file>', 'File written by `export --format ndjson`')
+  .option('-e, --entity <entity>', 'Entity in the file (default: read from its manifest)')
+  .option('--source-host <name>', 'Machine name for rows that have no source_host')
+  .action(async (file, options) => {
+    const { DatabaseMerger } = await import('./db-merge.js');
+    const merger = new DatabaseMerger();
+
+    try {
+      const stats = await merger.importNdjson(expandHome(file), { entity: options.entity, sourceHost: options.sourceHost });
+      printMergeStats(`IMPORTED ${file}`, stats);
+    } catch (error) {
+      console.error(chalk.red('❌ Import failed:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      merger.close();
+    }
+  });
+
+// Configuration
+const configCommand = program
+  .command('config')
+  .description('Show or change tracker configuration');
+
+configCommand
+  .command('show')
+  .description('Show the effective configuration and where each value comes from')
+  .action(async () => {
+    const { describeConfig, flatten } = await import('./config.js');
+    const { config, sources, filePath } = describeConfig();
+
+    console.log(chalk.cyan('\n⚙️ CONFIGURATION\n'));
+    console.log(`Config file: ${filePath}\n`);
+    for (const [key, value] of Object.entries(flatten(config))) {
+      console.log(`${key.padEnd(24)} ${JSON.stringify(value)} ${chalk.gray(`(${sources[key] || 'default'})`)}`);
+    }
+  });
+
+configCommand
+  .command('get')
+  .description('Print a single configuration value')
+  .argument('<key>', 'Config key, e.g. dbPath')
+  .action(async (key) => {
+    const { getConfigValue } = await import('./config.js');
+    const value = getConfigValue(key);
+    if (value === undefined) {
+      console.error(chalk.red(`Unknown config key: ${key}`));
+      process.exitCode = 1;
+      return;
+    }
+    console.log(typeof value === 'string' ? value : JSON.stringify(value));
+  });
+
+configCommand
+  .command('set')
+  .description('Persist a configuration value to the user config file')
+  .argument('<key>', 'Config key, e.g. dbPath')
+  .argument('[value]', 'Value (parsed as JSON when possible)')
+  .option('--unset', 'Remove the key from the config file instead')
+  .action(async (key, value, options) => {
+    const { setConfigValue, unsetConfigValue, configFilePath } = await import('./config.js');
+
+    if (options.unset) {
+      const removed = unsetConfigValue(key);
+      console.log(removed ? chalk.green(`✅ Removed ${key}`) : chalk.yellow(`${key} was not set`));
+      return;
+    }
+    if (value === undefined) {
+      console.error(chalk.red('A value is required (or pass --unset)'));
+      process.exitCode = 1;
+      return;
+    }
+
+    const stored = setConfigValue(key, value);
+    console.log(chalk.green(`✅ ${key} = ${JSON.stringify(stored)}`) + chalk.gray(` (${configFilePath()})`));
+  });
+
+// Source adapters
+const sourcesCommand = program
+  .command('sources')
+  .description('Inspect the adapters that read usage sources');
+
+sourcesCommand
+  .command('list')
+  .description('List registered source adapters in detection order')
+  .action(async () => {
+    const { listAdapters } = await import('./adapters/index.js');
+    const { sources } = loadConfig();
+
+    console.log(chalk.cyan('\n🔌 SOURCE ADAPTERS\n'));
+    listAdapters().forEach(adapter => {
+      console.log(`${chalk.green(adapter.name.padEnd(20))} v${adapter.version}  ${adapter.description}`);
+    });
+
+    if (sources.length > 0) {
+      console.log(chalk.yellow('\nExtra sources (config "sources"):'));
+      sources.forEach(source => console.log(`   ${source.path} ${chalk.gray(`(${source.adapter || 'detect'})`)}`));
+    }
+  });
+
+sourcesCommand
+  .command('detect')
+  .description('Show which adapter reads a file and what it extracts')
+  .argument('[file]', 'Usage file (default: Claude Code\'s .claude.json)')
+  .option('-a, --adapter <name>', 'Use this adapter instead of detecting one')
+  .action(async (file, options) => {
+    const { readSource } = await import('./adapters/index.js');
+    const filePath = file ? path.resolve(expandHome(file)) : loadConfig().claudeConfigPath;
+
+    try {
+      const { adapter, sessions } = readSource(filePath, { adapter: options.adapter });
+      if (!adapter) {
+        console.error(chalk.red(`❌ No source adapter recognizes ${filePath}`));
+        process.exitCode = 1;
+        return;
+      }
+
+      console.log(chalk.cyan(`\n🔌 ${filePath}\n`));
+      console.log(`Adapter: ${chalk.green(adapter.name)} (v${adapter.version}, ${adapter.description})`);
+      console.log(`Sessions: ${sessions.filter(session => session.sessionId).length}\n`);
+
+      sessions.filter(session => session.sessionId).forEach(({ projectPath, sessionId, snapshot }) => {
+        console.log(`${chalk.green(sessionId.substring(0, 8))} ${chalk.gray(projectPath || '-')}`);
+        console.log(`   Input: ${snapshot.inputTokens.toLocaleString()}  Output: ${snapshot.outputTokens.toLocaleString()}  ` +
+          `Cache: ${snapshot.cacheCreationTokens.toLocaleString()}/${snapshot.cacheReadTokens.toLocaleString()}  ` +
+          `Cost: $${snapshot.cost.toFixed(4)}`);
+      });
+    } catch (error) {
+      console.error(chalk.red(`❌ Cannot read ${filePath}:`), error.message);
+      process.exitCode = 1;
+    }
   });
 
 // Cost analysis
@@ -220,8 +783,486 @@ program
     const { CostAnalyzer } = await import('./cost-analyzer.js');
     const analyzer = new CostAnalyzer();
     analyzer.analyzeCostPatterns();
-    analyzer.analyzeRateLimitPatterns();
-    analyzer.checkForCostDrops();
+    analyzer.close();
+    console.log(chalk.gray('\nUnusually expensive turns and cache misses: claude-tokens anomalies'));
+  });
+
+// Prompt cache efficiency
+program
+  .command('cache')
+  .description('Show cache hit ratio, savings and cache writes that were never re-read')
+  .option('-p, --project <path>', 'Only this project')
+  .option('-d, --days <days>', 'Number of days to include (default from config, 30)')
+  .option('--since <date>', 'Only turns on or after this date (overrides --days)')
+  .option('--until <date>', 'Only turns before this date')
+  .option('--by <period>', 'Trend buckets: day, week or month', 'day')
+  .option('-l, --limit <limit>', 'Number of sessions to list', '10')
+  .option('--json', 'Print the report as JSON')
+  .action(async (options) => {
+    const { CacheAnalyzer, CACHE_TREND_PERIODS } = await import('./cache-report.js');
+    if (!CACHE_TREND_PERIODS.includes(options.by)) {
+      console.error(chalk.red(`❌ Unknown period "${options.by}" (use ${CACHE_TREND_PERIODS.join(', ')})`));
+      process.exit(1);
+    }
+
+    const reporter = new TokenReporter();
+    const analyzer = new CacheAnalyzer(reporter.db);
+    const days = options.days ? parseInt(options.days) : null;
+    const report = analyzer.report({
+      project: resolveProjectOption(options.project),
+      since: parseDateOption(options.since) || (days ? toSqlTimestamp(new Date(Date.now() - days * 86400000)) : undefined),
+      until: parseDateOption(options.until),
+      period: options.by
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      reporter.showCacheReport(report, parseInt(options.limit));
+    }
+    reporter.close();
+  });
+
+// Tags for cost allocation
+const tagCommand = program
+  .command('tag')
+  .description('Tag projects, sessions and project path patterns (key=value) for cost allocation');
+
+// The target named by -p/-s/-r; the current directory's project by default
+function tagTarget(options) {
+  const given = [['project', options.project], ['session', options.session], ['rule', options.rule]]
+    .filter(([, value]) => value !== undefined);
+  if (given.length > 1) {
+    throw new Error('Pass only one of --project, --session or --rule');
+  }
+  return given[0] || ['project', '.'];
+}
+
+tagCommand
+  .command('add')
+  .description('Set tags; a key that is already set takes the new value')
+  .argument('<tags...>', 'key=value pairs')
+  .option('-p, --project <path>', 'Tag a project; its sessions inherit the tags (default: current directory)')
+  .option('-s, --session <id>', 'Tag one session (first 8 characters are enough)')
+  .option('-r, --rule <glob>', 'Tag every project whose path matches, e.g. "~/Code/client-*"')
+  .action(async (tags, options) => {
+    const { TagManager, parseTagAssignment } = await import('./tags.js');
+    const manager = new TagManager();
+
+    try {
+      const [scope, value] = tagTarget(options);
+      const target = manager.resolveTarget(scope, value);
+      const assignments = tags.map(parseTagAssignment);
+      manager.add(scope, target, assignments);
+      console.log(chalk.green(`✅ Tagged ${scope} ${target}: ${assignments.map(({ key, value }) => `${key}=${value}`).join(', ')}`));
+    } catch (error) {
+      console.error(chalk.red('❌'), error.message);
+      process.exitCode = 1;
+    } finally {
+      manager.close();
+    }
+  });
+
+tagCommand
+  .command('rm')
+  .description('Remove tags by key')
+  .argument('<keys...>', 'Tag keys')
+  .option('-p, --project <path>', 'Project to untag (default: current directory)')
+  .option('-s, --session <id>', 'Session to untag')
+  .option('-r, --rule <glob>', 'Path rule to remove tags from')
+  .action(async (keys, options) => {
+    const { TagManager } = await import('./tags.js');
+    const manager = new TagManager();
+
+    try {
+      const [scope, value] = tagTarget(options);
+      const removed = manager.remove(scope, manager.resolveTarget(scope, value), keys.map(key => key.split('=')[0]));
+      console.log(removed > 0 ? chalk.green(`✅ Removed ${removed} tag(s)`) : chalk.yellow('No matching tags'));
+    } catch (error) {
+      console.error(chalk.red('❌'), error.message);
+      process.exitCode = 1;
+    } finally {
+      manager.close();
+    }
+  });
+
+tagCommand
+  .command('list')
+  .description('List all tags and rules, or the tags that apply to one project or session')
+  .option('-p, --project <path>', 'Tags that apply to sessions of this project')
+  .option('-s, --session <id>', 'Tags that apply to this session')
+  .option('--json', 'Print the tags as JSON')
+  .action(async (options) => {
+    const { TagManager } = await import('./tags.js');
+    const manager = new TagManager();
+
+    try {
+      if (options.project === undefined && options.session === undefined) {
+        const rows = manager.list();
+        if (options.json) {
+          console.log(JSON.stringify(rows, null, 2));
+          return;
+        }
+        console.log(chalk.cyan('\n🏷️ TAGS\n'));
+        if (rows.length === 0) {
+          console.log(chalk.yellow('No tags set. Try: claude-tokens tag add client=acme -p ~/Code/acme-app'));
+        }
+        rows.forEach(row => {
+          console.log(`${row.scope.padEnd(8)} ${chalk.green(`${row.key}=${row.value}`.padEnd(28))} ${chalk.gray(row.target)}`);
+        });
+        return;
+      }
+
+      const [scope, value] = tagTarget(options);
+      const target = manager.resolveTarget(scope, value);
+      const tags = manager.effective(scope === 'session' ? { sessionId: target } : { projectPath: target });
+      if (options.json) {
+        console.log(JSON.stringify(tags, null, 2));
+        return;
+      }
+      console.log(chalk.cyan(`\n🏷️ TAGS OF ${scope.toUpperCase()} ${target}\n`));
+      if (tags.length === 0) {
+        console.log(chalk.yellow('No tags apply.'));
+      }
+      tags.forEach(tag => {
+        console.log(`${chalk.green(`${tag.key}=${tag.value}`.padEnd(28))} ${chalk.gray(`from ${tag.source}${tag.source === 'rule' ? ` ${tag.target}` : ''}`)}`);
+      });
+    } catch (error) {
+      console.error(chalk.red('❌'), error.message);
+      process.exitCode = 1;
+    } finally {
+      manager.close();
+    }
+  });
+
+// AI spend per branch and commit of a project's git checkout
+program
+  .command('git')
+  .description('Show cost per branch, per commit window and per line changed of a git project')
+  .option('-p, --project <path>', 'Project directory', '.')
+  .option('-b, --branch [name]', 'Commit windows of one branch (default: the checked-out branch)')
+  .option('--since <date>', 'Only turns on or after this date')
+  .option('--until <date>', 'Only turns before this date')
+  .option('--json', 'Print the report as JSON')
+  .action(async (options) => {
+    const { GitCostAnalyzer } = await import('./git-costs.js');
+    const reporter = new TokenReporter();
+    const analyzer = new GitCostAnalyzer(reporter.db);
+
+    try {
+      const report = analyzer.report({
+        project: resolveProjectOption(options.project),
+        branch: options.branch || null,
+        since: parseDateOption(options.since),
+        until: parseDateOption(options.until)
+      });
+
+      if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        reporter.showGitReport(report);
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exitCode = 1;
+    } finally {
+      reporter.close();
+    }
+  });
+
+// Turns far off their project's baseline
+program
+  .command('anomalies')
+  .description('Find and list turns whose cost, size or cache hit ratio is far off the project baseline')
+  .option('-p, --project <path>', 'Only this project')
+  .option('--since <date>', 'Scan and list turns from this date (default: anomalies.scanDays ago)')
+  .option('--severity <level>', 'Minimum severity to list: warning or critical', 'warning')
+  .option('-l, --limit <limit>', 'Number of anomalies to list', '20')
+  .option('--no-scan', 'List stored findings without scanning for new ones')
+  .option('--json', 'Print the anomalies as JSON')
+  .action(async (options) => {
+    const { AnomalyDetector, SEVERITIES } = await import('./anomalies.js');
+    if (!SEVERITIES.includes(options.severity)) {
+      console.error(chalk.red(`❌ Unknown severity "${options.severity}" (use ${SEVERITIES.join(' or ')})`));
+      process.exit(1);
+    }
+
+    const reporter = new TokenReporter();
+    const detector = new AnomalyDetector(reporter.db);
+    const project = resolveProjectOption(options.project);
+    const since = parseDateOption(options.since)
+      || toSqlTimestamp(new Date(Date.now() - detector.settings.scanDays * 86400000));
+
+    const scanned = options.scan ? detector.scan({ project, since }) : null;
+    const anomalies = detector.list({ project, since, severity: options.severity, limit: parseInt(options.limit) });
+
+    if (options.json) {
+      console.log(JSON.stringify(anomalies, null, 2));
+      reporter.close();
+      return;
+    }
+
+    console.log(chalk.cyan('\n🔎 ANOMALIES\n'));
+    if (scanned) {
+      console.log(chalk.gray(`Scanned ${scanned.turns} turns, ${scanned.findings} new finding(s)\n`));
+    }
+    if (anomalies.length === 0) {
+      console.log(chalk.green('No anomalies found.'));
+    }
+    anomalies.forEach(anomaly => {
+      const color = anomaly.severity === 'critical' ? chalk.red : chalk.yellow;
+      console.log(`${color(anomaly.severity.toUpperCase().padEnd(8))} ${reporter.formatDate(anomaly.occurred_at)}  ${chalk.green(path.basename(anomaly.project_path))} ${chalk.gray(anomaly.session_id.substring(0, 8))}`);
+      console.log(`   ${anomaly.explanation}`);
+    });
+    reporter.close();
+  });
+
+// Rebuild derived tables
+program
+  .command('rebuild')
+  .description('Rebuild sessions and conversations by replaying stored snapshots')
+  .requiredOption('--from-snapshots', 'Replay session_snapshots through the tracker\'s delta pipeline')
+  .option('--since <date>', 'Only replay snapshots from this date; earlier conversations are kept')
+  .option('--diff', 'Show how rebuilt totals differ from the current ones without writing')
+  .option('-l, --limit <limit>', 'Number of changed sessions to list', '20')
+  .action(async (options) => {
+    const { SnapshotReplayer } = await import('./snapshot-replay.js');
+    const replayer = new SnapshotReplayer();
+
+    try {
+      const result = replayer.rebuild({ since: parseDateOption(options.since), dryRun: options.diff });
+      const { sessions, overall } = result.diff;
+
+      console.log(chalk.cyan(`\n🔄 REBUILD FROM SNAPSHOTS${result.dryRun ? ' (diff only)' : ''}\n`));
+      if (result.since) console.log(`Since: ${result.since} UTC`);
+      console.log(`Snapshots replayed:   ${result.snapshots.toLocaleString()}${result.skipped ? chalk.red(` (${result.skipped} unreadable, skipped)`) : ''}`);
+      console.log(`Sessions replayed:    ${result.sessions.toLocaleString()}`);
+      console.log(`Conversations:        ${result.conversations.toLocaleString()}`);
+      const counterEvents = Object.entries(result.counterEvents);
+      if (counterEvents.length > 0) {
+        console.log(`Counter changes:      ${counterEvents.map(([kind, count]) => `${count} ${kind}`).join(', ')} (the drops are not usage)`);
+      }
+
+      console.log(chalk.yellow('\n📊 Totals (current → rebuilt):'));
+      const formatValue = (field, value) => field === 'cost' ? `$${value.toFixed(4)}` : value.toLocaleString();
+      for (const field of Object.keys(overall.after)) {
+        const before = overall.before[field];
+        const after = overall.after[field];
+        const same = field === 'cost' ? Math.abs(before - after) < 0.000001 : before === after;
+        const line = `   ${field.padEnd(14)} ${formatValue(field, before)} → ${formatValue(field, after)}`;
+        console.log(same ? chalk.gray(line) : line);
+      }
+
+      console.log(chalk.yellow(`\n🔍 Sessions ${result.dryRun ? 'that would change' : 'changed'}: ${sessions.length}`));
+      sessions.slice(0, parseInt(options.limit)).forEach(({ sessionId, projectPath, changes }) => {
+        console.log(`\n${chalk.green(sessionId.substring(0, 8))} ${chalk.gray(projectPath)}`);
+        for (const [field, [before, after]] of Object.entries(changes)) {
+          const format = value => value === null ? '-' : typeof value === 'number' ? formatValue(field, value) : value;
+          console.log(`   ${field}: ${format(before)} → ${format(after)}`);
+        }
+      });
+      if (sessions.length > parseInt(options.limit)) {
+        console.log(chalk.gray(`\n... and ${sessions.length - parseInt(options.limit)} more (use --limit)`));
+      }
+    } catch (error) {
+      console.error(chalk.red('❌ Rebuild failed:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      replayer.close();
+    }
+  });
+
+// Session lifecycle
+const sessionsCommand = program
+  .command('sessions')
+  .description('Session lifecycle maintenance');
+
+sessionsCommand
+  .command('repair')
+  .description('Recompute start/end times and states of stored sessions')
+  .option('--dry-run', 'Show what would change without writing')
+  .option('-v, --verbose', 'List every changed session')
+  .action(async (options) => {
+    const { SessionLifecycle } = await import('./session-lifecycle.js');
+    const lifecycle = new SessionLifecycle();
+
+    try {
+      const result = lifecycle.repair({ dryRun: options.dryRun });
+
+      console.log(chalk.cyan(`\n🩹 SESSION REPAIR${result.dryRun ? ' (dry run)' : ''}\n`));
+      console.log(`Sessions examined: ${result.examined.toLocaleString()}`);
+      console.log(`Sessions changed:  ${chalk.yellow(result.repaired.toLocaleString())}`);
+      console.log(`  Start moved:     ${result.startsMoved.toLocaleString()}`);
+      console.log(`  End moved:       ${result.endsMoved.toLocaleString()}`);
+      console.log(`  State changed:   ${result.statesChanged.toLocaleString()}`);
+
+      if (options.verbose) {
+        result.changes.forEach(({ sessionId, projectPath, changes }) => {
+          console.log(`\n${chalk.green(sessionId.substring(0, 8))} ${chalk.gray(projectPath)}`);
+          for (const [column, [before, after]] of Object.entries(changes)) {
+            console.log(`   ${column}: ${before ?? '-'} → ${after ?? '-'}`);
+          }
+        });
+      }
+    } catch (error) {
+      console.error(chalk.red('❌ Repair failed:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      lifecycle.close();
+    }
+  });
+
+sessionsCommand
+  .command('repair-counters')
+  .description('Turn conversation rows with negative deltas into counter events and usage from zero')
+  .option('--dry-run', 'Show what would change without writing')
+  .action(async (options) => {
+    const { CounterResetRepair } = await import('./counter-resets.js');
+    const repairer = new CounterResetRepair();
+
+    try {
+      const result = repairer.repair({ dryRun: options.dryRun });
+
+      console.log(chalk.cyan(`\n🔁 COUNTER RESET REPAIR${result.dryRun ? ' (dry run)' : ''}\n`));
+      if (result.events.length === 0) {
+        console.log(chalk.green('No negative conversation deltas found.'));
+        return;
+      }
+
+      result.events.forEach(event => {
+        const { input, output, cost } = event.delta;
+        console.log(`${chalk.green(event.sessionId.substring(0, 8))} ${chalk.gray(event.at)} ${chalk.yellow(event.kind)}: ${event.reason}`);
+        console.log(`   Δ in ${input.toLocaleString()} / out ${output.toLocaleString()} / $${cost.toFixed(6)}`);
+        if (event.usage) {
+          console.log(`   Usage from zero: in ${event.usage.inputTokens.toLocaleString()} / out ${event.usage.outputTokens.toLocaleString()} / $${event.usage.cost.toFixed(6)}`);
+        }
+      });
+
+      console.log('─'.repeat(50));
+      const kinds = Object.entries(result.byKind).map(([kind, count]) => `${count} ${kind}`).join(', ');
+      const kept = result.events.filter(event => event.usage).length;
+      console.log(`${result.events.length} rows in ${result.sessions} sessions (${kinds}) ${result.dryRun ? 'would be' : 'were'} moved to session events`);
+      if (kept > 0) {
+        console.log(`${kept} of them ${result.dryRun ? 'would be' : 'were'} kept as usage measured from zero, with earlier counters added to session totals`);
+      }
+    } catch (error) {
+      console.error(chalk.red('❌ Repair failed:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      repairer.close();
+    }
+  });
+
+// Budgets
+const budgetCommand = program
+  .command('budget')
+  .description('Manage spend budgets and threshold alerts');
+
+const budgetScope = (project) => project ? path.resolve(expandHome(project)) : 'global';
+
+budgetCommand
+  .command('set')
+  .description('Set daily, weekly and/or monthly limits in USD')
+  .option('-p, --project <path>', 'Apply to one project instead of all usage')
+  .option('--daily <usd>', 'Daily limit')
+  .option('--weekly <usd>', 'Weekly limit (weeks start on Monday)')
+  .option('--monthly <usd>', 'Monthly limit')
+  .action(async (options) => {
+    const { BudgetMonitor, BUDGET_PERIODS } = await import('./budgets.js');
+    const monitor = new BudgetMonitor();
+    const scope = budgetScope(options.project);
+    const periods = BUDGET_PERIODS.filter(period => options[period] !== undefined);
+
+    try {
+      if (periods.length === 0) {
+        throw new Error('Pass at least one of --daily, --weekly or --monthly');
+      }
+      periods.forEach(period => {
+        monitor.setBudget(scope, period, parseFloat(options[period]));
+        console.log(chalk.green(`✅ ${scope} ${period} budget set to $${parseFloat(options[period]).toFixed(2)}`));
+      });
+    } catch (error) {
+      console.error(chalk.red('❌'), error.message);
+      process.exitCode = 1;
+    } finally {
+      monitor.close();
+    }
+  });
+
+budgetCommand
+  .command('rm')
+  .description('Remove budgets for a scope')
+  .option('-p, --project <path>', 'Project budget to remove (default: global)')
+  .option('--period <period>', 'Only remove this period (daily, weekly, monthly)')
+  .action(async (options) => {
+    const { BudgetMonitor } = await import('./budgets.js');
+    const monitor = new BudgetMonitor();
+    const removed = monitor.removeBudget(budgetScope(options.project), options.period);
+    console.log(removed > 0 ? chalk.green(`✅ Removed ${removed} budget(s)`) : chalk.yellow('No matching budgets'));
+    monitor.close();
+  });
+
+budgetCommand
+  .command('list')
+  .description('List budgets with spend so far in the current period')
+  .action(async () => {
+    const { BudgetMonitor } = await import('./budgets.js');
+    const { formatDate } = await import('./time-zones.js');
+    const monitor = new BudgetMonitor();
+    const rows = monitor.status();
+
+    console.log(chalk.cyan('\n💰 BUDGETS\n'));
+    if (rows.length === 0) {
+      console.log(chalk.yellow('No budgets set. Try: claude-tokens budget set --monthly 200'));
+    }
+    rows.forEach(row => {
+      const color = row.percent >= 100 ? chalk.red : row.percent >= 80 ? chalk.yellow : chalk.green;
+      const scope = row.scope === 'global' ? chalk.bold('Global') : row.scope;
+      console.log(`${scope} ${chalk.gray(row.period)}`);
+      console.log(`   ${color(`$${row.spend.toFixed(2)} / $${row.limit_usd.toFixed(2)} (${row.percent.toFixed(1)}%)`)} since ${formatDate(row.periodStart, monitor.db.zone)}`);
+    });
+    monitor.close();
+  });
+
+// Project end-of-period spend
+program
+  .command('forecast')
+  .description('Project end-of-period spend with a confidence band and the current burn rate')
+  .option('-p, --project <path>', 'Only this project (default: all projects)')
+  .option('--period <period>', 'Period to forecast: month or week', 'month')
+  .option('--json', 'Print the forecast as JSON')
+  .action(async (options) => {
+    const { SpendForecaster, FORECAST_PERIODS } = await import('./forecast.js');
+    if (!FORECAST_PERIODS.includes(options.period)) {
+      console.error(chalk.red(`❌ Unknown period "${options.period}" (use ${FORECAST_PERIODS.join(' or ')})`));
+      process.exit(1);
+    }
+
+    const reporter = new TokenReporter();
+    const forecaster = new SpendForecaster(reporter.db);
+    const forecast = forecaster.forecast({
+      project: resolveProjectOption(options.project),
+      period: options.period
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify(forecast, null, 2));
+    } else {
+      reporter.showForecast(forecast);
+    }
+    reporter.close();
+  });
+
+// Recompute expected costs from the price table
+program
+  .command('recompute-costs')
+  .description('Recalculate expected cost of every session and message from the price table')
+  .option('--dry-run', 'Show totals and discrepancies without storing them')
+  .option('-l, --limit <limit>', 'Number of discrepancies to list', '10')
+  .action(async (options) => {
+    const { CostAnalyzer } = await import('./cost-analyzer.js');
+    const analyzer = new CostAnalyzer();
+    analyzer.recomputeCosts({ dryRun: options.dryRun, limit: parseInt(options.limit) });
     analyzer.close();
   });
 
@@ -0,0 +1,289 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Environment variables that override a config key
+const ENV_OVERRIDES = {
+  dbPath: 'CLAUDE_TOKENS_DB',
+  claudeConfigPath: 'CLAUDE_CONFIG_PATH',
+  claudeProjectsDir: 'CLAUDE_PROJECTS_DIR',
+  codeBasePath: 'CLAUDE_TOKENS_CODE_DIR',
+  hostname: 'CLAUDE_TOKENS_HOST'
+};
+
+// Variables a service unit carries over from the shell that installed it,
+// so the daemon resolves the same config
+export const SERVICE_ENV = [
+  ...Object.values(ENV_OVERRIDES),
+  'CLAUDE_TOKENS_CONFIG',
+  'CLAUDE_CONFIG_DIR',
+  'XDG_CONFIG_HOME'
+];
+
+// Overrides coming from CLI flags, registered once by cli.js
+let cliOverrides = {};
+
+export function defaultConfig() {
+  const claudeDir = process.env.CLAUDE_CONFIG_DIR || path.join(os.homedir(), '.claude');
+
+  return {
+    dbPath: path.join(__dirname, '../data/tokens.db'),
+    claudeConfigPath: path.join(os.homedir(), '.claude.json'),
+    claudeProjectsDir: path.join(claudeDir, 'projects'),
+    codeBasePath: path.join(os.homedir(), 'Code'),
+    // Recorded as source_host on every row; set it to keep a stable name
+    // when merging databases from machines with changing hostnames
+    hostname: os.hostname(),
+    // Snapshots older than fullDays are downsampled to hourly rollups,
+    // older than hourlyDays to daily rollups (see `db compact`)
+    retention: {
+      fullDays: 7,
+      hourlyDays: 30
+    },
+    // tablePath: null uses the bundled src/prices.json. defaultModel prices
+    // sessions that have no transcript messages to say which model ran.
+    pricing: {
+      tablePath: null,
+      defaultModel: 'claude-sonnet-4'
+    },
+    // alertLog: null writes alerts.log next to the database. notifiers are
+    // extra hooks: { "type": "command", "command": "..." } or
+    // { "type": "webhook", "url": "https://..." }
+    budgets: {
+      thresholds: [50, 80, 100],
+      alertLog: null,
+      notifiers: []
+    },
+    // The API only listens on loopback by default; corsOrigin: null sends
+    // no CORS header so web pages cannot read the data cross-origin
+    server: {
+      port: 7777,
+      host: '127.0.0.1',
+      corsOrigin: null
+    },
+    // Sessions without token activity for idleMinutes become idle, and
+    // closed after closeAfterHours; a new lastSessionId closes them at once
+    lifecycle: {
+      idleMinutes: 10,
+      closeAfterHours: 12
+    },
+    // The robust tracker re-reads .claude.json when fs.watch reports a
+    // change (after debounceMs) and on a safety poll that only stats the
+    // file. The poll slows to idleIntervalMs once no counters changed for
+    // idleMinutes. watch: false relies on the safety poll alone.
+    polling: {
+      watch: true,
+      debounceMs: 200,
+      activeIntervalMs: 2000,
+      idleIntervalMs: 60000,
+      idleMinutes: 5
+    },
+    // Reports print and bucket dates in timeZone (IANA name, null: system
+    // zone) with locale (BCP 47 tag, null: system). Weeks start on weekStart
+    // (0 = Sunday, 1 = Monday) unless isoWeeks labels them as ISO weeks.
+    reporting: {
+      timeZone: null,
+      locale: null,
+      weekStart: 1,
+      isoWeeks: false
+    },
+    // `forecast` learns weekday/weekend spend from the last historyDays and
+    // measures the burn rate of active sessions over burnWindowMinutes
+    forecast: {
+      historyDays: 56,
+      burnWindowMinutes: 60,
+      confidence: 0.8
+    },
+    // Turns are compared with the last baselineTurns turns of their project
+    // (at least minSamples) by robust z-score: |score| >= warningScore is a
+    // warning, >= criticalScore critical. `anomalies` scans scanDays back.
+    anomalies: {
+      baselineTurns: 200,
+      minSamples: 20,
+      warningScore: 3.5,
+      criticalScore: 6,
+      scanDays: 30
+    },
+    // `cache` covers the last `days` by default and flags sessions that
+    // wrote at least minWriteTokens to the cache and never re-read
+    // unreadShare of it
+    cache: {
+      days: 30,
+      minWriteTokens: 50000,
+      unreadShare: 0.5
+    },
+    // Unix socket the robust tracker publishes live delta events on
+    live: {
+      socketPath: path.join(os.tmpdir(), `claude-tokens-${os.userInfo().uid}.sock`)
+    },
+    // `daemon run` writes tracker.log to logDir (null: next to the
+    // database) and rotates it at maxLogBytes, keeping maxLogFiles old ones
+    daemon: {
+      logDir: null,
+      maxLogBytes: 5 * 1024 * 1024,
+      maxLogFiles: 5
+    },
+    // Extra usage files the robust tracker polls next to .claude.json:
+    // { "path": "...", "adapter": null, "projectPath": null }. adapter: null
+    // picks one by detection (see `sources list`)
+    sources: []
+  };
+}
+
+export function configFilePath() {
+  if (process.env.CLAUDE_TOKENS_CONFIG) {
+    return expandHome(process.env.CLAUDE_TOKENS_CONFIG);
+  }
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'claude-tokens', 'config.json');
+}
+
+export function expandHome(value) {
+  if (typeof value !== 'string') return value;
+  if (value === '~') return os.homedir();
+  if (value.startsWith('~/')) return path.join(os.homedir(), value.slice(2));
+  return value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(target, source) {
+  const result = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    if (value === undefined) continue;
+    result[key] = isPlainObject(value) && isPlainObject(result[key])
+      ? deepMerge(result[key], value)
+      : value;
+  }
+  return result;
+}
+
+// Resolve ~ in every string value so "~/tokens.db" works from any layer
+function expandPaths(config) {
+  const result = {};
+  for (const [key, value] of Object.entries(config)) {
+    result[key] = isPlainObject(value) ? expandPaths(value) : expandHome(value);
+  }
+  return result;
+}
+
+export function readConfigFile(filePath = configFilePath()) {
+  if (!fs.existsSync(filePath)) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid config file ${filePath}: ${error.message}`);
+  }
+}
+
+function writeConfigFile(config, filePath = configFilePath()) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(config, null, 2) + '\n');
+}
+
+function envConfig() {
+  const config = {};
+  for (const [key, envVar] of Object.entries(ENV_OVERRIDES)) {
+    if (process.env[envVar]) {
+      config[key] = process.env[envVar];
+    }
+  }
+  return config;
+}
+
+export function setCliOverrides(overrides) {
+  cliOverrides = Object.fromEntries(
+    Object.entries(overrides).filter(([, value]) => value !== undefined)
+  );
+}
+
+// Layers, lowest priority first: defaults, config file, env vars, CLI flags,
+// then explicit constructor options
+export function loadConfig(overrides = {}) {
+  const layers = [defaultConfig(), readConfigFile(), envConfig(), cliOverrides, overrides];
+  return expandPaths(layers.reduce((config, layer) => deepMerge(config, layer), {}));
+}
+
+// Report which layer each key was taken from, for `config show`
+export function describeConfig() {
+  const layers = [
+    ['default', defaultConfig()],
+    ['file', readConfigFile()],
+    ['env', envConfig()],
+    ['cli', cliOverrides]
+  ];
+  const sources = {};
+
+  for (const [source, layer] of layers) {
+    for (const key of Object.keys(flatten(layer))) {
+      sources[key] = source;
+    }
+  }
+
+  return { config: loadConfig(), sources, filePath: configFilePath() };
+}
+
+export function flatten(config, prefix = '') {
+  const result = {};
+  for (const [key, value] of Object.entries(config)) {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) {
+      Object.assign(result, flatten(value, fullKey));
+    } else {
+      result[fullKey] = value;
+    }
+  }
+  return result;
+}
+
+export function getConfigValue(key, config = loadConfig()) {
+  return key.split('.').reduce((value, part) => (isPlainObject(value) ? value[part] : undefined), config);
+}
+
+// Persist a dotted key to the user config file. Values are parsed as JSON
+// when possible so numbers, booleans and arrays keep their type.
+export function setConfigValue(key, rawValue) {
+  let value = rawValue;
+  try {
+    value = JSON.parse(rawValue);
+  } catch {
+    // Plain strings are stored as-is
+  }
+
+  const fileConfig = readConfigFile();
+  const parts = key.split('.');
+  let node = fileConfig;
+
+  for (const part of parts.slice(0, -1)) {
+    if (!isPlainObject(node[part])) node[part] = {};
+    node = node[part];
+  }
+  node[parts[parts.length - 1]] = value;
+
+  writeConfigFile(fileConfig);
+  return value;
+}
+
+export function unsetConfigValue(key) {
+  const fileConfig = readConfigFile();
+  const parts = key.split('.');
+  let node = fileConfig;
+
+  for (const part of parts.slice(0, -1)) {
+    if (!isPlainObject(node[part])) return false;
+    node = node[part];
+  }
+
+  const last = parts[parts.length - 1];
+  if (!(last in node)) return false;
+
+  delete node[last];
+  writeConfigFile(fileConfig);
+  return true;
+}
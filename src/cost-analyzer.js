@@ -1,12 +1,16 @@
 import { TokenDatabase } from './database.js';
+import { PricingEngine } from './pricing.js';
+import { loadConfig } from './config.js';
 
 export class CostAnalyzer {
-  constructor() {
-    this.db = new TokenDatabase();
+  constructor(options = {}) {
+    this.config = loadConfig(options);
+    this.db = new TokenDatabase({ dbPath: this.config.dbPath });
+    this.pricing = new PricingEngine(this.config);
     
-    // Known pricing rates (per million tokens)
-    this.SONNET_RATES = { input: 3.00, output: 15.00 };
-    this.HAIKU_RATES = { input: 0.25, output: 1.25 };
+    // Models compared when guessing which one a session used
+    this.SONNET_MODEL = 'claude-sonnet-4';
+    this.HAIKU_MODEL = 'claude-3-5-haiku';
   }
 
   // Analyze cost patterns to detect model switching
@@ -40,8 +44,8 @@ export class CostAnalyzer {
 
     sessions.forEach(session => {
       // Calculate expected costs including cache tokens
-      const sonnetCost = this.calculateExpectedCostWithCache(session, this.SONNET_RATES);
-      const haikuCost = this.calculateExpectedCostWithCache(session, this.HAIKU_RATES);
+      const sonnetCost = this.calculateExpectedCostWithCache(session, this.SONNET_MODEL);
+      const haikuCost = this.calculateExpectedCostWithCache(session, this.HAIKU_MODEL);
       
       const actualCost = session.total_cost_usd;
       const sonnetDiff = sonnetCost > 0 ? Math.abs(actualCost - sonnetCost) / sonnetCost : 1;
@@ -69,8 +73,7 @@ export class CostAnalyzer {
     console.log(`Summary: Sonnet: ${sonnetCount}, Haiku: ${haikuCount}, Unclear: ${ambiguousCount}`);
     
     if (haikuCount > 0) {
-      console.log('\n🎯 HAIKU USAGE DETECTED! Claude Code is switching models for cost optimization.');
-      console.log('   Your "IT FEELS LIKE ROBBERY" analysis is even more accurate - you\'re getting premium AI at discount rates!');
+      console.log('\n🎯 Some sessions match Haiku pricing: Claude Code ran part of the work on the cheaper model.');
     } else if (sonnetCount > 0) {
       console.log('\n📊 All sessions appear to use Sonnet pricing.');
       console.log('   Your cost analysis reflects premium model usage.');
@@ -79,80 +82,107 @@ export class CostAnalyzer {
     }
   }
 
-  calculateExpectedCostWithCache(session, rates) {
-    // Standard input/output tokens
-    const standardCost = (session.total_input_tokens * rates.input + session.total_output_tokens * rates.output) / 1_000_000;
-    
-    // Cache tokens are typically priced at input rates
-    const cacheCost = (session.total_cache_creation_tokens * rates.input + session.total_cache_read_tokens * rates.input * 0.1) / 1_000_000;
-    
-    return standardCost + cacheCost;
+  // Price a session's totals at the given model's rates on the day it started
+  calculateExpectedCostWithCache(session, model) {
+    return this.pricing.costOf({
+      inputTokens: session.total_input_tokens,
+      outputTokens: session.total_output_tokens,
+      cacheCreationTokens: session.total_cache_creation_tokens,
+      cacheReadTokens: session.total_cache_read_tokens
+    }, model, session.started_at);
   }
 
-  calculateExpectedCost(inputTokens, outputTokens, rates) {
-    return (inputTokens * rates.input + outputTokens * rates.output) / 1_000_000;
+  calculateExpectedCost(inputTokens, outputTokens, model, date = null) {
+    return this.pricing.costOf({ inputTokens, outputTokens }, model, date);
   }
 
-  // Look for rate limit patterns
-  analyzeRateLimitPatterns() {
-    console.log('\n⏰ ANALYZING FOR RATE LIMIT PATTERNS\n');
-    
-    // Look for sessions with mixed cost patterns (might indicate model switching)
-    const query = `
-      SELECT 
-        s.id, s.project_path, s.started_at,
-        COUNT(c.id) as conversation_count,
-        AVG(c.cost_usd / NULLIF((c.input_tokens * 3 + c.output_tokens * 15) / 1000000.0, 0)) as avg_cost_ratio
-      FROM sessions s
-      JOIN conversations c ON s.id = c.session_id
-      WHERE c.input_tokens > 0 AND c.output_tokens > 0 AND c.cost_usd > 0
-      GROUP BY s.id
-      HAVING conversation_count > 3
-      ORDER BY s.started_at DESC
-    `;
-    
-    const sessions = this.db.db.prepare(query).all();
-    
-    sessions.forEach(session => {
-      const costRatio = session.avg_cost_ratio;
-      if (costRatio < 0.5) {
-        console.log(`🔄 Session ${session.id.substring(0, 8)}... shows mixed pricing (ratio: ${costRatio.toFixed(2)}) - possible model switching`);
-      }
-    });
-  }
+  // Recalculate the expected cost of every message and session from the
+  // price table and store it next to the cost Claude Code reported.
+  // Sessions with transcript messages are the sum of their messages; the
+  // rest are priced at the configured default model.
+  recomputeCosts({ dryRun = false, limit = 10 } = {}) {
+    this.pricing.requireDefaultModel();
+    console.log(`💲 RECOMPUTING EXPECTED COSTS (price table ${this.pricing.table.version})\n`);
 
-  // Check for sudden cost drops within sessions
-  checkForCostDrops() {
-    console.log('\n📉 CHECKING FOR SUDDEN COST DROPS (Rate Limit Indicators)\n');
-    
-    const query = `
-      SELECT 
-        s.id, c1.conversation_index as conv1, c2.conversation_index as conv2,
-        c1.input_tokens as tokens1_in, c1.output_tokens as tokens1_out, c1.cost_usd as cost1,
-        c2.input_tokens as tokens2_in, c2.output_tokens as tokens2_out, c2.cost_usd as cost2
-      FROM sessions s
-      JOIN conversations c1 ON s.id = c1.session_id
-      JOIN conversations c2 ON s.id = c2.session_id AND c2.conversation_index = c1.conversation_index + 1
-      WHERE c1.cost_usd > 0 AND c2.cost_usd > 0
-      ORDER BY s.started_at DESC
-    `;
-    
-    const pairs = this.db.db.prepare(query).all();
-    
-    pairs.forEach(pair => {
-      const costPerToken1 = pair.cost1 / (pair.tokens1_in + pair.tokens1_out);
-      const costPerToken2 = pair.cost2 / (pair.tokens2_in + pair.tokens2_out);
-      
-      if (costPerToken1 > 0 && costPerToken2 > 0) {
-        const dropRatio = costPerToken2 / costPerToken1;
-        
-        if (dropRatio < 0.15) { // 85%+ cost drop
-          console.log(`⚡ Major cost drop detected in ${pair.id.substring(0, 8)}... between conv ${pair.conv1}->${pair.conv2}`);
-          console.log(`   Cost/token: $${(costPerToken1 * 1000).toFixed(3)} -> $${(costPerToken2 * 1000).toFixed(3)} (${(dropRatio * 100).toFixed(1)}% of original)`);
-          console.log(`   This likely indicates Sonnet -> Haiku switch due to rate limits`);
+    const messages = this.db.db.prepare(`
+      SELECT id, session_id, model, timestamp, input_tokens, output_tokens, cache_creation_tokens,
+             cache_creation_5m_tokens, cache_creation_1h_tokens, cache_read_tokens
+      FROM messages
+    `).all();
+
+    const sessions = this.db.db.prepare(`
+      SELECT id, project_path, started_at, total_input_tokens, total_output_tokens,
+             total_cache_creation_tokens, total_cache_read_tokens, total_cost_usd
+      FROM sessions
+      WHERE id NOT LIKE 'placeholder-%'
+    `).all();
+
+    const messageModels = this.db.db.prepare(`
+      SELECT model, COUNT(*) as message_count FROM messages
+      WHERE session_id = ? GROUP BY model ORDER BY message_count DESC
+    `);
+    const messageCost = new Map();
+    const results = [];
+
+    const apply = this.db.db.transaction(() => {
+      messages.forEach(message => {
+        const cost = this.pricing.costOf({
+          inputTokens: message.input_tokens,
+          outputTokens: message.output_tokens,
+          cacheCreationTokens: message.cache_creation_tokens,
+          cacheCreation5mTokens: message.cache_creation_5m_tokens,
+          cacheCreation1hTokens: message.cache_creation_1h_tokens,
+          cacheReadTokens: message.cache_read_tokens
+        }, message.model, message.timestamp);
+
+        if (!dryRun) this.db.updateMessageExpectedCost(message.id, cost);
+        messageCost.set(message.session_id, (messageCost.get(message.session_id) || 0) + cost);
+      });
+
+      sessions.forEach(session => {
+        const models = messageModels.all(session.id);
+        let expected;
+        let model;
+
+        if (messageCost.has(session.id)) {
+          expected = messageCost.get(session.id);
+          model = models.length === 1 ? models[0].model : 'mixed';
+        } else {
+          model = this.pricing.ratesFor(this.pricing.defaultModel, session.started_at).model;
+          expected = this.calculateExpectedCostWithCache(session, model);
         }
-      }
+
+        if (!dryRun) this.db.updateExpectedCost(session.id, expected, model);
+        results.push({ ...session, expected, model, diff: session.total_cost_usd - expected });
+      });
     });
+
+    apply();
+
+    const totalReported = results.reduce((sum, r) => sum + r.total_cost_usd, 0);
+    const totalExpected = results.reduce((sum, r) => sum + r.expected, 0);
+
+    console.log(`Messages priced: ${messages.length}`);
+    console.log(`Sessions priced: ${results.length}${dryRun ? ' (dry run, nothing stored)' : ''}`);
+    console.log(`Reported total:  $${totalReported.toFixed(4)}`);
+    console.log(`Expected total:  $${totalExpected.toFixed(4)}`);
+    console.log(`Difference:      $${(totalReported - totalExpected).toFixed(4)}`);
+
+    const discrepancies = results
+      .filter(r => Math.abs(r.diff) > 0.01)
+      .sort((a, b) => Math.abs(b.diff) - Math.abs(a.diff))
+      .slice(0, limit);
+
+    if (discrepancies.length > 0) {
+      console.log(`\nLargest discrepancies:`);
+      console.log('Session    | Model              | Reported    | Expected    | Diff');
+      console.log('-'.repeat(72));
+      discrepancies.forEach(r => {
+        console.log(`${r.id.substring(0, 10).padEnd(10)} | ${String(r.model).substring(0, 18).padEnd(18)} | $${r.total_cost_usd.toFixed(6).padStart(10)} | $${r.expected.toFixed(6).padStart(10)} | ${r.diff >= 0 ? '+' : '-'}$${Math.abs(r.diff).toFixed(4)}`);
+      });
+    }
+
+    return { messages: messages.length, sessions: results.length, totalReported, totalExpected };
   }
 
   close() {
@@ -165,8 +195,5 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   const analyzer = new CostAnalyzer();
   
   analyzer.analyzeCostPatterns();
-  analyzer.analyzeRateLimitPatterns();
-  analyzer.checkForCostDrops();
-  
   analyzer.close();
 }
\ No newline at end of file
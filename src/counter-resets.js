@@ -0,0 +1,222 @@
+import { TokenDatabase, fromSqlTimestamp } from './database.js';
+import { SessionLifecycle } from './session-lifecycle.js';
+import { loadConfig } from './config.js';
+import { emptySnapshot } from './adapters/base.js';
+import { hasAnyTokenChange, restartsCounters, addCounterOffset } from './snapshot-deltas.js';
+
+// Counter changes that are not usage. They are stored as session events
+// ("counter-reset", ...) instead of conversations, so deltas stay >= 0.
+export const COUNTER_EVENT_KINDS = {
+  reset: 'reset',             // every counter went back to zero
+  newSession: 'new-session',  // counters restarted under the same session id
+  rewrite: 'rewrite'          // some counters fell while others grew
+};
+
+const COUNTERS = [
+  ['input', 'inputTokens'],
+  ['output', 'outputTokens'],
+  ['cacheCreation', 'cacheCreationTokens'],
+  ['cacheRead', 'cacheReadTokens'],
+  ['cost', 'cost']
+];
+
+// Cost is a float; anything smaller is rounding noise
+const COST_EPSILON = 0.000001;
+
+function decreased(key, value) {
+  return key === 'cost' ? value < -COST_EPSILON : value < 0;
+}
+
+// Classify the change between two snapshots of a session's cumulative
+// counters (see emptySnapshot in adapters/base.js). Returns the delta plus
+// kind: 'usage' for normal growth, otherwise one of COUNTER_EVENT_KINDS.
+// totalDuration is optional; when both sides have it, a shrinking duration
+// means the session restarted.
+export function classifyDelta(previous, current) {
+  const delta = Object.fromEntries(
+    COUNTERS.map(([key, field]) => [key, (current[field] || 0) - (previous[field] || 0)])
+  );
+  const fell = COUNTERS.filter(([key]) => decreased(key, delta[key]));
+
+  if (fell.length === 0) {
+    return { kind: 'usage', delta, reason: null };
+  }
+
+  if (COUNTERS.every(([, field]) => Math.abs(current[field] || 0) <= COST_EPSILON)) {
+    return { kind: COUNTER_EVENT_KINDS.reset, delta, reason: 'all counters returned to zero' };
+  }
+
+  const durationRestarted = previous.totalDuration > 0 && current.totalDuration > 0 &&
+    current.totalDuration < previous.totalDuration;
+  // Counters that were in use all fell: they started again from zero
+  const allInUseFell = COUNTERS.every(([key, field]) =>
+    decreased(key, delta[key]) || ((previous[field] || 0) === 0 && (current[field] || 0) === 0)
+  );
+
+  if (durationRestarted || allInUseFell) {
+    return {
+      kind: COUNTER_EVENT_KINDS.newSession,
+      delta,
+      reason: durationRestarted ? 'session duration restarted' : 'every counter restarted from a lower value'
+    };
+  }
+
+  return {
+    kind: COUNTER_EVENT_KINDS.rewrite,
+    delta,
+    reason: `${fell.map(([key]) => key).join(', ')} decreased while other counters did not`
+  };
+}
+
+// Session totals and conversation deltas as snapshot fields (see
+// emptySnapshot in adapters/base.js)
+const SESSION_TOTALS = {
+  inputTokens: 'total_input_tokens',
+  outputTokens: 'total_output_tokens',
+  cacheCreationTokens: 'total_cache_creation_tokens',
+  cacheReadTokens: 'total_cache_read_tokens',
+  cost: 'total_cost_usd',
+  apiDuration: 'api_duration_ms',
+  totalDuration: 'total_duration_ms',
+  linesAdded: 'lines_added',
+  linesRemoved: 'lines_removed',
+  webSearchRequests: 'web_search_requests'
+};
+const CONVERSATION_DELTAS = {
+  inputTokens: 'input_tokens',
+  outputTokens: 'output_tokens',
+  cacheCreationTokens: 'cache_creation_tokens',
+  cacheReadTokens: 'cache_read_tokens',
+  cost: 'cost_usd',
+  linesAdded: 'lines_added',
+  linesRemoved: 'lines_removed'
+};
+
+function readColumns(row, columns) {
+  return Object.fromEntries(Object.entries(columns).map(([field, column]) => [field, row[column] || 0]));
+}
+
+// Rewrites conversation rows recorded before classification existed, whose
+// deltas were really counter resets or rewrites, the way the tracker records
+// them now: a session event, plus for resets and new sessions a conversation
+// with the counters measured from zero and the counters reached before added
+// to the session's counter_offset and totals.
+export class CounterResetRepair {
+  constructor(db = null, options = {}) {
+    this.config = loadConfig(options);
+    this.ownsDb = !db;
+    this.db = db || new TokenDatabase({ dbPath: this.config.dbPath });
+    this.lifecycle = new SessionLifecycle(this.db, this.config);
+  }
+
+  // A session's cumulative counters before its first delta are its final
+  // counters minus every delta, so each row's before/after can be replayed
+  // and classified exactly as the tracker would have. Durations and web
+  // searches are not kept per conversation, so restarts only carry tokens,
+  // cost and lines into the offset.
+  repair({ dryRun = false } = {}) {
+    const db = this.db.db;
+    const sessions = db.prepare(`
+      SELECT DISTINCT s.*
+      FROM sessions s
+      JOIN conversations c ON c.session_id = s.id
+      WHERE c.input_tokens < 0 OR c.output_tokens < 0 OR c.cache_creation_tokens < 0
+         OR c.cache_read_tokens < 0 OR c.cost_usd < ?
+    `).all(-COST_EPSILON);
+
+    const conversationsOf = db.prepare(
+      'SELECT * FROM conversations WHERE session_id = ? ORDER BY conversation_index, id'
+    );
+    const deleteConversation = db.prepare('DELETE FROM conversations WHERE id = ?');
+    const recordUsage = db.prepare(`
+      UPDATE conversations SET
+        input_tokens = @inputTokens, output_tokens = @outputTokens,
+        cache_creation_tokens = @cacheCreationTokens, cache_read_tokens = @cacheReadTokens,
+        cost_usd = @cost, lines_added = @linesAdded, lines_removed = @linesRemoved
+      WHERE id = @id
+    `);
+    // Keep indexes contiguous so consecutive-pair analyses still line up
+    const renumber = db.prepare(`
+      UPDATE conversations SET conversation_index = (
+        SELECT COUNT(*) FROM conversations c2
+        WHERE c2.session_id = conversations.session_id
+          AND (c2.conversation_index < conversations.conversation_index
+               OR (c2.conversation_index = conversations.conversation_index AND c2.id <= conversations.id))
+      )
+      WHERE session_id = ?
+    `);
+
+    const events = [];
+    const apply = db.transaction(() => {
+      for (const session of sessions) {
+        const rows = conversationsOf.all(session.id);
+        // Totals include what earlier restarts reached; the counters don't
+        let offset = session.counter_offset ? JSON.parse(session.counter_offset) : null;
+        const counters = Object.fromEntries(
+          Object.entries(readColumns(session, SESSION_TOTALS)).map(([field, total]) => [field, total - (offset?.[field] || 0)])
+        );
+
+        let previous = Object.fromEntries(Object.keys(CONVERSATION_DELTAS).map(field => [field, counters[field]]));
+        for (const row of rows) {
+          const rowDelta = readColumns(row, CONVERSATION_DELTAS);
+          for (const field of Object.keys(previous)) previous[field] -= rowDelta[field];
+        }
+
+        let restarted = false;
+        for (const row of rows) {
+          const rowDelta = readColumns(row, CONVERSATION_DELTAS);
+          const current = Object.fromEntries(
+            Object.keys(previous).map(field => [field, previous[field] + rowDelta[field]])
+          );
+          const classification = classifyDelta(previous, current);
+
+          if (classification.kind !== 'usage') {
+            const restart = restartsCounters(classification);
+            const usage = restart && hasAnyTokenChange(emptySnapshot(), { ...emptySnapshot(), ...current }) ? current : null;
+            events.push({ sessionId: session.id, conversationId: row.id, at: row.started_at, usage, ...classification });
+
+            if (!dryRun) {
+              this.lifecycle.recordEvent(session.id, `counter-${classification.kind}`, {
+                reason: classification.reason,
+                at: row.started_at ? fromSqlTimestamp(row.started_at) : new Date(),
+                details: { previous, current, delta: classification.delta, repairedConversationId: row.id }
+              });
+              if (usage) {
+                recordUsage.run({ id: row.id, ...usage });
+              } else {
+                deleteConversation.run(row.id);
+              }
+            }
+
+            if (restart) {
+              offset = addCounterOffset(offset, previous);
+              restarted = true;
+            }
+          }
+          previous = current;
+        }
+
+        if (dryRun) continue;
+        if (restarted) {
+          this.db.setCounterOffset(session.id, offset);
+          this.db.updateSession(session.id, { ...emptySnapshot(), ...counters });
+        }
+        renumber.run(session.id);
+      }
+    });
+    apply();
+
+    return {
+      dryRun,
+      sessions: sessions.length,
+      events,
+      byKind: events.reduce((counts, event) => ({ ...counts, [event.kind]: (counts[event.kind] || 0) + 1 }), {})
+    };
+  }
+
+  close() {
+    if (this.ownsDb) {
+      this.db.close();
+    }
+  }
+}
@@ -0,0 +1,342 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn, execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { RobustClaudeTokenTracker } from './robust-tracker.js';
+import { TrackerLock, TrackerLockedError } from './tracker-lock.js';
+import { RotatingLog } from './rotating-log.js';
+import { loadConfig, SERVICE_ENV } from './config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CLI_PATH = path.join(__dirname, 'cli.js');
+
+const SYSTEMD_UNIT = 'claude-tokens.service';
+const LAUNCHD_LABEL = 'com.claude.tokentracker';
+
+// How long start/stop wait for the tracker to take or release its lock
+const START_TIMEOUT_MS = 5000;
+const STOP_TIMEOUT_MS = 15000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function systemdQuote(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/%/g, '%%')}"`;
+}
+
+function xmlEscape(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function exec(command, args) {
+  try {
+    return execFileSync(command, args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+  } catch (error) {
+    const detail = (error.stderr || '').trim() || error.message;
+    throw new Error(`${command} ${args.join(' ')} failed: ${detail}`);
+  }
+}
+
+// Runs the robust tracker in the background: as a systemd user service on
+// Linux or a launchd agent on macOS once installed, or as a detached process
+// otherwise. The tracker's PID file (see tracker-lock.js) is the source of
+// truth for what is running.
+export class DaemonManager {
+  constructor(options = {}) {
+    this.config = loadConfig(options);
+    this.platform = options.platform || process.platform;
+    // Global CLI flags (--db ...) the daemon must be started with
+    this.cliArgs = options.cliArgs || [];
+    this.lock = new TrackerLock(this.config.dbPath);
+    this.logFile = path.join(this.config.daemon.logDir || path.dirname(this.config.dbPath), 'tracker.log');
+  }
+
+  get serviceManager() {
+    if (this.platform === 'linux') return 'systemd';
+    if (this.platform === 'darwin') return 'launchd';
+    return null;
+  }
+
+  servicePath() {
+    if (this.serviceManager === 'systemd') {
+      const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+      return path.join(configHome, 'systemd', 'user', SYSTEMD_UNIT);
+    }
+    if (this.serviceManager === 'launchd') {
+      return path.join(os.homedir(), 'Library', 'LaunchAgents', `${LAUNCHD_LABEL}.plist`);
+    }
+    return null;
+  }
+
+  isInstalled() {
+    const servicePath = this.servicePath();
+    return Boolean(servicePath) && fs.existsSync(servicePath);
+  }
+
+  command() {
+    return [process.execPath, CLI_PATH, ...this.cliArgs, 'daemon', 'run'];
+  }
+
+  environment() {
+    const environment = { PATH: process.env.PATH };
+    for (const name of SERVICE_ENV) {
+      if (process.env[name]) environment[name] = process.env[name];
+    }
+    return environment;
+  }
+
+  // stdout is dropped because `daemon run` writes its own rotating log;
+  // stderr still reaches the journal if the process dies before that
+  renderSystemdUnit() {
+    const environment = Object.entries(this.environment())
+      .map(([name, value]) => `Environment=${systemdQuote(`${name}=${value}`)}`);
+
+    return [
+      '[Unit]',
+      'Description=Claude Code token tracker',
+      '',
+      '[Service]',
+      'Type=simple',
+      `ExecStart=${this.command().map(systemdQuote).join(' ')}`,
+      `WorkingDirectory=${path.dirname(__dirname)}`,
+      ...environment,
+      'Restart=on-failure',
+      'RestartSec=10',
+      'KillSignal=SIGTERM',
+      'TimeoutStopSec=30',
+      'StandardOutput=null',
+      '',
+      '[Install]',
+      'WantedBy=default.target',
+      ''
+    ].join('\n');
+  }
+
+  renderLaunchdPlist() {
+    const argumentsXml = this.command()
+      .map(arg => `        <string>${xmlEscape(arg)}</string>`).join('\n');
+    const environmentXml = Object.entries(this.environment())
+      .map(([name, value]) => `        <key>${xmlEscape(name)}</key>\n        <string>${xmlEscape(value)}</string>`)
+      .join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+    <key>Label</key>
+    <string>${LAUNCHD_LABEL}</string>
+
+    <key>ProgramArguments</key>
+    <array>
+${argumentsXml}
+    </array>
+
+    <key>WorkingDirectory</key>
+    <string>${xmlEscape(path.dirname(__dirname))}</string>
+
+    <key>RunAtLoad</key>
+    <true/>
+
+    <key>KeepAlive</key>
+    <dict>
+        <key>SuccessfulExit</key>
+        <false/>
+    </dict>
+
+    <key>EnvironmentVariables</key>
+    <dict>
+${environmentXml}
+    </dict>
+
+    <key>ThrottleInterval</key>
+    <integer>10</integer>
+
+    <key>ExitTimeOut</key>
+    <integer>30</integer>
+</dict>
+</plist>
+`;
+  }
+
+  // Write the unit/plist and start it at login. Reinstalling replaces an
+  // older definition, including the one setup-auto-tracking.sh wrote.
+  install() {
+    const manager = this.serviceManager;
+    if (!manager) {
+      throw new Error(`No service manager support for ${this.platform}; use "daemon start" instead`);
+    }
+
+    const servicePath = this.servicePath();
+    fs.mkdirSync(path.dirname(servicePath), { recursive: true });
+
+    if (manager === 'systemd') {
+      fs.writeFileSync(servicePath, this.renderSystemdUnit());
+      exec('systemctl', ['--user', 'daemon-reload']);
+      exec('systemctl', ['--user', 'enable', '--now', SYSTEMD_UNIT]);
+    } else {
+      if (fs.existsSync(servicePath)) {
+        try {
+          exec('launchctl', ['unload', servicePath]);
+        } catch {
+          // Not loaded
+        }
+      }
+      fs.writeFileSync(servicePath, this.renderLaunchdPlist());
+      exec('launchctl', ['load', '-w', servicePath]);
+    }
+
+    return { manager, servicePath };
+  }
+
+  uninstall() {
+    if (!this.isInstalled()) return null;
+
+    const manager = this.serviceManager;
+    const servicePath = this.servicePath();
+
+    if (manager === 'systemd') {
+      exec('systemctl', ['--user', 'disable', '--now', SYSTEMD_UNIT]);
+      fs.unlinkSync(servicePath);
+      exec('systemctl', ['--user', 'daemon-reload']);
+    } else {
+      try {
+        exec('launchctl', ['unload', '-w', servicePath]);
+      } catch {
+        // Not loaded
+      }
+      fs.unlinkSync(servicePath);
+    }
+
+    return { manager, servicePath };
+  }
+
+  async start() {
+    const holder = this.lock.holder();
+    if (holder) throw new TrackerLockedError(this.lock.path, holder);
+
+    let via;
+    if (this.isInstalled()) {
+      via = this.serviceManager;
+      if (via === 'systemd') {
+        exec('systemctl', ['--user', 'start', SYSTEMD_UNIT]);
+      } else {
+        exec('launchctl', ['load', '-w', this.servicePath()]);
+      }
+    } else {
+      via = 'process';
+      const [node, ...args] = this.command();
+      const child = spawn(node, args, { detached: true, stdio: 'ignore', env: process.env });
+      child.unref();
+    }
+
+    const started = await this.waitFor(() => this.lock.holder(), START_TIMEOUT_MS);
+    if (!started) {
+      throw new Error(`The tracker did not start within ${START_TIMEOUT_MS / 1000}s; see ${this.logFile}`);
+    }
+    return { ...started, via };
+  }
+
+  // Only daemons are stopped; a tracker started by hand in a terminal is
+  // reported instead of being killed
+  async stop() {
+    if (this.isInstalled()) {
+      if (this.serviceManager === 'systemd') {
+        exec('systemctl', ['--user', 'stop', SYSTEMD_UNIT]);
+      } else {
+        try {
+          exec('launchctl', ['unload', this.servicePath()]);
+        } catch {
+          // Not loaded
+        }
+      }
+    }
+
+    const holder = this.lock.holder();
+    if (!holder) return { stopped: true, holder: null };
+    if (!String(holder.command).includes('daemon run')) {
+      return { stopped: false, holder };
+    }
+
+    process.kill(holder.pid, 'SIGTERM');
+    const exited = await this.waitFor(() => !this.lock.holder(), STOP_TIMEOUT_MS);
+    if (!exited) {
+      throw new Error(`Tracker pid ${holder.pid} did not exit within ${STOP_TIMEOUT_MS / 1000}s`);
+    }
+    return { stopped: true, holder };
+  }
+
+  status() {
+    return {
+      platform: this.platform,
+      manager: this.serviceManager,
+      installed: this.isInstalled(),
+      servicePath: this.servicePath(),
+      lockPath: this.lock.path,
+      running: this.lock.holder(),
+      logFile: this.logFile
+    };
+  }
+
+  // The foreground process the service runs: tracker output goes to the
+  // rotating log instead of stdout
+  async run() {
+    const log = new RotatingLog(this.logFile, {
+      maxBytes: this.config.daemon.maxLogBytes,
+      maxFiles: this.config.daemon.maxLogFiles
+    });
+    log.captureConsole();
+    console.log(`🚀 Daemon starting (pid ${process.pid})`);
+
+    const tracker = new RobustClaudeTokenTracker();
+    try {
+      await tracker.start();
+    } catch (error) {
+      if (!(error instanceof TrackerLockedError)) throw error;
+      // Exit cleanly so the service manager does not keep retrying
+      console.log(`⚠️ ${error.message}; exiting`);
+      process.exit(0);
+    }
+  }
+
+  tailLog(lines = 50) {
+    if (!fs.existsSync(this.logFile)) return [];
+    const content = fs.readFileSync(this.logFile, 'utf8').replace(/\n$/, '');
+    return content ? content.split('\n').slice(-lines) : [];
+  }
+
+  // Call onText with everything appended to the log from now on, across
+  // rotations. Returns a function that stops following.
+  followLog(onText, intervalMs = 500) {
+    let position = fs.existsSync(this.logFile) ? fs.statSync(this.logFile).size : 0;
+
+    const timer = setInterval(() => {
+      if (!fs.existsSync(this.logFile)) return;
+      const size = fs.statSync(this.logFile).size;
+      // Rotated: the new file starts from scratch
+      if (size < position) position = 0;
+      if (size === position) return;
+
+      const fd = fs.openSync(this.logFile, 'r');
+      try {
+        const buffer = Buffer.alloc(size - position);
+        fs.readSync(fd, buffer, 0, buffer.length, position);
+        position = size;
+        onText(buffer.toString('utf8'));
+      } finally {
+        fs.closeSync(fd);
+      }
+    }, intervalMs);
+
+    return () => clearInterval(timer);
+  }
+
+  async waitFor(condition, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      const result = condition();
+      if (result) return result;
+      await sleep(100);
+    }
+    return condition();
+  }
+}
@@ -1,161 +1,295 @@
 import Database from 'better-sqlite3';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import fs from 'fs';
+import crypto from 'crypto';
+import { MigrationRunner } from './migrations.js';
+import { loadConfig } from './config.js';
+import { reportingZone, periodKey, periodWindowStart } from './time-zones.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DB_PATH = path.join(__dirname, '../data/tokens.db');
+// How long a write waits for another connection's transaction to finish
+const BUSY_TIMEOUT_MS = 5000;
+
+// SQLite's CURRENT_TIMESTAMP format (UTC, no zone suffix), so JS dates
+// compare correctly against stored timestamps
+export function toSqlTimestamp(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Transcript times are ISO strings with a zone; stored like every other
+// timestamp so they compare and bucket the same way. Unparseable -> null.
+function messageTimestamp(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? toSqlTimestamp(date) : null;
+}
+
+// Inverse of toSqlTimestamp. Date would read "YYYY-MM-DD HH:MM:SS" as local
+// time; other values (ISO strings with an offset) pass through Date.
+export function fromSqlTimestamp(value) {
+  if (value instanceof Date) return value;
+  if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)) {
+    return new Date(`${value.replace(' ', 'T')}Z`);
+  }
+  return new Date(value);
+}
+
+// Tag keys are inlined into SQL, so they are limited to these characters
+export const TAG_KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+// SQL expression for the value of tag `key` on a session: its own tag, else
+// its project's, else the most specific path rule matching the project
+// (longest pattern, newest on ties). NULL when untagged.
+export function tagValueSql(key, sessionColumn = 'sessions.id', projectColumn = 'sessions.project_path') {
+  if (!TAG_KEY_PATTERN.test(key)) {
+    throw new Error(`Invalid tag key "${key}" (letters, digits, "_", "." and "-")`);
+  }
+  return `COALESCE(
+    (SELECT t.value FROM tags t WHERE t.scope = 'session' AND t.target = ${sessionColumn} AND t.key = '${key}'),
+    (SELECT t.value FROM tags t WHERE t.scope = 'project' AND t.target = ${projectColumn} AND t.key = '${key}'),
+    (SELECT t.value FROM tags t WHERE t.scope = 'rule' AND ${projectColumn} GLOB t.target AND t.key = '${key}'
+     ORDER BY length(t.target) DESC, t.id DESC LIMIT 1)
+  )`;
+}
+
+// Shared WHERE fragment for session queries. Filters: project (exact path),
+// host (source_host), since/until (compared against started_at), tags
+// ([{ key, value }], value null for any). Appended after a WHERE clause.
+function sessionFilters({ project, since, until, host, tags } = {}) {
+  const clauses = [];
+  const params = [];
+
+  if (project) {
+    clauses.push('project_path = ?');
+    params.push(project);
+  }
+  if (host) {
+    clauses.push('source_host = ?');
+    params.push(host);
+  }
+  if (since) {
+    clauses.push('started_at >= ?');
+    params.push(since);
+  }
+  if (until) {
+    clauses.push('started_at < ?');
+    params.push(until);
+  }
+  for (const { key, value } of tags || []) {
+    if (value === null) {
+      clauses.push(`${tagValueSql(key)} IS NOT NULL`);
+    } else {
+      clauses.push(`${tagValueSql(key)} = ?`);
+      params.push(value);
+    }
+  }
+
+  return { sql: clauses.map(clause => `AND ${clause}`).join(' '), params };
+}
 
 export class TokenDatabase {
-  constructor() {
+  // Pass { migrate: false } to open the database without applying pending
+  // migrations, e.g. to inspect or dry-run them. The path comes from
+  // options.dbPath, falling back to the layered config.
+  constructor(options = {}) {
+    this.dbPath = options.dbPath || loadConfig().dbPath;
+    this.hostname = options.hostname || loadConfig().hostname;
+
     // Ensure data directory exists
-    const dataDir = path.dirname(DB_PATH);
+    const dataDir = path.dirname(this.dbPath);
     if (!fs.existsSync(dataDir)) {
       fs.mkdirSync(dataDir, { recursive: true });
     }
     
-    this.db = new Database(DB_PATH);
-    this.initSchema();
+    this.db = new Database(this.dbPath);
+    this.lastSnapshotHashes = new Map(); // sessionId -> hash of last stored snapshot
+    this.reporting = options.reporting || loadConfig().reporting;
+    this.registerFunctions();
+    this.initSchema(options);
+  }
+
+  // Reporting zone, resolved on first use so a bad reporting.timeZone never
+  // stops the tracker
+  get zone() {
+    if (!this.resolvedZone) this.resolvedZone = reportingZone(this.reporting);
+    return this.resolvedZone;
+  }
+
+  // local_period(timestamp, 'day'|'week'|'month') buckets a stored UTC
+  // timestamp in the reporting zone, for GROUP BY in reports and exports
+  registerFunctions() {
+    this.db.function('local_period', (timestamp, period) => (
+      timestamp === null ? null : periodKey(fromSqlTimestamp(timestamp), period, this.zone)
+    ));
   }
 
-  initSchema() {
+  initSchema({ migrate = true } = {}) {
     // Enable foreign keys
     this.db.pragma('foreign_keys = ON');
-    
-    // Sessions table - tracks overall session data
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS sessions (
-        id TEXT PRIMARY KEY,
-        project_path TEXT NOT NULL,
-        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        ended_at DATETIME,
-        total_input_tokens INTEGER DEFAULT 0,
-        total_output_tokens INTEGER DEFAULT 0,
-        total_cache_creation_tokens INTEGER DEFAULT 0,
-        total_cache_read_tokens INTEGER DEFAULT 0,
-        total_cost_usd REAL DEFAULT 0,
-        api_duration_ms INTEGER DEFAULT 0,
-        total_duration_ms INTEGER DEFAULT 0,
-        lines_added INTEGER DEFAULT 0,
-        lines_removed INTEGER DEFAULT 0,
-        web_search_requests INTEGER DEFAULT 0
-      )
-    `);
+    // WAL lets reports read while the tracker writes; writers that collide
+    // (the tracker and e.g. `ingest` or `db compact`) wait instead of failing
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma(`busy_timeout = ${BUSY_TIMEOUT_MS}`);
 
-    // Conversations table - tracks individual conversations within sessions
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS conversations (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        session_id TEXT NOT NULL,
-        conversation_index INTEGER NOT NULL,
-        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        ended_at DATETIME,
-        input_tokens INTEGER DEFAULT 0,
-        output_tokens INTEGER DEFAULT 0,
-        cache_creation_tokens INTEGER DEFAULT 0,
-        cache_read_tokens INTEGER DEFAULT 0,
-        cost_usd REAL DEFAULT 0
-      )
-    `);
+    this.migrations = new MigrationRunner(this.db, this.dbPath, { hostname: this.hostname });
+    if (!migrate) return;
 
-    // Session snapshots - stores raw data from .claude.json
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS session_snapshots (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        session_id TEXT NOT NULL,
-        project_path TEXT NOT NULL,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-        raw_data TEXT NOT NULL,
-        input_tokens INTEGER,
-        output_tokens INTEGER,
-        cache_creation_tokens INTEGER,
-        cache_read_tokens INTEGER,
-        cost_usd REAL
-      )
-    `);
+    const result = this.migrations.migrate();
+    if (result.backupPath) {
+      console.log(`🗄️ Migrated database v${result.fromVersion} → v${result.toVersion} (backup: ${result.backupPath})`);
+    }
+  }
 
-    // Create indexes for better query performance
-    this.db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_sessions_project ON sessions (project_path);
-      CREATE INDEX IF NOT EXISTS idx_sessions_started ON sessions (started_at);
-      CREATE INDEX IF NOT EXISTS idx_conversations_session ON conversations (session_id);
-      CREATE INDEX IF NOT EXISTS idx_snapshots_session ON session_snapshots (session_id);
-      CREATE INDEX IF NOT EXISTS idx_snapshots_timestamp ON session_snapshots (timestamp);
-    `);
+  // Run fn in one write transaction, taken up front (BEGIN IMMEDIATE) so
+  // it waits out busy_timeout instead of failing when it starts writing.
+  // The snapshot hash cache may then hold hashes of rolled-back rows, so
+  // it is dropped when fn throws.
+  transaction(fn) {
+    try {
+      return this.db.transaction(fn).immediate();
+    } catch (error) {
+      this.lastSnapshotHashes.clear();
+      throw error;
+    }
+  }
+
+  // Hash of a snapshot's serialized raw_data, used to skip unchanged polls
+  static hashContent(rawData) {
+    return crypto.createHash('sha1').update(rawData).digest('hex');
   }
 
-  // Record a new session snapshot
-  recordSnapshot(sessionId, projectPath, data) {
+  // Record a new session snapshot, skipping it when the content is identical
+  // to the last one stored for the session. Returns null when skipped.
+  // `data` is the source's raw record, `snapshot` its normalized counters
+  // (see adapters/base.js). `git` is the checkout's { branch, head } when
+  // known (see git-info.js).
+  recordSnapshot(sessionId, projectPath, data, snapshot, git = null) {
+    const rawData = JSON.stringify(data);
+    const contentHash = TokenDatabase.hashContent(rawData);
+
+    if (!this.lastSnapshotHashes.has(sessionId)) {
+      const last = this.db.prepare(
+        'SELECT content_hash FROM session_snapshots WHERE session_id = ? ORDER BY id DESC LIMIT 1'
+      ).get(sessionId);
+      this.lastSnapshotHashes.set(sessionId, last ? last.content_hash : null);
+    }
+
+    if (this.lastSnapshotHashes.get(sessionId) === contentHash) {
+      return null;
+    }
+
     const stmt = this.db.prepare(`
       INSERT INTO session_snapshots 
       (session_id, project_path, raw_data, input_tokens, output_tokens, 
-       cache_creation_tokens, cache_read_tokens, cost_usd)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       cache_creation_tokens, cache_read_tokens, cost_usd, content_hash, source_host,
+       git_branch, git_head)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
-    return stmt.run(
+    const result = stmt.run(
       sessionId,
       projectPath,
-      JSON.stringify(data),
-      data.lastTotalInputTokens || 0,
-      data.lastTotalOutputTokens || 0,
-      data.lastTotalCacheCreationInputTokens || 0,
-      data.lastTotalCacheReadInputTokens || 0,
-      data.lastCost || 0
+      rawData,
+      snapshot.inputTokens,
+      snapshot.outputTokens,
+      snapshot.cacheCreationTokens,
+      snapshot.cacheReadTokens,
+      snapshot.cost,
+      contentHash,
+      this.hostname,
+      git?.branch ?? null,
+      git?.head ?? null
     );
+
+    this.lastSnapshotHashes.set(sessionId, contentHash);
+    return result;
   }
 
-  // Get or create a session
-  getOrCreateSession(sessionId, projectPath) {
+  // Get or create a session. startedAt is the best known start time; it
+  // defaults to now for sessions seen as they begin. `git` is the branch and
+  // HEAD the session started on.
+  getOrCreateSession(sessionId, projectPath, startedAt = null, git = null) {
     let session = this.db.prepare('SELECT * FROM sessions WHERE id = ?').get(sessionId);
     
     if (!session) {
       const stmt = this.db.prepare(`
-        INSERT INTO sessions (id, project_path) 
-        VALUES (?, ?)
+        INSERT INTO sessions (id, project_path, source_host, started_at, git_branch, git_head) 
+        VALUES (?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?, ?)
       `);
-      stmt.run(sessionId, projectPath);
+      stmt.run(
+        sessionId, projectPath, this.hostname, startedAt ? toSqlTimestamp(startedAt) : null,
+        git?.branch ?? null, git?.head ?? null
+      );
       session = this.db.prepare('SELECT * FROM sessions WHERE id = ?').get(sessionId);
     }
     
     return session;
   }
 
-  // Update session with latest data
-  updateSession(sessionId, data) {
+  // Move a session's start back to an earlier activity time; a later time
+  // leaves it alone
+  moveSessionStart(sessionId, startedAt) {
+    const start = toSqlTimestamp(startedAt);
+    this.db.prepare('UPDATE sessions SET started_at = ? WHERE id = ? AND started_at > ?').run(start, sessionId, start);
+  }
+
+  // Update session totals from a normalized snapshot: the counters plus what
+  // they had reached before earlier restarts (counter_offset). ended_at is
+  // only moved by markSessionActivity, so polling an idle session does not
+  // keep extending it.
+  updateSession(sessionId, snapshot) {
+    const offset = field => `COALESCE(json_extract(counter_offset, '$.${field}'), 0)`;
     const stmt = this.db.prepare(`
       UPDATE sessions SET
-        ended_at = CURRENT_TIMESTAMP,
-        total_input_tokens = ?,
-        total_output_tokens = ?,
-        total_cache_creation_tokens = ?,
-        total_cache_read_tokens = ?,
-        total_cost_usd = ?,
-        api_duration_ms = ?,
-        total_duration_ms = ?,
-        lines_added = ?,
-        lines_removed = ?,
-        web_search_requests = ?
+        total_input_tokens = ? + ${offset('inputTokens')},
+        total_output_tokens = ? + ${offset('outputTokens')},
+        total_cache_creation_tokens = ? + ${offset('cacheCreationTokens')},
+        total_cache_read_tokens = ? + ${offset('cacheReadTokens')},
+        total_cost_usd = ? + ${offset('cost')},
+        api_duration_ms = ? + ${offset('apiDuration')},
+        total_duration_ms = ? + ${offset('totalDuration')},
+        lines_added = ? + ${offset('linesAdded')},
+        lines_removed = ? + ${offset('linesRemoved')},
+        web_search_requests = ? + ${offset('webSearchRequests')}
       WHERE id = ?
     `);
 
     return stmt.run(
-      data.lastTotalInputTokens || 0,
-      data.lastTotalOutputTokens || 0,
-      data.lastTotalCacheCreationInputTokens || 0,
-      data.lastTotalCacheReadInputTokens || 0,
-      data.lastCost || 0,
-      data.lastAPIDuration || 0,
-      data.lastDuration || 0,
-      data.lastLinesAdded || 0,
-      data.lastLinesRemoved || 0,
-      data.lastTotalWebSearchRequests || 0,
+      snapshot.inputTokens,
+      snapshot.outputTokens,
+      snapshot.cacheCreationTokens,
+      snapshot.cacheReadTokens,
+      snapshot.cost,
+      snapshot.apiDuration,
+      snapshot.totalDuration,
+      snapshot.linesAdded,
+      snapshot.linesRemoved,
+      snapshot.webSearchRequests,
       sessionId
     );
   }
 
-  // Calculate and record conversation deltas
-  recordConversation(sessionId, deltaTokens) {
+  // Counters a session reached before its counters restarted (see
+  // snapshot-deltas.js), or null
+  getCounterOffset(sessionId) {
+    const offset = this.db.prepare('SELECT counter_offset FROM sessions WHERE id = ?').pluck().get(sessionId);
+    return offset ? JSON.parse(offset) : null;
+  }
+
+  setCounterOffset(sessionId, offset) {
+    return this.db.prepare('UPDATE sessions SET counter_offset = ? WHERE id = ?')
+      .run(offset ? JSON.stringify(offset) : null, sessionId);
+  }
+
+  // The session did something at `at`: it ended no earlier than that
+  markSessionActivity(sessionId, at = new Date()) {
+    return this.db.prepare(`
+      UPDATE sessions SET ended_at = ?
+      WHERE id = ? AND (ended_at IS NULL OR ended_at < ?)
+    `).run(toSqlTimestamp(at), sessionId, toSqlTimestamp(at));
+  }
+
+  // Calculate and record conversation deltas, with the branch and HEAD
+  // checked out when they were seen
+  recordConversation(sessionId, deltaTokens, git = null) {
     const conversationCount = this.db.prepare(
       'SELECT COUNT(*) as count FROM conversations WHERE session_id = ?'
     ).get(sessionId).count;
@@ -163,8 +297,9 @@ export class TokenDatabase {
     const stmt = this.db.prepare(`
       INSERT INTO conversations 
       (session_id, conversation_index, input_tokens, output_tokens, 
-       cache_creation_tokens, cache_read_tokens, cost_usd)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+       cache_creation_tokens, cache_read_tokens, cost_usd, source_host,
+       lines_added, lines_removed, git_branch, git_head)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     return stmt.run(
@@ -174,10 +309,105 @@ export class TokenDatabase {
       deltaTokens.output || 0,
       deltaTokens.cacheCreation || 0,
       deltaTokens.cacheRead || 0,
-      deltaTokens.cost || 0
+      deltaTokens.cost || 0,
+      this.hostname,
+      deltaTokens.linesAdded || 0,
+      deltaTokens.linesRemoved || 0,
+      git?.branch ?? null,
+      git?.head ?? null
     );
   }
 
+  // Record (or refresh) a single assistant message from a transcript.
+  // Claude Code writes one line per content block, all sharing the same
+  // message id, so repeated lines are merged instead of double counted.
+  recordMessage(message) {
+    const stmt = this.db.prepare(`
+      INSERT INTO messages
+      (session_id, message_id, request_id, model, timestamp, input_tokens, output_tokens,
+       cache_creation_tokens, cache_creation_5m_tokens, cache_creation_1h_tokens,
+       cache_read_tokens, web_search_requests, is_sidechain, source_file, expected_cost_usd)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (session_id, message_id) DO UPDATE SET
+        request_id = COALESCE(excluded.request_id, request_id),
+        model = COALESCE(excluded.model, model),
+        input_tokens = MAX(input_tokens, excluded.input_tokens),
+        output_tokens = MAX(output_tokens, excluded.output_tokens),
+        cache_creation_tokens = MAX(cache_creation_tokens, excluded.cache_creation_tokens),
+        cache_creation_5m_tokens = MAX(cache_creation_5m_tokens, excluded.cache_creation_5m_tokens),
+        cache_creation_1h_tokens = MAX(cache_creation_1h_tokens, excluded.cache_creation_1h_tokens),
+        cache_read_tokens = MAX(cache_read_tokens, excluded.cache_read_tokens),
+        web_search_requests = MAX(web_search_requests, excluded.web_search_requests),
+        expected_cost_usd = MAX(COALESCE(expected_cost_usd, excluded.expected_cost_usd), COALESCE(excluded.expected_cost_usd, expected_cost_usd))
+    `);
+
+    return stmt.run(
+      message.sessionId,
+      message.messageId,
+      message.requestId || null,
+      message.model || null,
+      messageTimestamp(message.timestamp),
+      message.inputTokens || 0,
+      message.outputTokens || 0,
+      message.cacheCreationTokens || 0,
+      message.cacheCreation5mTokens || 0,
+      message.cacheCreation1hTokens || 0,
+      message.cacheReadTokens || 0,
+      message.webSearchRequests || 0,
+      message.isSidechain ? 1 : 0,
+      message.sourceFile || null,
+      message.expectedCost ?? null
+    );
+  }
+
+  // Get the stored read position for a transcript file
+  getTranscriptFile(filePath) {
+    return this.db.prepare('SELECT * FROM transcript_files WHERE path = ?').get(filePath);
+  }
+
+  // Remember how far a transcript file has been ingested
+  updateTranscriptFile(filePath, size, mtimeMs, offset) {
+    return this.db.prepare(`
+      INSERT INTO transcript_files (path, size, mtime_ms, offset, ingested_at)
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT (path) DO UPDATE SET
+        size = excluded.size,
+        mtime_ms = excluded.mtime_ms,
+        offset = excluded.offset,
+        ingested_at = CURRENT_TIMESTAMP
+    `).run(filePath, size, mtimeMs, offset);
+  }
+
+  // Get per-model message totals for a session
+  getSessionModelBreakdown(sessionId) {
+    return this.db.prepare(`
+      SELECT 
+        COALESCE(model, 'unknown') as model,
+        COUNT(*) as message_count,
+        SUM(input_tokens) as input_tokens,
+        SUM(output_tokens) as output_tokens,
+        SUM(cache_creation_tokens) as cache_creation_tokens,
+        SUM(cache_read_tokens) as cache_read_tokens
+      FROM messages
+      WHERE session_id = ?
+      GROUP BY model
+      ORDER BY message_count DESC
+    `).all(sessionId);
+  }
+
+  // Store a session's recomputed cost and the model it was priced with
+  updateExpectedCost(sessionId, expectedCost, model) {
+    return this.db.prepare(
+      'UPDATE sessions SET expected_cost_usd = ?, cost_model = ? WHERE id = ?'
+    ).run(expectedCost, model, sessionId);
+  }
+
+  updateMessageExpectedCost(messageRowId, expectedCost) {
+    return this.db.prepare(
+      'UPDATE messages SET expected_cost_usd = ? WHERE id = ?'
+    ).run(expectedCost, messageRowId);
+  }
+
   // Get session summary
   getSessionSummary(sessionId) {
     return this.db.prepare(`
@@ -213,7 +443,8 @@ export class TokenDatabase {
   }
 
   // Get all projects
-  getAllProjects() {
+  getAllProjects(filters = {}) {
+    const { sql, params } = sessionFilters(filters);
     return this.db.prepare(`
       SELECT 
         project_path,
@@ -224,43 +455,150 @@ export class TokenDatabase {
         MAX(CASE WHEN id NOT LIKE 'placeholder-%' THEN ended_at END) as last_activity,
         COUNT(CASE WHEN id LIKE 'placeholder-%' THEN 1 END) as is_placeholder
       FROM sessions 
+      WHERE 1 = 1 ${sql}
       GROUP BY project_path
       ORDER BY 
         CASE WHEN MAX(CASE WHEN id NOT LIKE 'placeholder-%' THEN ended_at END) IS NOT NULL 
              THEN MAX(CASE WHEN id NOT LIKE 'placeholder-%' THEN ended_at END) 
              ELSE '1900-01-01' END DESC
-    `).all();
+    `).all(...params);
   }
 
-  // Get recent sessions
-  getRecentSessions(limit = 10) {
+  // Get recent sessions, optionally filtered by project/date and paginated
+  getRecentSessions(limit = 10, filters = {}) {
+    const { sql, params } = sessionFilters(filters);
     return this.db.prepare(`
       SELECT 
         id, project_path, started_at, ended_at,
         total_input_tokens, total_output_tokens, total_cost_usd
       FROM sessions 
+      WHERE 1 = 1 ${sql}
       ORDER BY started_at DESC 
-      LIMIT ?
-    `).all(limit);
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, filters.offset || 0);
   }
 
-  // Get daily usage stats
-  getDailyStats(days = 7) {
+  // Full per-session totals (placeholders excluded) for reports that
+  // aggregate in their own way
+  getSessionTotals(filters = {}) {
+    const { sql, params } = sessionFilters(filters);
+    return this.db.prepare(`
+      SELECT
+        id, project_path, started_at, ended_at,
+        total_input_tokens, total_output_tokens,
+        total_cache_creation_tokens, total_cache_read_tokens,
+        total_cost_usd, expected_cost_usd
+      FROM sessions
+      WHERE id NOT LIKE 'placeholder-%' ${sql}
+      ORDER BY started_at
+    `).all(...params);
+  }
+
+  // Per-machine totals for databases merged from several hosts
+  getHostTotals(filters = {}) {
+    const { sql, params } = sessionFilters(filters);
+    return this.db.prepare(`
+      SELECT
+        source_host as host,
+        COUNT(*) as session_count,
+        SUM(total_input_tokens) as total_input,
+        SUM(total_output_tokens) as total_output,
+        SUM(total_cost_usd) as total_cost,
+        MAX(ended_at) as last_activity
+      FROM sessions
+      WHERE id NOT LIKE 'placeholder-%' ${sql}
+      GROUP BY source_host
+      ORDER BY total_cost DESC
+    `).all(...params);
+  }
+
+  // Session totals per value of tag `key`; tag is null for untagged sessions
+  getTagTotals(key, filters = {}) {
+    const { sql, params } = sessionFilters(filters);
+    return this.db.prepare(`
+      SELECT
+        ${tagValueSql(key)} as tag,
+        COUNT(*) as session_count,
+        COUNT(DISTINCT project_path) as project_count,
+        SUM(total_input_tokens) as total_input,
+        SUM(total_output_tokens) as total_output,
+        SUM(total_cost_usd) as total_cost,
+        MAX(ended_at) as last_activity
+      FROM sessions
+      WHERE id NOT LIKE 'placeholder-%' ${sql}
+      GROUP BY tag
+      ORDER BY total_cost DESC
+    `).all(...params);
+  }
+
+  countSessions(filters = {}) {
+    const { sql, params } = sessionFilters(filters);
+    return this.db.prepare(`SELECT COUNT(*) as count FROM sessions WHERE 1 = 1 ${sql}`).get(...params).count;
+  }
+
+  // Usage per day, week or month of the reporting zone, for the last
+  // `count` periods including the current one. filters.groupBy splits each
+  // period by the value of that tag key.
+  getUsageByPeriod(period = 'day', count = 7, filters = {}, now = new Date()) {
+    const { sql, params } = sessionFilters(filters);
+    const since = toSqlTimestamp(periodWindowStart(now, period, count, this.zone));
+    const groupBy = filters.groupBy;
     return this.db.prepare(`
       SELECT 
-        DATE(started_at) as date,
+        local_period(started_at, ?) as period,
+        ${groupBy ? `${tagValueSql(groupBy)} as tag,` : ''}
         COUNT(*) as session_count,
-        SUM(total_input_tokens) as daily_input,
-        SUM(total_output_tokens) as daily_output,
-        SUM(total_cost_usd) as daily_cost
+        SUM(total_input_tokens) as total_input,
+        SUM(total_output_tokens) as total_output,
+        SUM(total_cost_usd) as total_cost
       FROM sessions 
-      WHERE started_at >= datetime('now', '-' || ? || ' days')
-      GROUP BY DATE(started_at)
-      ORDER BY date DESC
-    `).all(days);
+      WHERE started_at >= ? ${sql}
+      GROUP BY period${groupBy ? ', tag' : ''}
+      ORDER BY period DESC${groupBy ? ', total_cost DESC' : ''}
+    `).all(period, since, ...params);
+  }
+
+  // Get daily usage stats
+  getDailyStats(days = 7, filters = {}) {
+    return this.getUsageByPeriod('day', days, filters).map(row => ({
+      date: row.period,
+      session_count: row.session_count,
+      daily_input: row.total_input,
+      daily_output: row.total_output,
+      daily_cost: row.total_cost
+    }));
+  }
+
+  // Get the conversation deltas of a session in order
+  getSessionConversations(sessionId, { limit = -1, offset = 0 } = {}) {
+    return this.db.prepare(`
+      SELECT * FROM conversations
+      WHERE session_id = ?
+      ORDER BY conversation_index
+      LIMIT ? OFFSET ?
+    `).all(sessionId, limit, offset);
+  }
+
+  // Expand a session id prefix to the full id when it is unambiguous
+  resolveSessionId(prefix) {
+    const matches = this.db.prepare(
+      `SELECT id FROM sessions WHERE id LIKE ? || '%' LIMIT 2`
+    ).all(prefix);
+    return matches.length === 1 ? matches[0].id : (matches.find(m => m.id === prefix) || {}).id || null;
   }
 
   close() {
     this.db.close();
   }
-}
\ No newline at end of file
+}
+
+// CLI execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const db = new TokenDatabase();
+
+  if (process.argv[2] === 'init') {
+    console.log(`✅ Database ready at ${db.dbPath} (schema v${db.migrations.currentVersion()})`);
+  }
+
+  db.close();
+}
@@ -0,0 +1,334 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import Database from 'better-sqlite3';
+import { TokenDatabase } from './database.js';
+import { loadConfig } from './config.js';
+import { SESSION_STATES } from './session-lifecycle.js';
+import { mergeCounterOffsets } from './snapshot-deltas.js';
+
+// NDJSON rows are imported in transactions of this many rows
+const IMPORT_BATCH_SIZE = 500;
+
+// `export --entity sessions` renames the session total columns
+const SESSION_EXPORT_COLUMNS = {
+  input_tokens: 'total_input_tokens',
+  output_tokens: 'total_output_tokens',
+  cache_creation_tokens: 'total_cache_creation_tokens',
+  cache_read_tokens: 'total_cache_read_tokens',
+  cost_usd: 'total_cost_usd'
+};
+
+function emptyStats() {
+  return {
+    sessions: { inserted: 0, merged: 0 },
+    conversations: { inserted: 0, skipped: 0 },
+    snapshots: { inserted: 0, skipped: 0 }
+  };
+}
+
+// Merges sessions, conversations and snapshots recorded on other machines
+// into the local database. Every operation is idempotent: sessions keep the
+// max of each total and counter offset, a closed session stays closed,
+// conversations and snapshots already present are skipped, so merging the
+// same source twice changes nothing.
+export class DatabaseMerger {
+  constructor(db = null, options = {}) {
+    this.config = loadConfig(options);
+    this.ownsDb = !db;
+    this.db = db || new TokenDatabase({ dbPath: this.config.dbPath });
+    this.prepareStatements();
+  }
+
+  prepareStatements() {
+    const db = this.db.db;
+
+    this.upsertSession = db.prepare(`
+      INSERT INTO sessions (
+        id, project_path, started_at, ended_at,
+        total_input_tokens, total_output_tokens, total_cache_creation_tokens, total_cache_read_tokens,
+        total_cost_usd, api_duration_ms, total_duration_ms, lines_added, lines_removed,
+        web_search_requests, expected_cost_usd, cost_model, source_host, git_branch, git_head,
+        state, close_reason, counter_offset
+      ) VALUES (
+        @id, @project_path, @started_at, @ended_at,
+        @total_input_tokens, @total_output_tokens, @total_cache_creation_tokens, @total_cache_read_tokens,
+        @total_cost_usd, @api_duration_ms, @total_duration_ms, @lines_added, @lines_removed,
+        @web_search_requests, @expected_cost_usd, @cost_model, @source_host, @git_branch, @git_head,
+        @state, @close_reason, @counter_offset
+      )
+      ON CONFLICT (id) DO UPDATE SET
+        started_at = CASE WHEN excluded.started_at < started_at THEN excluded.started_at ELSE started_at END,
+        ended_at = CASE WHEN excluded.ended_at > COALESCE(ended_at, '') THEN excluded.ended_at ELSE ended_at END,
+        total_input_tokens = MAX(total_input_tokens, excluded.total_input_tokens),
+        total_output_tokens = MAX(total_output_tokens, excluded.total_output_tokens),
+        total_cache_creation_tokens = MAX(total_cache_creation_tokens, excluded.total_cache_creation_tokens),
+        total_cache_read_tokens = MAX(total_cache_read_tokens, excluded.total_cache_read_tokens),
+        total_cost_usd = MAX(total_cost_usd, excluded.total_cost_usd),
+        api_duration_ms = MAX(api_duration_ms, excluded.api_duration_ms),
+        total_duration_ms = MAX(total_duration_ms, excluded.total_duration_ms),
+        lines_added = MAX(lines_added, excluded.lines_added),
+        lines_removed = MAX(lines_removed, excluded.lines_removed),
+        web_search_requests = MAX(web_search_requests, excluded.web_search_requests),
+        expected_cost_usd = COALESCE(MAX(expected_cost_usd, excluded.expected_cost_usd), expected_cost_usd, excluded.expected_cost_usd),
+        cost_model = COALESCE(cost_model, excluded.cost_model),
+        source_host = COALESCE(source_host, excluded.source_host),
+        git_branch = COALESCE(git_branch, excluded.git_branch),
+        git_head = COALESCE(git_head, excluded.git_head),
+        state = CASE
+          WHEN state = 'closed' OR excluded.state = 'closed' THEN 'closed'
+          WHEN state = 'idle' OR excluded.state = 'idle' THEN 'idle'
+          ELSE state
+        END,
+        close_reason = CASE WHEN state = 'closed' THEN close_reason ELSE excluded.close_reason END,
+        counter_offset = excluded.counter_offset
+    `);
+    this.sessionExists = db.prepare('SELECT 1 FROM sessions WHERE id = ?');
+    // Conversations imported without their session still need a parent row
+    this.ensureSession = db.prepare(`
+      INSERT OR IGNORE INTO sessions (id, project_path, started_at, source_host) VALUES (?, ?, ?, ?)
+    `);
+
+    this.conversationExists = db.prepare(`
+      SELECT 1 FROM conversations WHERE session_id = ? AND conversation_index = ? AND started_at IS ?
+    `);
+    this.insertConversation = db.prepare(`
+      INSERT INTO conversations (
+        session_id, conversation_index, started_at, ended_at, input_tokens, output_tokens,
+        cache_creation_tokens, cache_read_tokens, cost_usd, source_host,
+        lines_added, lines_removed, git_branch, git_head
+      ) VALUES (
+        @session_id, @conversation_index, @started_at, @ended_at, @input_tokens, @output_tokens,
+        @cache_creation_tokens, @cache_read_tokens, @cost_usd, @source_host,
+        @lines_added, @lines_removed, @git_branch, @git_head
+      )
+    `);
+
+    this.snapshotExists = db.prepare(`
+      SELECT 1 FROM session_snapshots WHERE session_id = ? AND timestamp IS ? AND content_hash = ?
+    `);
+    this.insertSnapshot = db.prepare(`
+      INSERT INTO session_snapshots (
+        session_id, project_path, timestamp, raw_data, input_tokens, output_tokens,
+        cache_creation_tokens, cache_read_tokens, cost_usd, content_hash, granularity, source_host,
+        git_branch, git_head
+      ) VALUES (
+        @session_id, @project_path, @timestamp, @raw_data, @input_tokens, @output_tokens,
+        @cache_creation_tokens, @cache_read_tokens, @cost_usd, @content_hash, @granularity, @source_host,
+        @git_branch, @git_head
+      )
+    `);
+  }
+
+  // Rows must carry a source_host unless the caller names the machine
+  hostFor(row, sourceHost) {
+    const host = row.source_host || sourceHost;
+    if (!host) {
+      throw new Error('Rows have no source_host; pass --source-host <name> to say which machine they came from');
+    }
+    return host;
+  }
+
+  mergeSession(row, sourceHost, stats) {
+    if (row.id.startsWith('placeholder-')) return;
+
+    const existed = Boolean(this.sessionExists.get(row.id));
+    const state = SESSION_STATES.includes(row.state) ? row.state : 'active';
+    // Totals include the offset, so it comes along, combined with ours
+    const offset = mergeCounterOffsets(
+      this.db.getCounterOffset(row.id),
+      typeof row.counter_offset === 'string' ? JSON.parse(row.counter_offset) : row.counter_offset ?? null
+    );
+    this.upsertSession.run({
+      id: row.id,
+      project_path: row.project_path,
+      started_at: row.started_at ?? null,
+      ended_at: row.ended_at ?? null,
+      total_input_tokens: row.total_input_tokens || 0,
+      total_output_tokens: row.total_output_tokens || 0,
+      total_cache_creation_tokens: row.total_cache_creation_tokens || 0,
+      total_cache_read_tokens: row.total_cache_read_tokens || 0,
+      total_cost_usd: row.total_cost_usd || 0,
+      api_duration_ms: row.api_duration_ms || 0,
+      total_duration_ms: row.total_duration_ms || 0,
+      lines_added: row.lines_added || 0,
+      lines_removed: row.lines_removed || 0,
+      web_search_requests: row.web_search_requests || 0,
+      expected_cost_usd: row.expected_cost_usd ?? null,
+      cost_model: row.cost_model ?? null,
+      source_host: this.hostFor(row, sourceHost),
+      git_branch: row.git_branch ?? null,
+      git_head: row.git_head ?? null,
+      state,
+      close_reason: state === 'closed' ? row.close_reason ?? null : null,
+      counter_offset: offset ? JSON.stringify(offset) : null
+    });
+    stats.sessions[existed ? 'merged' : 'inserted']++;
+  }
+
+  mergeConversation(row, sourceHost, stats) {
+    const startedAt = row.started_at ?? null;
+    if (this.conversationExists.get(row.session_id, row.conversation_index, startedAt)) {
+      stats.conversations.skipped++;
+      return;
+    }
+
+    const host = this.hostFor(row, sourceHost);
+    if (row.project_path) {
+      this.ensureSession.run(row.session_id, row.project_path, startedAt, host);
+    }
+
+    this.insertConversation.run({
+      session_id: row.session_id,
+      conversation_index: row.conversation_index,
+      started_at: startedAt,
+      ended_at: row.ended_at ?? null,
+      input_tokens: row.input_tokens || 0,
+      output_tokens: row.output_tokens || 0,
+      cache_creation_tokens: row.cache_creation_tokens || 0,
+      cache_read_tokens: row.cache_read_tokens || 0,
+      cost_usd: row.cost_usd || 0,
+      source_host: host,
+      lines_added: row.lines_added || 0,
+      lines_removed: row.lines_removed || 0,
+      git_branch: row.git_branch ?? null,
+      git_head: row.git_head ?? null
+    });
+    stats.conversations.inserted++;
+  }
+
+  mergeSnapshot(row, sourceHost, stats) {
+    if (typeof row.raw_data !== 'string') {
+      throw new Error(`Snapshot ${row.id ?? ''} has no raw_data; re-export it with a current version`);
+    }
+
+    const contentHash = row.content_hash || TokenDatabase.hashContent(row.raw_data);
+    const timestamp = row.timestamp ?? null;
+    if (this.snapshotExists.get(row.session_id, timestamp, contentHash)) {
+      stats.snapshots.skipped++;
+      return;
+    }
+
+    this.insertSnapshot.run({
+      session_id: row.session_id,
+      project_path: row.project_path,
+      timestamp,
+      raw_data: row.raw_data,
+      input_tokens: row.input_tokens ?? null,
+      output_tokens: row.output_tokens ?? null,
+      cache_creation_tokens: row.cache_creation_tokens ?? null,
+      cache_read_tokens: row.cache_read_tokens ?? null,
+      cost_usd: row.cost_usd ?? null,
+      content_hash: contentHash,
+      granularity: row.granularity || 'full',
+      source_host: this.hostFor(row, sourceHost),
+      git_branch: row.git_branch ?? null,
+      git_head: row.git_head ?? null
+    });
+    stats.snapshots.inserted++;
+  }
+
+  // Merge another tracker database. It is opened read-only and never
+  // migrated, so older schemas work as long as the core tables exist.
+  mergeDatabase(otherPath, { sourceHost } = {}) {
+    const resolved = path.resolve(otherPath);
+    if (resolved === path.resolve(this.db.dbPath)) {
+      throw new Error('Refusing to merge a database into itself');
+    }
+
+    const source = new Database(resolved, { readonly: true, fileMustExist: true });
+    const stats = emptyStats();
+
+    try {
+      const tables = new Set(source.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").pluck().all());
+      for (const table of ['sessions', 'conversations', 'session_snapshots']) {
+        if (!tables.has(table)) {
+          throw new Error(`${otherPath} has no ${table} table - is it a claude-tokens database?`);
+        }
+      }
+
+      this.db.db.transaction(() => {
+        for (const row of source.prepare('SELECT * FROM sessions ORDER BY started_at').iterate()) {
+          this.mergeSession(row, sourceHost, stats);
+        }
+        for (const row of source.prepare(`
+          SELECT c.*, s.project_path FROM conversations c
+          LEFT JOIN sessions s ON s.id = c.session_id
+          ORDER BY c.session_id, c.conversation_index
+        `).iterate()) {
+          this.mergeConversation(row, sourceHost, stats);
+        }
+        for (const row of source.prepare('SELECT * FROM session_snapshots ORDER BY id').iterate()) {
+          this.mergeSnapshot(row, sourceHost, stats);
+        }
+      })();
+    } finally {
+      source.close();
+    }
+
+    return stats;
+  }
+
+  // Import an NDJSON file written by `export --format ndjson`. The entity is
+  // read from the export's manifest unless given explicitly.
+  async importNdjson(filePath, { entity, sourceHost } = {}) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+
+    const manifestPath = `${filePath}.manifest.json`;
+    if (!entity && fs.existsSync(manifestPath)) {
+      entity = JSON.parse(fs.readFileSync(manifestPath, 'utf8')).entity;
+    }
+    const merge = {
+      sessions: (row, stats) => this.mergeSession(this.fromSessionExport(row), sourceHost, stats),
+      conversations: (row, stats) => this.mergeConversation(row, sourceHost, stats),
+      snapshots: (row, stats) => this.mergeSnapshot(row, sourceHost, stats)
+    }[entity];
+    if (!merge) {
+      throw new Error(`Cannot import entity "${entity}" - pass --entity sessions, conversations or snapshots`);
+    }
+
+    const stats = emptyStats();
+    const applyBatch = this.db.db.transaction(rows => rows.forEach(row => merge(row, stats)));
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+
+    let batch = [];
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+
+      try {
+        batch.push(JSON.parse(line));
+      } catch (error) {
+        throw new Error(`${filePath}:${lineNumber}: ${error.message}`);
+      }
+
+      if (batch.length >= IMPORT_BATCH_SIZE) {
+        applyBatch(batch);
+        batch = [];
+      }
+    }
+    applyBatch(batch);
+
+    return stats;
+  }
+
+  fromSessionExport(row) {
+    const result = { ...row };
+    for (const [exported, column] of Object.entries(SESSION_EXPORT_COLUMNS)) {
+      if (exported in row) {
+        result[column] = row[exported];
+        delete result[exported];
+      }
+    }
+    return result;
+  }
+
+  close() {
+    if (this.ownsDb) {
+      this.db.close();
+    }
+  }
+}
@@ -0,0 +1,271 @@
+import fs from 'fs';
+import { TokenDatabase, tagValueSql } from './database.js';
+import { loadConfig } from './config.js';
+
+export const EXPORT_FORMATS = ['csv', 'ndjson', 'json'];
+
+// Flush buffered output once it grows past this many characters
+const WRITE_CHUNK_SIZE = 64 * 1024;
+
+// Exportable entities. Columns are [name, type, SQL expression]; types are
+// what the manifest advertises: integer, real, text, date ("YYYY-MM-DD") or
+// timestamp (UTC, "YYYY-MM-DD HH:MM:SS"). timeColumn/projectColumn back the
+// filters; sessionColumn/projectColumn resolve tags.
+export const EXPORT_ENTITIES = {
+  sessions: {
+    from: 'sessions s',
+    where: "s.id NOT LIKE 'placeholder-%'",
+    timeColumn: 's.started_at',
+    projectColumn: 's.project_path',
+    sessionColumn: 's.id',
+    orderBy: 's.started_at, s.id',
+    columns: [
+      ['id', 'text', 's.id'],
+      ['project_path', 'text', 's.project_path'],
+      ['started_at', 'timestamp', 's.started_at'],
+      ['ended_at', 'timestamp', 's.ended_at'],
+      ['input_tokens', 'integer', 's.total_input_tokens'],
+      ['output_tokens', 'integer', 's.total_output_tokens'],
+      ['cache_creation_tokens', 'integer', 's.total_cache_creation_tokens'],
+      ['cache_read_tokens', 'integer', 's.total_cache_read_tokens'],
+      ['cost_usd', 'real', 's.total_cost_usd'],
+      ['expected_cost_usd', 'real', 's.expected_cost_usd'],
+      ['cost_model', 'text', 's.cost_model'],
+      ['api_duration_ms', 'integer', 's.api_duration_ms'],
+      ['total_duration_ms', 'integer', 's.total_duration_ms'],
+      ['lines_added', 'integer', 's.lines_added'],
+      ['lines_removed', 'integer', 's.lines_removed'],
+      ['web_search_requests', 'integer', 's.web_search_requests'],
+      ['source_host', 'text', 's.source_host'],
+      ['git_branch', 'text', 's.git_branch'],
+      ['git_head', 'text', 's.git_head'],
+      ['state', 'text', 's.state'],
+      ['close_reason', 'text', 's.close_reason'],
+      ['counter_offset', 'text', 's.counter_offset']
+    ]
+  },
+  conversations: {
+    from: 'conversations c JOIN sessions s ON s.id = c.session_id',
+    timeColumn: 'c.started_at',
+    projectColumn: 's.project_path',
+    sessionColumn: 's.id',
+    orderBy: 'c.started_at, c.id',
+    columns: [
+      ['id', 'integer', 'c.id'],
+      ['session_id', 'text', 'c.session_id'],
+      ['project_path', 'text', 's.project_path'],
+      ['conversation_index', 'integer', 'c.conversation_index'],
+      ['started_at', 'timestamp', 'c.started_at'],
+      ['ended_at', 'timestamp', 'c.ended_at'],
+      ['input_tokens', 'integer', 'c.input_tokens'],
+      ['output_tokens', 'integer', 'c.output_tokens'],
+      ['cache_creation_tokens', 'integer', 'c.cache_creation_tokens'],
+      ['cache_read_tokens', 'integer', 'c.cache_read_tokens'],
+      ['cost_usd', 'real', 'c.cost_usd'],
+      ['lines_added', 'integer', 'c.lines_added'],
+      ['lines_removed', 'integer', 'c.lines_removed'],
+      ['source_host', 'text', 'c.source_host'],
+      ['git_branch', 'text', 'c.git_branch'],
+      ['git_head', 'text', 'c.git_head']
+    ]
+  },
+  snapshots: {
+    from: 'session_snapshots ss',
+    timeColumn: 'ss.timestamp',
+    projectColumn: 'ss.project_path',
+    sessionColumn: 'ss.session_id',
+    orderBy: 'ss.timestamp, ss.id',
+    columns: [
+      ['id', 'integer', 'ss.id'],
+      ['session_id', 'text', 'ss.session_id'],
+      ['project_path', 'text', 'ss.project_path'],
+      ['timestamp', 'timestamp', 'ss.timestamp'],
+      ['input_tokens', 'integer', 'ss.input_tokens'],
+      ['output_tokens', 'integer', 'ss.output_tokens'],
+      ['cache_creation_tokens', 'integer', 'ss.cache_creation_tokens'],
+      ['cache_read_tokens', 'integer', 'ss.cache_read_tokens'],
+      ['cost_usd', 'real', 'ss.cost_usd'],
+      ['content_hash', 'text', 'ss.content_hash'],
+      ['granularity', 'text', 'ss.granularity'],
+      ['source_host', 'text', 'ss.source_host'],
+      ['git_branch', 'text', 'ss.git_branch'],
+      ['git_head', 'text', 'ss.git_head'],
+      ['raw_data', 'text', 'ss.raw_data']
+    ]
+  },
+  daily: {
+    from: 'sessions s',
+    where: "s.id NOT LIKE 'placeholder-%'",
+    timeColumn: 's.started_at',
+    projectColumn: 's.project_path',
+    sessionColumn: 's.id',
+    // Days of the reporting time zone (see time-zones.js); grouped by a tag,
+    // days are split by its value instead of by project
+    groupBy: "local_period(s.started_at, 'day'), s.project_path",
+    tagGroupBy: "local_period(s.started_at, 'day')",
+    orderBy: 'date, project_path',
+    columns: [
+      ['date', 'date', "local_period(s.started_at, 'day')"],
+      ['project_path', 'text', 's.project_path'],
+      ['session_count', 'integer', 'COUNT(*)'],
+      ['input_tokens', 'integer', 'SUM(s.total_input_tokens)'],
+      ['output_tokens', 'integer', 'SUM(s.total_output_tokens)'],
+      ['cache_creation_tokens', 'integer', 'SUM(s.total_cache_creation_tokens)'],
+      ['cache_read_tokens', 'integer', 'SUM(s.total_cache_read_tokens)'],
+      ['cost_usd', 'real', 'SUM(s.total_cost_usd)']
+    ]
+  }
+};
+
+// RFC 4180: quote fields containing separators, quotes or line breaks
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Streams one entity to a file row by row, so exports never hold the whole
+// table in memory, and writes a manifest of columns and types next to it.
+export class DataExporter {
+  constructor(db = null, options = {}) {
+    this.config = loadConfig(options);
+    this.ownsDb = !db;
+    this.db = db || new TokenDatabase({ dbPath: this.config.dbPath, reporting: this.config.reporting });
+  }
+
+  // The entity as exported: groupBy (a tag key) adds a tag_<key> column to
+  // row entities and replaces project_path in aggregated ones
+  shape(entityName, groupBy) {
+    const entity = EXPORT_ENTITIES[entityName];
+    if (!groupBy) return entity;
+
+    const name = `tag_${groupBy}`;
+    const tagColumn = [name, 'text', tagValueSql(groupBy, entity.sessionColumn, entity.projectColumn)];
+    if (!entity.groupBy) {
+      return { ...entity, columns: [...entity.columns, tagColumn] };
+    }
+    return {
+      ...entity,
+      columns: entity.columns.map(column => (column[0] === 'project_path' ? tagColumn : column)),
+      groupBy: `${entity.tagGroupBy}, "${name}"`,
+      orderBy: entity.orderBy.replace('project_path', `"${name}"`)
+    };
+  }
+
+  buildQuery(entityName, { since, until, project, tags = [], groupBy = null } = {}) {
+    const entity = this.shape(entityName, groupBy);
+    const clauses = entity.where ? [entity.where] : [];
+    const params = [];
+
+    if (project) {
+      clauses.push(`${entity.projectColumn} = ?`);
+      params.push(project);
+    }
+    if (since) {
+      clauses.push(`${entity.timeColumn} >= ?`);
+      params.push(since);
+    }
+    if (until) {
+      clauses.push(`${entity.timeColumn} < ?`);
+      params.push(until);
+    }
+    for (const { key, value } of tags) {
+      const expr = tagValueSql(key, entity.sessionColumn, entity.projectColumn);
+      if (value === null) {
+        clauses.push(`${expr} IS NOT NULL`);
+      } else {
+        clauses.push(`${expr} = ?`);
+        params.push(value);
+      }
+    }
+
+    const sql = `
+      SELECT ${entity.columns.map(([name, , expr]) => `${expr} AS "${name}"`).join(', ')}
+      FROM ${entity.from}
+      ${clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''}
+      ${entity.groupBy ? `GROUP BY ${entity.groupBy}` : ''}
+      ORDER BY ${entity.orderBy}
+    `;
+    return { sql, params };
+  }
+
+  export({ entity = 'sessions', format = 'json', output, since, until, project, tags = [], groupBy = null } = {}) {
+    if (!EXPORT_ENTITIES[entity]) {
+      throw new Error(`Unknown entity: ${entity} (expected ${Object.keys(EXPORT_ENTITIES).join(', ')})`);
+    }
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Unknown format: ${format} (expected ${EXPORT_FORMATS.join(', ')})`);
+    }
+
+    const outputPath = output || `claude-usage-${entity}.${format}`;
+    const columns = this.shape(entity, groupBy).columns.map(([name, type]) => ({ name, type }));
+    const { sql, params } = this.buildQuery(entity, { since, until, project, tags, groupBy });
+
+    const fd = fs.openSync(outputPath, 'w');
+    let buffer = '';
+    const write = (text) => {
+      buffer += text;
+      if (buffer.length >= WRITE_CHUNK_SIZE) {
+        fs.writeSync(fd, buffer);
+        buffer = '';
+      }
+    };
+
+    let rowCount = 0;
+    try {
+      if (format === 'csv') write(columns.map(column => csvField(column.name)).join(',') + '\r\n');
+      if (format === 'json') write('[\n');
+
+      for (const row of this.db.db.prepare(sql).iterate(...params)) {
+        if (format === 'csv') {
+          write(columns.map(column => csvField(row[column.name])).join(',') + '\r\n');
+        } else if (format === 'ndjson') {
+          write(JSON.stringify(row) + '\n');
+        } else {
+          write((rowCount > 0 ? ',\n' : '') + JSON.stringify(row));
+        }
+        rowCount++;
+      }
+
+      if (format === 'json') write('\n]\n');
+      fs.writeSync(fd, buffer);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    const manifest = {
+      entity,
+      format,
+      file: outputPath,
+      exportedAt: new Date().toISOString(),
+      filters: { since: since || null, until: until || null, project: project || null, tags },
+      groupBy: groupBy ? `tag:${groupBy}` : null,
+      timeZone: entity === 'daily' ? this.db.zone.timeZone : null,
+      rowCount,
+      columns
+    };
+
+    const manifestPath = `${outputPath}.manifest.json`;
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+
+    return { ...manifest, manifestPath };
+  }
+
+  close() {
+    if (this.ownsDb) {
+      this.db.close();
+    }
+  }
+}
+
+// CLI execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const exporter = new DataExporter();
+  const result = exporter.export({
+    entity: process.argv[2] || 'sessions',
+    format: process.argv[3] || 'json',
+    output: process.argv[4]
+  });
+  console.log(`✅ Exported ${result.rowCount} ${result.entity} rows to ${result.file}`);
+  exporter.close();
+}
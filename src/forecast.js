@@ -0,0 +1,237 @@
+import { TokenDatabase, toSqlTimestamp } from './database.js';
+import { TrackerLock } from './tracker-lock.js';
+import { loadConfig } from './config.js';
+import { GLOBAL_SCOPE } from './budgets.js';
+import { periodBounds, periodWindowStart, calendarDays, weekdayOf, periodKey } from './time-zones.js';
+
+export const FORECAST_PERIODS = ['week', 'month'];
+
+const BUDGET_PERIOD = { week: 'weekly', month: 'monthly' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// z such that [-z, z] holds `confidence` of a standard normal
+function twoSidedZ(confidence) {
+  let low = 0;
+  let high = 10;
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (normalCdf(mid) - normalCdf(-mid) < confidence) low = mid; else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+function meanAndDeviation(values) {
+  if (values.length === 0) return { mean: 0, sd: 0, days: 0 };
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.length > 1
+    ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1)
+    : 0;
+  return { mean, sd: Math.sqrt(variance), days: values.length };
+}
+
+const isWeekend = date => [0, 6].includes(weekdayOf(date));
+
+// Projects end-of-period spend from the conversation deltas. Each remaining
+// day is expected to cost what its kind of day (weekday or weekend) cost on
+// average over the last historyDays; the band comes from how much those days
+// varied. Days are calendar days of the reporting time zone.
+export class SpendForecaster {
+  constructor(db = null, options = {}) {
+    this.config = loadConfig(options);
+    this.ownsDb = !db;
+    this.db = db || new TokenDatabase({ dbPath: this.config.dbPath, reporting: this.config.reporting });
+  }
+
+  // Spend per calendar day in [since, until), keyed by date
+  dailySpend(since, until, project) {
+    const params = [toSqlTimestamp(since), toSqlTimestamp(until)];
+    let projectFilter = '';
+    if (project) {
+      projectFilter = 'AND s.project_path = ?';
+      params.push(project);
+    }
+
+    const rows = this.db.db.prepare(`
+      SELECT local_period(c.started_at, 'day') as date, SUM(c.cost_usd) as cost
+      FROM conversations c
+      JOIN sessions s ON s.id = c.session_id
+      WHERE c.started_at >= ? AND c.started_at < ? ${projectFilter}
+      GROUP BY date
+    `).all(...params);
+    return new Map(rows.map(row => [row.date, row.cost || 0]));
+  }
+
+  // Mean and spread of daily spend for weekdays and weekend days. History
+  // starts at the first day with any spend, so a new install is not
+  // dragged down by days before tracking began.
+  seasonality(todayStart, project) {
+    const historyDays = this.config.forecast.historyDays;
+    const since = periodWindowStart(todayStart, 'day', historyDays + 1, this.db.zone);
+    const spend = this.dailySpend(since, todayStart, project);
+
+    const days = calendarDays(since, todayStart, this.db.zone.timeZone);
+    const firstActive = days.findIndex(date => spend.has(date));
+    const history = firstActive === -1 ? [] : days.slice(firstActive);
+
+    const weekday = meanAndDeviation(history.filter(date => !isWeekend(date)).map(date => spend.get(date) || 0));
+    const weekend = meanAndDeviation(history.filter(isWeekend).map(date => spend.get(date) || 0));
+    const all = meanAndDeviation(history.map(date => spend.get(date) || 0));
+
+    // A kind of day seen fewer than twice has no spread to speak of; borrow
+    // the overall figures
+    return {
+      historyDays: history.length,
+      weekday: weekday.days >= 2 ? weekday : { ...all, days: weekday.days },
+      weekend: weekend.days >= 2 ? weekend : { ...all, days: weekend.days }
+    };
+  }
+
+  budgetFor(period, project) {
+    return this.db.db.prepare(
+      'SELECT * FROM budgets WHERE scope = ? AND period = ?'
+    ).get(project || GLOBAL_SCOPE, BUDGET_PERIOD[period]) || null;
+  }
+
+  // Dollars per hour of sessions that are active right now, measured over
+  // the last burnWindowMinutes
+  burnRate(now, project) {
+    const windowMinutes = this.config.forecast.burnWindowMinutes;
+    const since = new Date(now.getTime() - windowMinutes * 60 * 1000);
+    const params = [toSqlTimestamp(since)];
+    let projectFilter = '';
+    if (project) {
+      projectFilter = 'AND s.project_path = ?';
+      params.push(project);
+    }
+
+    const sessions = this.db.db.prepare(`
+      SELECT s.id, s.project_path, SUM(c.cost_usd) as cost
+      FROM conversations c
+      JOIN sessions s ON s.id = c.session_id
+      WHERE s.state = 'active' AND c.started_at >= ? ${projectFilter}
+      GROUP BY s.id
+      ORDER BY cost DESC
+    `).all(...params).map(session => ({
+      id: session.id,
+      projectPath: session.project_path,
+      hourlyUsd: session.cost * 60 / windowMinutes
+    }));
+
+    return {
+      windowMinutes,
+      hourlyUsd: sessions.reduce((sum, session) => sum + session.hourlyUsd, 0),
+      sessions,
+      // Without a tracker the rate only reflects what was last recorded
+      trackerRunning: Boolean(new TrackerLock(this.db.dbPath).holder())
+    };
+  }
+
+  forecast({ project = null, period = 'month', now = new Date() } = {}) {
+    if (!FORECAST_PERIODS.includes(period)) {
+      throw new Error(`Unknown forecast period: ${period} (use ${FORECAST_PERIODS.join(' or ')})`);
+    }
+
+    const zone = this.db.zone;
+    const { start, end } = periodBounds(now, period, zone);
+    const todayStart = periodWindowStart(now, 'day', 1, zone);
+    const today = periodKey(now, 'day', zone);
+    const confidence = this.config.forecast.confidence;
+    const z = twoSidedZ(confidence);
+
+    const spendByDay = this.dailySpend(start, end, project);
+    const spent = [...spendByDay.values()].reduce((sum, cost) => sum + cost, 0);
+    const spentToday = spendByDay.get(today) || 0;
+    const seasonality = this.seasonality(todayStart, project);
+
+    // Cumulative actual spend up to today, then expected spend with a band
+    // that widens with every projected day
+    const days = [];
+    let actual = 0;
+    let expected = 0;
+    let variance = 0;
+    const dayFraction = Math.max(0, Math.min(1, (todayStart.getTime() + DAY_MS - now.getTime()) / DAY_MS));
+
+    for (const date of calendarDays(start, end, zone.timeZone)) {
+      const kind = isWeekend(date) ? seasonality.weekend : seasonality.weekday;
+      const day = { date, weekend: isWeekend(date), actual: null, expected: null, low: null, high: null };
+
+      if (date < today) {
+        actual += spendByDay.get(date) || 0;
+        day.actual = actual;
+      } else {
+        if (date === today) {
+          actual += spentToday;
+          day.actual = actual;
+          expected = actual + Math.max(0, kind.mean - spentToday);
+          variance += kind.sd ** 2 * dayFraction;
+        } else {
+          expected += kind.mean;
+          variance += kind.sd ** 2;
+        }
+        const margin = z * Math.sqrt(variance);
+        day.expected = expected;
+        day.low = Math.max(actual, expected - margin);
+        day.high = expected + margin;
+      }
+      days.push(day);
+    }
+
+    const projected = days[days.length - 1];
+    const elapsedMs = now.getTime() - start.getTime();
+    const sd = Math.sqrt(variance);
+    const budget = this.budgetFor(period, project);
+
+    let budgetOutlook = null;
+    if (budget) {
+      const exceededOn = days.find(day => (day.expected ?? day.actual) > budget.limit_usd);
+      budgetOutlook = {
+        limitUsd: budget.limit_usd,
+        projectedPercent: (projected.expected / budget.limit_usd) * 100,
+        exceeded: spent > budget.limit_usd,
+        // Chance the period ends over budget, under the same normal model
+        // as the band
+        probabilityOver: spent > budget.limit_usd ? 1
+          : sd > 0 ? 1 - normalCdf((budget.limit_usd - projected.expected) / sd)
+          : Number(projected.expected > budget.limit_usd),
+        exceededOn: exceededOn ? exceededOn.date : null
+      };
+    }
+
+    return {
+      project,
+      period,
+      timeZone: zone.timeZone,
+      periodStart: start.toISOString(),
+      periodEnd: end.toISOString(),
+      generatedAt: now.toISOString(),
+      daysElapsed: elapsedMs / DAY_MS,
+      daysTotal: days.length,
+      spent,
+      spentToday,
+      projected: projected.expected,
+      low: projected.low,
+      high: projected.high,
+      confidence,
+      // Straight-line extrapolation of the period so far, for comparison
+      linear: elapsedMs > 0 ? spent * (end.getTime() - start.getTime()) / elapsedMs : spent,
+      seasonality,
+      budget: budgetOutlook,
+      burn: this.burnRate(now, project),
+      days
+    };
+  }
+
+  close() {
+    if (this.ownsDb) {
+      this.db.close();
+    }
+  }
+}
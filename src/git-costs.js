@@ -0,0 +1,160 @@
+import { TokenDatabase } from './database.js';
+import { loadConfig } from './config.js';
+import { readGitState, readBranchHead, readCommitSubject } from './git-info.js';
+
+function costPerLine(costUsd, linesAdded, linesRemoved) {
+  const lines = linesAdded + linesRemoved;
+  return lines > 0 ? costUsd / lines : null;
+}
+
+// What AI spend went into a project's branches and commits, from the branch
+// and HEAD the tracker recorded with every conversation delta (see
+// git-info.js). A commit window is the spend made while HEAD stayed on one
+// commit; the next HEAD seen on the branch is the commit that work ended in.
+export class GitCostAnalyzer {
+  constructor(db = null, options = {}) {
+    this.config = loadConfig(options);
+    this.ownsDb = !db;
+    this.db = db || new TokenDatabase({ dbPath: this.config.dbPath, reporting: this.config.reporting });
+  }
+
+  filters({ project, since, until }) {
+    const clauses = ['s.project_path = ?'];
+    const params = [project];
+    if (since) {
+      clauses.push('c.started_at >= ?');
+      params.push(since);
+    }
+    if (until) {
+      clauses.push('c.started_at < ?');
+      params.push(until);
+    }
+    return { where: clauses.join(' AND '), params };
+  }
+
+  // One row per branch; turns on a detached HEAD and turns recorded without
+  // git data (before tracking started, or outside a repository) get their
+  // own rows with a null branch
+  branches(range) {
+    const { where, params } = this.filters(range);
+
+    return this.db.db.prepare(`
+      SELECT c.git_branch as branch,
+             (c.git_branch IS NULL AND c.git_head IS NOT NULL) as detached,
+             COUNT(*) as turns,
+             COUNT(DISTINCT c.session_id) as sessions,
+             COUNT(DISTINCT c.git_head) as commits,
+             COALESCE(SUM(c.cost_usd), 0) as costUsd,
+             COALESCE(SUM(c.lines_added), 0) as linesAdded,
+             COALESCE(SUM(c.lines_removed), 0) as linesRemoved,
+             MIN(c.started_at) as firstSeen,
+             MAX(c.started_at) as lastSeen
+      FROM conversations c
+      JOIN sessions s ON s.id = c.session_id
+      WHERE ${where}
+      GROUP BY c.git_branch, (c.git_branch IS NULL AND c.git_head IS NOT NULL)
+      ORDER BY costUsd DESC
+    `).all(...params).map(row => ({
+      ...row,
+      detached: Boolean(row.detached),
+      costPerLine: costPerLine(row.costUsd, row.linesAdded, row.linesRemoved)
+    }));
+  }
+
+  // Consecutive turns on the same HEAD of `branch`, oldest first
+  windows(range, branch, branchHead) {
+    const { where, params } = this.filters(range);
+    const windows = [];
+    let current = null;
+
+    for (const row of this.db.db.prepare(`
+      SELECT c.session_id, c.started_at, c.git_head, c.cost_usd, c.lines_added, c.lines_removed
+      FROM conversations c
+      JOIN sessions s ON s.id = c.session_id
+      WHERE ${where} AND c.git_branch = ?
+      ORDER BY c.started_at, c.id
+    `).iterate(...params, branch)) {
+      if (!current || current.head !== row.git_head) {
+        current = {
+          head: row.git_head,
+          endedBy: null,
+          subject: null,
+          from: row.started_at,
+          to: row.started_at,
+          turns: 0,
+          sessions: new Set(),
+          costUsd: 0,
+          linesAdded: 0,
+          linesRemoved: 0
+        };
+        windows.push(current);
+      }
+      current.to = row.started_at;
+      current.turns++;
+      current.sessions.add(row.session_id);
+      current.costUsd += row.cost_usd || 0;
+      current.linesAdded += row.lines_added || 0;
+      current.linesRemoved += row.lines_removed || 0;
+    }
+
+    // Each window ends in the next HEAD seen; the last one in the branch's
+    // current commit unless nothing was committed since (work in progress)
+    windows.forEach((window, index) => {
+      const next = index + 1 < windows.length ? windows[index + 1].head : branchHead;
+      window.endedBy = next && next !== window.head ? next : null;
+      window.subject = window.endedBy ? readCommitSubject(range.project, window.endedBy) : null;
+      window.sessions = window.sessions.size;
+      window.costPerLine = costPerLine(window.costUsd, window.linesAdded, window.linesRemoved);
+    });
+
+    return windows;
+  }
+
+  // `branch: true` picks the branch checked out now
+  report({ project, branch = null, since = null, until = null } = {}) {
+    const range = { project, since, until };
+    const checkout = readGitState(project);
+    const branches = this.branches(range).map(row => ({
+      ...row,
+      current: Boolean(checkout?.branch) && row.branch === checkout.branch
+    }));
+
+    const totals = branches.reduce((sum, row) => ({
+      turns: sum.turns + row.turns,
+      costUsd: sum.costUsd + row.costUsd,
+      linesAdded: sum.linesAdded + row.linesAdded,
+      linesRemoved: sum.linesRemoved + row.linesRemoved,
+      untrackedCostUsd: sum.untrackedCostUsd + (row.branch === null && !row.detached ? row.costUsd : 0)
+    }), { turns: 0, costUsd: 0, linesAdded: 0, linesRemoved: 0, untrackedCostUsd: 0 });
+    totals.costPerLine = costPerLine(totals.costUsd, totals.linesAdded, totals.linesRemoved);
+
+    const result = {
+      project,
+      since,
+      until,
+      checkout,
+      totals,
+      branches,
+      branch: null,
+      windows: []
+    };
+
+    if (branch) {
+      const name = branch === true ? checkout?.branch : branch;
+      if (!name) {
+        throw new Error(`${project} has no branch checked out - pass --branch <name>`);
+      }
+      const headNow = name === checkout?.branch ? checkout.head : readBranchHead(project, name);
+      result.branch = branches.find(row => row.branch === name) || { branch: name, turns: 0, costUsd: 0 };
+      result.windows = this.windows(range, name, headNow);
+    }
+
+    return result;
+  }
+
+  close() {
+    if (this.ownsDb) {
+      this.db.close();
+    }
+  }
+}
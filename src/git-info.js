@@ -0,0 +1,108 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+
+// Reads the branch and HEAD commit of a working tree straight from its .git
+// directory: no git binary, no network. Follows .git files (linked worktrees,
+// submodules) and packed refs.
+
+// SHA-1 or SHA-256 object names
+const OBJECT_NAME = /^(?:[0-9a-f]{40}|[0-9a-f]{64})$/;
+
+function readText(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+// The git directory of the repository containing `dir`, or null
+export function findGitDir(dir) {
+  let current = path.resolve(dir);
+
+  for (;;) {
+    const dotGit = path.join(current, '.git');
+    let stat = null;
+    try {
+      stat = fs.statSync(dotGit);
+    } catch {
+      // Not a repository root; keep walking up
+    }
+
+    if (stat?.isDirectory()) return dotGit;
+    if (stat?.isFile()) {
+      const match = /^gitdir:\s*(.+)$/m.exec(readText(dotGit) || '');
+      if (match) return path.resolve(current, match[1].trim());
+    }
+
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+// Shared refs and objects live in the common dir; a linked worktree's own
+// git dir only holds its HEAD
+function commonDir(gitDir) {
+  const common = readText(path.join(gitDir, 'commondir'));
+  return common ? path.resolve(gitDir, common.trim()) : gitDir;
+}
+
+function resolveRef(gitDir, ref, depth = 0) {
+  const common = commonDir(gitDir);
+
+  for (const dir of new Set([gitDir, common])) {
+    const content = readText(path.join(dir, ref))?.trim();
+    if (!content) continue;
+    if (content.startsWith('ref:') && depth < 5) return resolveRef(gitDir, content.slice(4).trim(), depth + 1);
+    if (OBJECT_NAME.test(content)) return content;
+  }
+
+  for (const line of (readText(path.join(common, 'packed-refs')) || '').split('\n')) {
+    const [name, packedRef] = line.trim().split(' ');
+    if (packedRef === ref && OBJECT_NAME.test(name)) return name;
+  }
+  return null;
+}
+
+// { branch, head } of the checkout at projectPath; branch is null on a
+// detached HEAD, head is null on a branch without commits. null when the
+// path is not inside a repository.
+export function readGitState(projectPath) {
+  if (!projectPath) return null;
+  const gitDir = findGitDir(projectPath);
+  if (!gitDir) return null;
+
+  const head = readText(path.join(gitDir, 'HEAD'))?.trim();
+  if (!head) return null;
+
+  if (head.startsWith('ref:')) {
+    const ref = head.slice(4).trim();
+    return { branch: ref.replace(/^refs\/heads\//, ''), head: resolveRef(gitDir, ref) };
+  }
+  return OBJECT_NAME.test(head) ? { branch: null, head } : null;
+}
+
+// Commit a local branch points at, or null
+export function readBranchHead(projectPath, branch) {
+  const gitDir = projectPath && branch && findGitDir(projectPath);
+  return gitDir ? resolveRef(gitDir, `refs/heads/${branch}`) : null;
+}
+
+// Subject line of a commit kept as a loose object; null when it is packed
+// or missing
+export function readCommitSubject(projectPath, sha) {
+  const gitDir = projectPath && sha && findGitDir(projectPath);
+  if (!gitDir) return null;
+
+  try {
+    const file = path.join(commonDir(gitDir), 'objects', sha.slice(0, 2), sha.slice(2));
+    const object = zlib.inflateSync(fs.readFileSync(file)).toString('utf8');
+    if (!object.startsWith('commit ')) return null;
+    const message = object.slice(object.indexOf('\n\n') + 2);
+    return message.split('\n')[0].trim() || null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,391 @@
+import fs from 'fs';
+import path from 'path';
+import { TokenDatabase, toSqlTimestamp, fromSqlTimestamp } from './database.js';
+import { loadConfig } from './config.js';
+import { periodKey, formatDateTime } from './time-zones.js';
+import { SpendForecaster } from './forecast.js';
+
+// Builds a single static HTML dashboard. All data is embedded as JSON and
+// charts are drawn in the browser with inline SVG, so the file works offline
+// and can be attached to an email or a wiki page as-is.
+export class HtmlReportBuilder {
+  constructor(db = null, options = {}) {
+    this.config = loadConfig(options);
+    this.ownsDb = !db;
+    this.db = db || new TokenDatabase({ dbPath: this.config.dbPath, reporting: this.config.reporting });
+  }
+
+  // Sessions in range plus conversation deltas for the most expensive ones.
+  // Deltas are only embedded for the top sessions to keep the file small.
+  collect({ days = 90, since, until, project, top = 50, forecastPeriod = 'month' } = {}) {
+    const filters = {
+      project,
+      since: since || toSqlTimestamp(new Date(Date.now() - days * 86400000)),
+      until
+    };
+
+    // Dates are computed here, in the reporting zone, rather than in the
+    // viewer's browser
+    const zone = this.db.zone;
+    const sessions = this.db.getSessionTotals(filters).map(session => ({
+      id: session.id,
+      project: session.project_path,
+      date: periodKey(fromSqlTimestamp(session.started_at), 'day', zone),
+      startedAt: formatDateTime(fromSqlTimestamp(session.started_at), zone),
+      endedAt: session.ended_at ? formatDateTime(fromSqlTimestamp(session.ended_at), zone) : null,
+      input: session.total_input_tokens || 0,
+      output: session.total_output_tokens || 0,
+      cacheCreation: session.total_cache_creation_tokens || 0,
+      cacheRead: session.total_cache_read_tokens || 0,
+      cost: session.total_cost_usd || 0,
+      expectedCost: session.expected_cost_usd
+    }));
+
+    const conversations = {};
+    [...sessions]
+      .sort((a, b) => b.cost - a.cost)
+      .slice(0, top)
+      .forEach(session => {
+        conversations[session.id] = this.db.getSessionConversations(session.id).map(c => ({
+          index: c.conversation_index,
+          at: c.started_at ? formatDateTime(fromSqlTimestamp(c.started_at), zone) : '',
+          input: c.input_tokens,
+          output: c.output_tokens,
+          cacheCreation: c.cache_creation_tokens,
+          cacheRead: c.cache_read_tokens,
+          cost: c.cost_usd
+        }));
+      });
+
+    return {
+      generatedAt: formatDateTime(new Date(), zone),
+      timeZone: zone.timeZone,
+      filters,
+      sessions,
+      conversations,
+      // Fixed when the report is generated; the filters do not change it
+      forecast: new SpendForecaster(this.db).forecast({ project, period: forecastPeriod })
+    };
+  }
+
+  render(data) {
+    // Keep "</script>" and friends inside the data from ending the script tag
+    const json = JSON.stringify(data).replace(/</g, '\\u003c');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Claude Code Token Usage Report</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+<header>
+  <h1>📊 Claude Code Token Usage</h1>
+  <p class="muted" id="generated"></p>
+  <div class="filters">
+    <label>From <input type="date" id="from"></label>
+    <label>To <input type="date" id="to"></label>
+    <label>Project <select id="project"><option value="">All projects</option></select></label>
+    <button id="reset">Reset</button>
+  </div>
+</header>
+<main>
+  <section id="forecast"><h2 id="forecast-title"></h2><p class="muted" id="forecast-summary"></p><div id="forecast-chart" class="chart"></div></section>
+  <section class="cards" id="cards"></section>
+  <section><h2>Daily cost</h2><div id="daily-chart" class="chart"></div></section>
+  <section><h2>Cache hit ratio</h2><p class="muted">Cache reads as a share of all input tokens (input + cache creation + cache read).</p><div id="cache-chart" class="chart"></div></section>
+  <section><h2>Projects</h2><table id="projects"></table></section>
+  <section><h2>Top sessions</h2><p class="muted">Click a session to see its conversation deltas.</p><table id="sessions"></table></section>
+</main>
+<script id="report-data" type="application/json">${json}</script>
+<script>${REPORT_JS}</script>
+</body>
+</html>
+`;
+  }
+
+  write(outputPath, options = {}) {
+    const data = this.collect(options);
+    fs.mkdirSync(path.dirname(path.resolve(outputPath)), { recursive: true });
+    fs.writeFileSync(outputPath, this.render(data));
+    return { outputPath, sessions: data.sessions.length, bytes: fs.statSync(outputPath).size };
+  }
+
+  close() {
+    if (this.ownsDb) {
+      this.db.close();
+    }
+  }
+}
+
+const REPORT_CSS = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 14px/1.45 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1f2328; background: #f6f8fa; }
+  header { background: #fff; border-bottom: 1px solid #d0d7de; padding: 16px 24px; }
+  h1 { margin: 0 0 4px; font-size: 22px; }
+  h2 { margin: 0 0 8px; font-size: 16px; }
+  main { padding: 16px 24px; max-width: 1200px; }
+  section { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 16px; margin-bottom: 16px; }
+  .muted { color: #656d76; margin: 0 0 8px; }
+  .filters { display: flex; gap: 12px; flex-wrap: wrap; align-items: center; margin-top: 8px; }
+  .filters input, .filters select, .filters button { font: inherit; padding: 4px 6px; }
+  .cards { display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr)); gap: 12px; background: none; border: 0; padding: 0; }
+  .card { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 12px 16px; }
+  .card .value { font-size: 22px; font-weight: 600; }
+  .chart svg { width: 100%; height: 220px; display: block; }
+  .chart .bar { fill: #2f81f7; }
+  .chart .bar:hover { fill: #1f6feb; }
+  .chart .line { fill: none; stroke: #1a7f37; stroke-width: 2; }
+  .chart .dot { fill: #1a7f37; }
+  .chart .axis { stroke: #d0d7de; }
+  .chart .band { fill: #d4a72c; opacity: 0.25; }
+  .chart .expected { fill: none; stroke: #9a6700; stroke-width: 2; stroke-dasharray: 6 4; }
+  .chart .budget { stroke: #cf222e; stroke-dasharray: 2 3; }
+  .chart text { fill: #656d76; font-size: 11px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eaeef2; white-space: nowrap; }
+  th { color: #656d76; font-weight: 600; }
+  td.num, th.num { text-align: right; font-variant-numeric: tabular-nums; }
+  .share { display: inline-block; height: 8px; background: #2f81f7; border-radius: 4px; vertical-align: middle; margin-right: 6px; }
+  tr.session { cursor: pointer; }
+  tr.session:hover { background: #f6f8fa; }
+  tr.deltas > td { background: #f6f8fa; padding: 8px 16px; }
+  .empty { color: #656d76; padding: 24px; text-align: center; }
+`;
+
+// Runs in the browser; no external libraries
+const REPORT_JS = `
+(function () {
+  var data = JSON.parse(document.getElementById('report-data').textContent);
+  var SVG = 'http://www.w3.org/2000/svg';
+  var expanded = {};
+
+  function $(id) { return document.getElementById(id); }
+  function money(v) { return '$' + (v || 0).toFixed(v >= 100 ? 0 : 2); }
+  function num(v) { return (v || 0).toLocaleString(); }
+  function pct(v) { return (v * 100).toFixed(1) + '%'; }
+  function name(p) { return p.split('/').filter(Boolean).pop() || p; }
+  function esc(s) { return String(s).replace(/[&<>"]/g, function (c) { return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]; }); }
+  function cacheRatio(r) { var total = r.input + r.cacheCreation + r.cacheRead; return total ? r.cacheRead / total : 0; }
+
+  function el(tag, attrs, parent) {
+    var node = document.createElementNS(SVG, tag);
+    for (var k in attrs) node.setAttribute(k, attrs[k]);
+    if (parent) parent.appendChild(node);
+    return node;
+  }
+
+  function filtered() {
+    var from = $('from').value, to = $('to').value, project = $('project').value;
+    return data.sessions.filter(function (s) {
+      return (!from || s.date >= from) && (!to || s.date <= to) && (!project || s.project === project);
+    });
+  }
+
+  function byDay(sessions) {
+    var days = {};
+    sessions.forEach(function (s) {
+      var d = days[s.date] || (days[s.date] = { date: s.date, cost: 0, input: 0, cacheCreation: 0, cacheRead: 0, sessions: 0 });
+      d.cost += s.cost; d.input += s.input; d.cacheCreation += s.cacheCreation; d.cacheRead += s.cacheRead; d.sessions++;
+    });
+    return Object.keys(days).sort().map(function (k) { return days[k]; });
+  }
+
+  function chart(container, rows, value, format, kind) {
+    container.innerHTML = '';
+    if (!rows.length) { container.innerHTML = '<div class="empty">No data in range</div>'; return; }
+
+    var W = 1000, H = 220, left = 56, bottom = 24, top = 10;
+    var max = Math.max.apply(null, rows.map(value)) || 1;
+    var step = (W - left) / rows.length;
+    var svg = el('svg', { viewBox: '0 0 ' + W + ' ' + H, preserveAspectRatio: 'none' }, container);
+    var y = function (v) { return top + (H - top - bottom) * (1 - v / max); };
+
+    el('line', { x1: left, x2: W, y1: H - bottom, y2: H - bottom, 'class': 'axis' }, svg);
+    [0, 0.5, 1].forEach(function (f) {
+      var t = el('text', { x: left - 6, y: y(max * f) + 4, 'text-anchor': 'end' }, svg);
+      t.textContent = format(max * f);
+    });
+
+    var labelEvery = Math.ceil(rows.length / 10);
+    var points = [];
+    rows.forEach(function (r, i) {
+      var x = left + i * step;
+      if (kind === 'bar') {
+        var bar = el('rect', { x: x + step * 0.1, y: y(value(r)), width: step * 0.8, height: H - bottom - y(value(r)), 'class': 'bar' }, svg);
+        el('title', {}, bar).textContent = r.date + ': ' + format(value(r));
+      } else {
+        points.push((x + step / 2) + ',' + y(value(r)));
+        var dot = el('circle', { cx: x + step / 2, cy: y(value(r)), r: 3, 'class': 'dot' }, svg);
+        el('title', {}, dot).textContent = r.date + ': ' + format(value(r));
+      }
+      if (i % labelEvery === 0) {
+        var label = el('text', { x: x + step / 2, y: H - 6, 'text-anchor': 'middle' }, svg);
+        label.textContent = r.date.slice(5);
+      }
+    });
+    if (points.length) el('polyline', { points: points.join(' '), 'class': 'line' }, svg);
+  }
+
+  function renderCards(sessions) {
+    var totals = sessions.reduce(function (t, s) {
+      t.cost += s.cost; t.input += s.input; t.output += s.output; t.cacheCreation += s.cacheCreation; t.cacheRead += s.cacheRead;
+      return t;
+    }, { cost: 0, input: 0, output: 0, cacheCreation: 0, cacheRead: 0 });
+
+    $('cards').innerHTML = [
+      ['Total cost', money(totals.cost)],
+      ['Sessions', num(sessions.length)],
+      ['Input / output tokens', num(totals.input) + ' / ' + num(totals.output)],
+      ['Cache hit ratio', pct(cacheRatio(totals))]
+    ].map(function (c) { return '<div class="card"><div class="muted">' + c[0] + '</div><div class="value">' + c[1] + '</div></div>'; }).join('');
+  }
+
+  // Cumulative spend so far, then the projection with its band and the
+  // budget, if one is set
+  function renderForecast(f) {
+    var title = (f.period === 'month' ? 'Month' : 'Week') + ' forecast';
+    $('forecast-title').textContent = title + (f.project ? ': ' + name(f.project) : '');
+    var summary = 'Spent ' + money(f.spent) + ' so far; projected ' + money(f.projected) +
+      ' (' + Math.round(f.confidence * 100) + '% band ' + money(f.low) + ' to ' + money(f.high) + '). ' +
+      'Burn rate ' + money(f.burn.hourlyUsd) + '/h across ' + f.burn.sessions.length + ' active session(s).';
+    if (f.budget) {
+      summary += ' Budget ' + money(f.budget.limitUsd) + ': ' + (f.budget.exceeded ? 'already exceeded'
+        : Math.round(f.budget.probabilityOver * 100) + '% chance of going over' + (f.budget.exceededOn ? ', crossing it around ' + f.budget.exceededOn : '')) + '.';
+    }
+    $('forecast-summary').textContent = summary;
+
+    var container = $('forecast-chart');
+    var W = 1000, H = 220, left = 56, bottom = 24, top = 10;
+    var max = Math.max(f.high || 0, f.spent, f.budget ? f.budget.limitUsd : 0) || 1;
+    var step = (W - left) / f.days.length;
+    var svg = el('svg', { viewBox: '0 0 ' + W + ' ' + H, preserveAspectRatio: 'none' }, container);
+    var x = function (i) { return left + i * step + step / 2; };
+    var y = function (v) { return top + (H - top - bottom) * (1 - v / max); };
+
+    el('line', { x1: left, x2: W, y1: H - bottom, y2: H - bottom, 'class': 'axis' }, svg);
+    [0, 0.5, 1].forEach(function (fr) {
+      el('text', { x: left - 6, y: y(max * fr) + 4, 'text-anchor': 'end' }, svg).textContent = money(max * fr);
+    });
+
+    var projected = [];
+    f.days.forEach(function (d, i) { if (d.expected !== null) projected.push([i, d]); });
+    if (projected.length) {
+      var upper = projected.map(function (p) { return x(p[0]) + ',' + y(p[1].high); });
+      var lower = projected.slice().reverse().map(function (p) { return x(p[0]) + ',' + y(p[1].low); });
+      el('polygon', { points: upper.concat(lower).join(' '), 'class': 'band' }, svg);
+      el('polyline', { points: projected.map(function (p) { return x(p[0]) + ',' + y(p[1].expected); }).join(' '), 'class': 'expected' }, svg);
+    }
+
+    var actual = [];
+    f.days.forEach(function (d, i) {
+      if (d.actual === null) return;
+      actual.push(x(i) + ',' + y(d.actual));
+      el('title', {}, el('circle', { cx: x(i), cy: y(d.actual), r: 3, 'class': 'dot' }, svg)).textContent = d.date + ': ' + money(d.actual);
+    });
+    if (actual.length) el('polyline', { points: actual.join(' '), 'class': 'line' }, svg);
+
+    if (f.budget) {
+      el('line', { x1: left, x2: W, y1: y(f.budget.limitUsd), y2: y(f.budget.limitUsd), 'class': 'budget' }, svg);
+    }
+
+    var labelEvery = Math.ceil(f.days.length / 10);
+    f.days.forEach(function (d, i) {
+      if (i % labelEvery === 0) el('text', { x: x(i), y: H - 6, 'text-anchor': 'middle' }, svg).textContent = d.date.slice(5);
+    });
+  }
+
+  function renderProjects(sessions) {
+    var projects = {};
+    sessions.forEach(function (s) {
+      var p = projects[s.project] || (projects[s.project] = { project: s.project, cost: 0, sessions: 0, input: 0, output: 0, cacheCreation: 0, cacheRead: 0 });
+      p.cost += s.cost; p.sessions++; p.input += s.input; p.output += s.output; p.cacheCreation += s.cacheCreation; p.cacheRead += s.cacheRead;
+    });
+    var rows = Object.keys(projects).map(function (k) { return projects[k]; }).sort(function (a, b) { return b.cost - a.cost; });
+    var total = rows.reduce(function (t, p) { return t + p.cost; }, 0) || 1;
+
+    $('projects').innerHTML = '<tr><th>Project</th><th class="num">Sessions</th><th class="num">Input</th><th class="num">Output</th><th class="num">Cache hit</th><th class="num">Cost</th><th>Share</th></tr>' +
+      (rows.length ? rows.map(function (p) {
+        return '<tr><td title="' + esc(p.project) + '">' + esc(name(p.project)) + '</td><td class="num">' + num(p.sessions) + '</td><td class="num">' + num(p.input) +
+          '</td><td class="num">' + num(p.output) + '</td><td class="num">' + pct(cacheRatio(p)) + '</td><td class="num">' + money(p.cost) +
+          '</td><td><span class="share" style="width:' + Math.round(p.cost / total * 120) + 'px"></span>' + pct(p.cost / total) + '</td></tr>';
+      }).join('') : '<tr><td colspan="7" class="empty">No sessions in range</td></tr>');
+  }
+
+  function deltasTable(id) {
+    var rows = data.conversations[id];
+    if (!rows) return '<p class="muted">Conversation deltas are only embedded for the top sessions by cost.</p>';
+    if (!rows.length) return '<p class="muted">No conversation deltas recorded for this session.</p>';
+    return '<table><tr><th>#</th><th>Time (' + esc(data.timeZone) + ')</th><th class="num">Input</th><th class="num">Output</th><th class="num">Cache create</th><th class="num">Cache read</th><th class="num">Cost</th></tr>' +
+      rows.map(function (c) {
+        return '<tr><td>' + c.index + '</td><td>' + esc(c.at) + '</td><td class="num">' + num(c.input) + '</td><td class="num">' + num(c.output) +
+          '</td><td class="num">' + num(c.cacheCreation) + '</td><td class="num">' + num(c.cacheRead) + '</td><td class="num">$' + (c.cost || 0).toFixed(6) + '</td></tr>';
+      }).join('') + '</table>';
+  }
+
+  function renderSessions(sessions) {
+    var top = sessions.slice().sort(function (a, b) { return b.cost - a.cost; }).slice(0, 25);
+    var html = '<tr><th>Session</th><th>Project</th><th>Started (' + esc(data.timeZone) + ')</th><th class="num">Input</th><th class="num">Output</th><th class="num">Cache hit</th><th class="num">Cost</th></tr>';
+
+    if (!top.length) html += '<tr><td colspan="7" class="empty">No sessions in range</td></tr>';
+    top.forEach(function (s) {
+      html += '<tr class="session" data-id="' + esc(s.id) + '"><td>' + (expanded[s.id] ? '▾ ' : '▸ ') + esc(s.id.slice(0, 8)) + '</td><td title="' + esc(s.project) + '">' + esc(name(s.project)) +
+        '</td><td>' + esc(s.startedAt) + '</td><td class="num">' + num(s.input) + '</td><td class="num">' + num(s.output) +
+        '</td><td class="num">' + pct(cacheRatio(s)) + '</td><td class="num">' + money(s.cost) + '</td></tr>';
+      if (expanded[s.id]) html += '<tr class="deltas"><td colspan="7">' + deltasTable(s.id) + '</td></tr>';
+    });
+    $('sessions').innerHTML = html;
+  }
+
+  function render() {
+    var sessions = filtered();
+    var days = byDay(sessions);
+    renderCards(sessions);
+    chart($('daily-chart'), days, function (d) { return d.cost; }, money, 'bar');
+    chart($('cache-chart'), days, cacheRatio, pct, 'line');
+    renderProjects(sessions);
+    renderSessions(sessions);
+  }
+
+  function reset() {
+    var dates = data.sessions.map(function (s) { return s.date; }).sort();
+    $('from').value = dates[0] || '';
+    $('to').value = dates[dates.length - 1] || '';
+    $('project').value = '';
+    render();
+  }
+
+  $('generated').textContent = 'Generated ' + data.generatedAt + ' · ' + data.sessions.length + ' sessions';
+  data.sessions.map(function (s) { return s.project; })
+    .filter(function (p, i, all) { return all.indexOf(p) === i; })
+    .sort()
+    .forEach(function (p) {
+      var option = document.createElement('option');
+      option.value = p;
+      option.textContent = name(p) + ' (' + p + ')';
+      $('project').appendChild(option);
+    });
+
+  renderForecast(data.forecast);
+  ['from', 'to', 'project'].forEach(function (id) { $(id).addEventListener('change', render); });
+  $('reset').addEventListener('click', reset);
+  $('sessions').addEventListener('click', function (event) {
+    var row = event.target.closest('tr.session');
+    if (!row) return;
+    expanded[row.dataset.id] = !expanded[row.dataset.id];
+    renderSessions(filtered());
+  });
+
+  reset();
+})();
+`;
+
+// CLI execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const builder = new HtmlReportBuilder();
+  const result = builder.write(process.argv[2] || 'claude-usage-report.html');
+  console.log(`✅ Report written to ${result.outputPath} (${result.sessions} sessions)`);
+  builder.close();
+}
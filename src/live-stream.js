@@ -0,0 +1,144 @@
+import net from 'net';
+import fs from 'fs';
+import path from 'path';
+
+// Clients that fall this far behind are dropped instead of buffering forever
+const MAX_CLIENT_BACKLOG_BYTES = 1024 * 1024;
+
+// Publishes tracker events as newline-delimited JSON over a local Unix socket.
+// Any number of subscribers (monitor, API server, status bars) can connect.
+export class LiveStreamServer {
+  constructor(socketPath) {
+    this.socketPath = socketPath;
+    this.clients = new Set();
+    this.server = null;
+  }
+
+  // A socket file nobody answers on is left over from a crashed tracker
+  async isSocketInUse() {
+    if (!fs.existsSync(this.socketPath)) return false;
+
+    return new Promise(resolve => {
+      const probe = net.connect(this.socketPath);
+      probe.once('connect', () => {
+        probe.destroy();
+        resolve(true);
+      });
+      probe.once('error', () => resolve(false));
+    });
+  }
+
+  async start() {
+    if (await this.isSocketInUse()) {
+      throw new Error(`Another tracker is already publishing on ${this.socketPath}`);
+    }
+    fs.rmSync(this.socketPath, { force: true });
+    fs.mkdirSync(path.dirname(this.socketPath), { recursive: true });
+
+    this.server = net.createServer(socket => this.addClient(socket));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.socketPath, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    // Usage data is private to the user
+    fs.chmodSync(this.socketPath, 0o600);
+  }
+
+  addClient(socket) {
+    this.clients.add(socket);
+    socket.on('close', () => this.clients.delete(socket));
+    socket.on('error', () => this.clients.delete(socket));
+    socket.write(JSON.stringify({ type: 'hello', pid: process.pid, timestamp: new Date().toISOString() }) + '\n');
+  }
+
+  publish(event) {
+    const line = JSON.stringify(event) + '\n';
+
+    for (const socket of this.clients) {
+      if (socket.writableLength > MAX_CLIENT_BACKLOG_BYTES) {
+        socket.destroy();
+        this.clients.delete(socket);
+        continue;
+      }
+      socket.write(line);
+    }
+  }
+
+  close() {
+    for (const socket of this.clients) {
+      socket.destroy();
+    }
+    this.clients.clear();
+
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+      fs.rmSync(this.socketPath, { force: true });
+    }
+  }
+}
+
+// Follow a tracker's live stream. Reconnects with backoff when the tracker
+// is not running or restarts; onStatus receives 'connected'/'disconnected'.
+export function subscribeLiveStream(socketPath, onEvent, { onStatus = () => {}, retryMs = 1000, maxRetryMs = 10000 } = {}) {
+  let socket = null;
+  let closed = false;
+  let connected = false;
+  let retryTimer = null;
+  let delay = retryMs;
+
+  const connect = () => {
+    let buffer = '';
+    socket = net.connect(socketPath);
+    // Decode across chunks so a multi-byte character split between two
+    // reads is not mangled
+    socket.setEncoding('utf8');
+
+    socket.on('connect', () => {
+      delay = retryMs;
+      connected = true;
+      onStatus('connected');
+    });
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          onEvent(JSON.parse(line));
+        } catch (error) {
+          console.error('❌ Bad live event:', error.message);
+        }
+      }
+    });
+
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      if (closed) return;
+      if (connected) {
+        connected = false;
+        onStatus('disconnected');
+      }
+      retryTimer = setTimeout(connect, delay);
+      delay = Math.min(delay * 2, maxRetryMs);
+    });
+  };
+
+  connect();
+
+  return {
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (socket) socket.destroy();
+    }
+  };
+}
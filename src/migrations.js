@@ -0,0 +1,408 @@
+import fs from 'fs';
+import os from 'os';
+
+// Ordered schema migrations. Each entry runs exactly once per database and
+// bumps PRAGMA user_version to its version number. Never edit a migration
+// that has shipped - append a new one instead.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial-schema',
+    up(db) {
+      // Sessions table - tracks overall session data
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS sessions (
+          id TEXT PRIMARY KEY,
+          project_path TEXT NOT NULL,
+          started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          ended_at DATETIME,
+          total_input_tokens INTEGER DEFAULT 0,
+          total_output_tokens INTEGER DEFAULT 0,
+          total_cache_creation_tokens INTEGER DEFAULT 0,
+          total_cache_read_tokens INTEGER DEFAULT 0,
+          total_cost_usd REAL DEFAULT 0,
+          api_duration_ms INTEGER DEFAULT 0,
+          total_duration_ms INTEGER DEFAULT 0,
+          lines_added INTEGER DEFAULT 0,
+          lines_removed INTEGER DEFAULT 0,
+          web_search_requests INTEGER DEFAULT 0
+        )
+      `);
+
+      // Conversations table - tracks individual conversations within sessions
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS conversations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id TEXT NOT NULL,
+          conversation_index INTEGER NOT NULL,
+          started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          ended_at DATETIME,
+          input_tokens INTEGER DEFAULT 0,
+          output_tokens INTEGER DEFAULT 0,
+          cache_creation_tokens INTEGER DEFAULT 0,
+          cache_read_tokens INTEGER DEFAULT 0,
+          cost_usd REAL DEFAULT 0
+        )
+      `);
+
+      // Session snapshots - stores raw data from .claude.json
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS session_snapshots (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id TEXT NOT NULL,
+          project_path TEXT NOT NULL,
+          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+          raw_data TEXT NOT NULL,
+          input_tokens INTEGER,
+          output_tokens INTEGER,
+          cache_creation_tokens INTEGER,
+          cache_read_tokens INTEGER,
+          cost_usd REAL
+        )
+      `);
+
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_sessions_project ON sessions (project_path);
+        CREATE INDEX IF NOT EXISTS idx_sessions_started ON sessions (started_at);
+        CREATE INDEX IF NOT EXISTS idx_conversations_session ON conversations (session_id);
+        CREATE INDEX IF NOT EXISTS idx_snapshots_session ON session_snapshots (session_id);
+        CREATE INDEX IF NOT EXISTS idx_snapshots_timestamp ON session_snapshots (timestamp);
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'transcript-messages',
+    up(db) {
+      // Messages table - per-turn usage ingested from transcript JSONL files
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS messages (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id TEXT NOT NULL REFERENCES sessions(id),
+          message_id TEXT NOT NULL,
+          request_id TEXT,
+          model TEXT,
+          timestamp DATETIME,
+          input_tokens INTEGER DEFAULT 0,
+          output_tokens INTEGER DEFAULT 0,
+          cache_creation_tokens INTEGER DEFAULT 0,
+          cache_creation_5m_tokens INTEGER DEFAULT 0,
+          cache_creation_1h_tokens INTEGER DEFAULT 0,
+          cache_read_tokens INTEGER DEFAULT 0,
+          web_search_requests INTEGER DEFAULT 0,
+          is_sidechain INTEGER DEFAULT 0,
+          source_file TEXT,
+          UNIQUE (session_id, message_id)
+        )
+      `);
+
+      // Transcript files - read offsets so ingestion only parses appended lines
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS transcript_files (
+          path TEXT PRIMARY KEY,
+          size INTEGER DEFAULT 0,
+          mtime_ms REAL DEFAULT 0,
+          offset INTEGER DEFAULT 0,
+          ingested_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_messages_session ON messages (session_id);
+        CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages (timestamp);
+      `);
+    }
+  },
+  {
+    version: 3,
+    name: 'snapshot-dedup-and-retention',
+    up(db) {
+      // content_hash lets the tracker skip unchanged polls; granularity
+      // records whether a row survived downsampling as an hourly/daily rollup
+      db.exec(`
+        ALTER TABLE session_snapshots ADD COLUMN content_hash TEXT;
+        ALTER TABLE session_snapshots ADD COLUMN granularity TEXT NOT NULL DEFAULT 'full';
+        CREATE INDEX IF NOT EXISTS idx_snapshots_session_id ON session_snapshots (session_id, id);
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'expected-costs',
+    up(db) {
+      // Costs recomputed from the price table, stored next to the reported ones
+      db.exec(`
+        ALTER TABLE sessions ADD COLUMN expected_cost_usd REAL;
+        ALTER TABLE sessions ADD COLUMN cost_model TEXT;
+        ALTER TABLE messages ADD COLUMN expected_cost_usd REAL;
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'budgets',
+    up(db) {
+      // scope is 'global' or an absolute project path
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS budgets (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          scope TEXT NOT NULL,
+          period TEXT NOT NULL CHECK (period IN ('daily', 'weekly', 'monthly')),
+          limit_usd REAL NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (scope, period)
+        )
+      `);
+
+      // One row per threshold per period, so each alert fires only once
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS budget_alerts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          budget_id INTEGER NOT NULL REFERENCES budgets(id) ON DELETE CASCADE,
+          period_start DATETIME NOT NULL,
+          threshold INTEGER NOT NULL,
+          spend_usd REAL,
+          fired_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (budget_id, period_start, threshold)
+        )
+      `);
+
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_conversations_started ON conversations (started_at);
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'source-hosts',
+    up(db) {
+      // Machine each row was recorded on, so databases from several machines
+      // can be merged. Existing rows belong to the machine that migrates.
+      db.exec(`
+        ALTER TABLE sessions ADD COLUMN source_host TEXT;
+        ALTER TABLE conversations ADD COLUMN source_host TEXT;
+        ALTER TABLE session_snapshots ADD COLUMN source_host TEXT;
+        CREATE INDEX IF NOT EXISTS idx_sessions_source_host ON sessions (source_host);
+      `);
+
+      const hostname = os.hostname();
+      for (const table of ['sessions', 'conversations', 'session_snapshots']) {
+        db.prepare(`UPDATE ${table} SET source_host = ? WHERE source_host IS NULL`).run(hostname);
+      }
+    }
+  },
+  {
+    version: 7,
+    name: 'session-lifecycle',
+    up(db) {
+      // active -> idle -> closed; existing rows start active and are settled
+      // by the tracker's idle sweep or `sessions repair`
+      db.exec(`
+        ALTER TABLE sessions ADD COLUMN state TEXT NOT NULL DEFAULT 'active'
+          CHECK (state IN ('active', 'idle', 'closed'));
+        ALTER TABLE sessions ADD COLUMN close_reason TEXT;
+        CREATE INDEX IF NOT EXISTS idx_sessions_state ON sessions (state);
+      `);
+
+      // Audit trail of lifecycle changes and repairs; details is JSON
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS session_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id TEXT NOT NULL,
+          event TEXT NOT NULL,
+          from_state TEXT,
+          to_state TEXT,
+          reason TEXT,
+          details TEXT,
+          at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS idx_session_events_session ON session_events (session_id);
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: 'anomalies',
+    up(db) {
+      // Turns whose metrics are far off their project's baseline; one row
+      // per conversation and metric, so rescans never duplicate findings
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS anomalies (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          conversation_id INTEGER NOT NULL,
+          session_id TEXT NOT NULL,
+          project_path TEXT NOT NULL,
+          metric TEXT NOT NULL,
+          value REAL NOT NULL,
+          baseline REAL NOT NULL,
+          score REAL NOT NULL,
+          severity TEXT NOT NULL CHECK (severity IN ('warning', 'critical')),
+          explanation TEXT NOT NULL,
+          occurred_at DATETIME NOT NULL,
+          detected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (conversation_id, metric)
+        );
+        CREATE INDEX IF NOT EXISTS idx_anomalies_project ON anomalies (project_path, occurred_at);
+      `);
+    }
+  },
+  {
+    version: 9,
+    name: 'git-correlation',
+    up(db) {
+      // Branch and HEAD of project_path when a session started and when each
+      // delta was recorded; snapshots keep them so replays do not lose them.
+      // Conversations also get their share of the session's line counters.
+      db.exec(`
+        ALTER TABLE sessions ADD COLUMN git_branch TEXT;
+        ALTER TABLE sessions ADD COLUMN git_head TEXT;
+        ALTER TABLE conversations ADD COLUMN git_branch TEXT;
+        ALTER TABLE conversations ADD COLUMN git_head TEXT;
+        ALTER TABLE conversations ADD COLUMN lines_added INTEGER DEFAULT 0;
+        ALTER TABLE conversations ADD COLUMN lines_removed INTEGER DEFAULT 0;
+        ALTER TABLE session_snapshots ADD COLUMN git_branch TEXT;
+        ALTER TABLE session_snapshots ADD COLUMN git_head TEXT;
+        CREATE INDEX IF NOT EXISTS idx_conversations_git_branch ON conversations (git_branch);
+      `);
+    }
+  },
+  {
+    version: 10,
+    name: 'tags',
+    up(db) {
+      // key=value tags on a project path, a session id, or every project
+      // whose path matches a GLOB rule; one value per key and target
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS tags (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          scope TEXT NOT NULL CHECK (scope IN ('project', 'session', 'rule')),
+          target TEXT NOT NULL,
+          key TEXT NOT NULL,
+          value TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (scope, target, key)
+        );
+      `);
+    }
+  },
+  {
+    version: 11,
+    name: 'counter-offsets',
+    up(db) {
+      // JSON of the counters a session reached before each reset or restart
+      // under the same id; its totals are these plus the current counters
+      db.exec('ALTER TABLE sessions ADD COLUMN counter_offset TEXT');
+    }
+  },
+  {
+    version: 12,
+    name: 'message-timestamps',
+    up(db) {
+      // Message times were stored as the transcript's ISO strings; convert
+      // them to UTC "YYYY-MM-DD HH:MM:SS" like every other timestamp
+      db.exec(`
+        UPDATE messages SET timestamp = strftime('%Y-%m-%d %H:%M:%S', timestamp)
+        WHERE timestamp IS NOT NULL AND strftime('%Y-%m-%d %H:%M:%S', timestamp) IS NOT NULL
+      `);
+    }
+  },
+  {
+    version: 13,
+    name: 'configured-source-hosts',
+    up(db, { hostname, fromVersion }) {
+      // Rows without a source_host belong to the machine that migrates, under
+      // its configured name (CLAUDE_TOKENS_HOST / config.hostname). v6 used
+      // the OS hostname; rows it backfilled earlier in this same run move too.
+      const backfilled = fromVersion < 6 ? os.hostname() : null;
+      for (const table of ['sessions', 'conversations', 'session_snapshots']) {
+        db.prepare(`UPDATE ${table} SET source_host = ? WHERE source_host IS NULL OR source_host = ?`)
+          .run(hostname, backfilled);
+      }
+    }
+  }
+];
+
+export class MigrationRunner {
+  // options.hostname names this machine in migrations that backfill
+  // source_host; each migration also sees the version the run started at
+  constructor(db, dbPath, options = {}) {
+    this.db = db;
+    this.dbPath = dbPath;
+    this.hostname = options.hostname || os.hostname();
+    this.migrations = [...(options.migrations || MIGRATIONS)].sort((a, b) => a.version - b.version);
+  }
+
+  currentVersion() {
+    return this.db.pragma('user_version', { simple: true });
+  }
+
+  latestVersion() {
+    return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+  }
+
+  pending() {
+    const current = this.currentVersion();
+    return this.migrations.filter(migration => migration.version > current);
+  }
+
+  status() {
+    const current = this.currentVersion();
+    return {
+      dbPath: this.dbPath,
+      currentVersion: current,
+      latestVersion: this.latestVersion(),
+      migrations: this.migrations.map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        applied: migration.version <= current
+      }))
+    };
+  }
+
+  // Databases created before migrations existed still report user_version 0
+  // but already hold data worth backing up
+  hasUserTables() {
+    return this.db.prepare(
+      `SELECT COUNT(*) as count FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'`
+    ).get().count > 0;
+  }
+
+  // Copy the database to a sibling file before touching its schema
+  backup(fromVersion) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = `${this.dbPath}.backup-v${fromVersion}-${stamp}`;
+    this.db.prepare('VACUUM INTO ?').run(backupPath);
+    return backupPath;
+  }
+
+  // Apply every pending migration inside a single transaction
+  migrate({ dryRun = false } = {}) {
+    const fromVersion = this.currentVersion();
+    const pending = this.pending();
+    const result = {
+      fromVersion,
+      toVersion: pending.length > 0 ? pending[pending.length - 1].version : fromVersion,
+      applied: pending.map(migration => ({ version: migration.version, name: migration.name })),
+      backupPath: null,
+      dryRun
+    };
+
+    if (pending.length === 0 || dryRun) {
+      return result;
+    }
+
+    if (this.dbPath !== ':memory:' && fs.existsSync(this.dbPath) && this.hasUserTables()) {
+      result.backupPath = this.backup(fromVersion);
+    }
+
+    const apply = this.db.transaction(() => {
+      for (const migration of pending) {
+        migration.up(this.db, { hostname: this.hostname, fromVersion });
+        this.db.pragma(`user_version = ${migration.version}`);
+      }
+    });
+
+    apply();
+    return result;
+  }
+}
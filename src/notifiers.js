@@ -0,0 +1,84 @@
+import fs from 'fs';
+import path from 'path';
+import { exec } from 'child_process';
+
+// Every notifier exposes notify(alert) returning a promise. Alerts are plain
+// objects, so the same payload reaches the console, the log, shell hooks
+// and webhooks.
+
+export class ConsoleNotifier {
+  async notify(alert) {
+    const icon = alert.threshold >= 100 ? '🚨' : '⚠️';
+    console.log(`${icon} ${alert.message}`);
+  }
+}
+
+export class AlertLogNotifier {
+  constructor(logPath) {
+    this.logPath = logPath;
+  }
+
+  async notify(alert) {
+    fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+    fs.appendFileSync(this.logPath, JSON.stringify(alert) + '\n');
+  }
+}
+
+// Runs a shell command with the alert in CLAUDE_TOKENS_ALERT (JSON) and
+// CLAUDE_TOKENS_ALERT_MESSAGE, e.g. `osascript -e 'display notification ...'`
+export class CommandNotifier {
+  constructor(command, timeoutMs = 10000) {
+    this.command = command;
+    this.timeoutMs = timeoutMs;
+  }
+
+  notify(alert) {
+    return new Promise((resolve, reject) => {
+      exec(this.command, {
+        timeout: this.timeoutMs,
+        env: {
+          ...process.env,
+          CLAUDE_TOKENS_ALERT: JSON.stringify(alert),
+          CLAUDE_TOKENS_ALERT_MESSAGE: alert.message
+        }
+      }, (error) => (error ? reject(error) : resolve()));
+    });
+  }
+}
+
+export class WebhookNotifier {
+  constructor(url, timeoutMs = 10000) {
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async notify(alert) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: alert.message, alert }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook ${this.url} responded ${response.status}`);
+    }
+  }
+}
+
+// Console and alert log are always on; `notifiers` adds configured hooks
+export function createNotifiers({ alertLog, notifiers = [] }) {
+  const result = [new ConsoleNotifier(), new AlertLogNotifier(alertLog)];
+
+  for (const hook of notifiers) {
+    if (hook.type === 'command' && hook.command) {
+      result.push(new CommandNotifier(hook.command, hook.timeoutMs));
+    } else if (hook.type === 'webhook' && hook.url) {
+      result.push(new WebhookNotifier(hook.url, hook.timeoutMs));
+    } else {
+      console.error(`⚠️ Ignoring unknown notifier: ${JSON.stringify(hook)}`);
+    }
+  }
+
+  return result;
+}
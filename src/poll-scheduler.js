@@ -0,0 +1,150 @@
+import fs from 'fs';
+import path from 'path';
+
+// Decides when the tracker re-reads its sources. fs.watch events (debounced)
+// and a safety poll both lead to a cheap stat() of every file; `run` only
+// happens when a file's size or mtime moved. The safety poll slows down to
+// idleIntervalMs while `isIdle()` says no counters have changed for a while.
+// run() returns false when it could not consume the change (e.g. a torn
+// read), so the same files are checked again on the next tick.
+export class PollScheduler {
+  constructor({
+    files,
+    run,
+    tick = () => {},
+    isIdle = () => false,
+    watch = true,
+    debounceMs = 200,
+    activeIntervalMs = 2000,
+    idleIntervalMs = 60000
+  }) {
+    this.files = files;
+    this.run = run;
+    this.tick = tick;
+    this.isIdle = isIdle;
+    this.watchEnabled = watch;
+    this.debounceMs = debounceMs;
+    this.activeIntervalMs = activeIntervalMs;
+    this.idleIntervalMs = idleIntervalMs;
+
+    this.watchers = [];
+    this.debounceTimer = null;
+    this.safetyTimer = null;
+    this.lastFingerprint = null;
+    this.checking = false;
+    this.recheck = false;
+    this.idle = false;
+    this.stats = {
+      watchEvents: 0,
+      checks: 0,       // stat() passes
+      unchanged: 0,    // checks that found nothing to read
+      runs: 0
+    };
+  }
+
+  start() {
+    if (this.watchEnabled) this.watch();
+    this.scheduleSafetyPoll();
+  }
+
+  // Watch the directories rather than the files: Claude Code may replace
+  // .claude.json by renaming over it, which ends a watch on the old inode
+  watch() {
+    const byDirectory = new Map();
+    for (const file of this.files()) {
+      const directory = path.dirname(file);
+      if (!byDirectory.has(directory)) byDirectory.set(directory, new Set());
+      byDirectory.get(directory).add(path.basename(file));
+    }
+
+    for (const [directory, names] of byDirectory) {
+      try {
+        const watcher = fs.watch(directory, { persistent: false }, (event, filename) => {
+          if (filename && !names.has(filename.toString())) return;
+          this.stats.watchEvents++;
+          this.trigger();
+        });
+        watcher.on('error', error => {
+          console.error(`⚠️ Watching ${directory} failed, relying on polling:`, error.message);
+          watcher.close();
+        });
+        this.watchers.push(watcher);
+      } catch (error) {
+        console.error(`⚠️ Cannot watch ${directory}, relying on polling:`, error.message);
+      }
+    }
+  }
+
+  // Writers touch a file several times in a row; react once they settle
+  trigger() {
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => this.check(), this.debounceMs);
+  }
+
+  fingerprint() {
+    return this.files().map(file => {
+      try {
+        const stat = fs.statSync(file);
+        return `${file}:${stat.size}:${stat.mtimeMs}`;
+      } catch {
+        return `${file}:missing`;
+      }
+    }).join('|');
+  }
+
+  async check() {
+    // A check already running picks up changes that arrive meanwhile
+    if (this.checking) {
+      this.recheck = true;
+      return;
+    }
+    this.checking = true;
+
+    try {
+      do {
+        this.recheck = false;
+        this.stats.checks++;
+
+        const fingerprint = this.fingerprint();
+        if (fingerprint === this.lastFingerprint) {
+          this.stats.unchanged++;
+          continue;
+        }
+
+        this.stats.runs++;
+        const consumed = await this.run();
+        this.lastFingerprint = consumed === false ? null : fingerprint;
+      } while (this.recheck);
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  scheduleSafetyPoll() {
+    const idle = this.isIdle();
+    if (idle !== this.idle) {
+      this.idle = idle;
+      console.log(`🔄 Safety poll every ${this.currentInterval() / 1000}s (${idle ? 'idle' : 'active'})`);
+    }
+
+    this.safetyTimer = setTimeout(async () => {
+      try {
+        await this.check();
+        await this.tick();
+      } finally {
+        this.scheduleSafetyPoll();
+      }
+    }, this.currentInterval());
+  }
+
+  currentInterval() {
+    return this.idle ? this.idleIntervalMs : this.activeIntervalMs;
+  }
+
+  stop() {
+    clearTimeout(this.debounceTimer);
+    clearTimeout(this.safetyTimer);
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+  }
+}
@@ -0,0 +1,96 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadConfig } from './config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_PRICE_TABLE = path.join(__dirname, 'prices.json');
+
+export function loadPriceTable(tablePath = DEFAULT_PRICE_TABLE) {
+  try {
+    return JSON.parse(fs.readFileSync(tablePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot load price table ${tablePath}: ${error.message}`);
+  }
+}
+
+// Works for ISO strings and SQLite's "YYYY-MM-DD HH:MM:SS" alike
+function toDay(date) {
+  if (!date) return new Date().toISOString().slice(0, 10);
+  if (date instanceof Date) return date.toISOString().slice(0, 10);
+  return String(date).slice(0, 10);
+}
+
+export class PricingEngine {
+  constructor(options = {}) {
+    this.config = loadConfig(options);
+    const { tablePath, defaultModel } = this.config.pricing;
+    this.tablePath = tablePath || DEFAULT_PRICE_TABLE;
+    this.table = loadPriceTable(this.tablePath);
+    this.defaultModel = defaultModel;
+  }
+
+  // Analyses that price every session rely on the default model to price
+  // what has no model of its own. Ingestion does not call this, so a bad
+  // pricing.defaultModel never stops the tracker.
+  requireDefaultModel() {
+    if (!this.resolveModel(this.defaultModel)) {
+      const known = this.table.models.map(entry => entry.id).join(', ');
+      throw new Error(`pricing.defaultModel "${this.defaultModel}" has no entry in the price table ${this.tablePath} (known: ${known})`);
+    }
+  }
+
+  // Longest matching prefix wins, so "claude-opus-4-5-20251101" picks the
+  // Opus 4.5 entry rather than the generic Opus 4 one
+  resolveModel(model) {
+    if (!model) return null;
+    const name = model.toLowerCase();
+    let best = null;
+    let bestLength = 0;
+
+    for (const entry of this.table.models) {
+      for (const prefix of entry.match) {
+        if (name.startsWith(prefix) && prefix.length > bestLength) {
+          best = entry;
+          bestLength = prefix.length;
+        }
+      }
+    }
+
+    return best;
+  }
+
+  // Rates in effect for a model on a given day. Dates outside every range
+  // fall back to the nearest range rather than pricing at zero.
+  ratesFor(model, date = null) {
+    const entry = this.resolveModel(model) || this.resolveModel(this.defaultModel);
+    if (!entry) return null;
+
+    const day = toDay(date);
+    const ranges = [...entry.rates].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+    const match = ranges.find(rate => rate.effectiveFrom <= day && (!rate.effectiveTo || day < rate.effectiveTo));
+
+    if (match) return { model: entry.id, ...match };
+    const fallback = day < ranges[0].effectiveFrom ? ranges[0] : ranges[ranges.length - 1];
+    return { model: entry.id, ...fallback };
+  }
+
+  // Expected USD cost of a usage record. Cache writes without a 5m/1h split
+  // (everything in .claude.json) are priced at the 5 minute rate.
+  costOf(usage, model, date = null) {
+    const rates = this.ratesFor(model, date);
+    if (!rates) return 0;
+
+    const write5m = usage.cacheCreation5mTokens || 0;
+    const write1h = usage.cacheCreation1hTokens || 0;
+    const unsplit = Math.max(0, (usage.cacheCreationTokens || 0) - write5m - write1h);
+
+    return (
+      (usage.inputTokens || 0) * rates.input +
+      (usage.outputTokens || 0) * rates.output +
+      (write5m + unsplit) * rates.cacheWrite5m +
+      write1h * rates.cacheWrite1h +
+      (usage.cacheReadTokens || 0) * rates.cacheRead
+    ) / 1_000_000;
+  }
+}
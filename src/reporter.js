@@ -1,9 +1,24 @@
-import { TokenDatabase } from './database.js';
+import fs from 'fs';
+import path from 'path';
+import { TokenDatabase, fromSqlTimestamp } from './database.js';
+import { loadConfig } from './config.js';
+import { reportingZone, formatDateTime } from './time-zones.js';
+import { TagManager } from './tags.js';
 import chalk from 'chalk';
 
+const PERIOD_LABELS = {
+  day: { title: 'DAILY', unit: 'days', column: 'Date' },
+  week: { title: 'WEEKLY', unit: 'weeks', column: 'Week' },
+  month: { title: 'MONTHLY', unit: 'months', column: 'Month' }
+};
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
 export class TokenReporter {
-  constructor() {
-    this.db = new TokenDatabase();
+  constructor(options = {}) {
+    this.config = loadConfig(options);
+    this.zone = reportingZone(this.config.reporting);
+    this.db = new TokenDatabase({ dbPath: this.config.dbPath, reporting: this.config.reporting });
   }
 
   // Format numbers with commas
@@ -16,26 +31,29 @@ export class TokenReporter {
     return `$${cost.toFixed(4)}`;
   }
 
-  // Format date in IST
+  // Format a stored UTC timestamp in the reporting zone and locale
   formatDate(dateStr) {
     if (!dateStr) return 'N/A';
-    return new Date(dateStr).toLocaleString('en-IN', {
-      timeZone: 'Asia/Kolkata',
-      year: 'numeric',
-      month: '2-digit',
-      day: '2-digit',
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit',
-      hour12: true
-    });
+    return formatDateTime(fromSqlTimestamp(dateStr), this.zone);
+  }
+
+  // Heading suffix naming the host filter, if any
+  filterLabel(filters) {
+    const labels = [];
+    if (filters.host) labels.push(`host: ${filters.host}`);
+    (filters.tags || []).forEach(({ key, value }) => labels.push(value === null ? `has ${key}` : `${key}=${value}`));
+    return labels.length > 0 ? ` [${labels.join(', ')}]` : '';
   }
 
   // Show overall summary
-  showSummary() {
-    console.log(chalk.cyan('\n📊 CLAUDE CODE TOKEN USAGE SUMMARY\n'));
+  showSummary(filters = {}) {
+    if (filters.groupBy) {
+      this.showTagSummary(filters);
+      return;
+    }
+    console.log(chalk.cyan(`\n📊 CLAUDE CODE TOKEN USAGE SUMMARY${this.filterLabel(filters)}\n`));
     
-    const projects = this.db.getAllProjects();
+    const projects = this.db.getAllProjects(filters);
     
     if (projects.length === 0) {
       console.log(chalk.yellow('No data found. Make sure the tracker is running and you\'ve used Claude Code.'));
@@ -73,6 +91,17 @@ export class TokenReporter {
       console.log('');
     });
 
+    // Merged databases: show what each machine contributed
+    const hosts = this.db.getHostTotals(filters);
+    if (hosts.length > 1) {
+      console.log(chalk.bold('Hosts:'));
+      console.log('─'.repeat(80));
+      hosts.forEach(host => {
+        console.log(`💻 ${chalk.green(host.host || 'unknown')}: ${this.formatNumber(host.session_count)} sessions, ${chalk.yellow(this.formatCost(host.total_cost))}, last activity ${this.formatDate(host.last_activity)}`);
+      });
+      console.log('');
+    }
+
     console.log(chalk.bold('Overall Totals:'));
     console.log('─'.repeat(80));
     console.log(`Total sessions: ${chalk.cyan(this.formatNumber(totalSessions))}`);
@@ -82,6 +111,31 @@ export class TokenReporter {
     console.log(`Total cost: ${chalk.yellow(this.formatCost(totalCost))}`);
   }
 
+  // Summary split by the value of one tag key (cost allocation)
+  showTagSummary(filters) {
+    const key = filters.groupBy;
+    console.log(chalk.cyan(`\n📊 CLAUDE CODE TOKEN USAGE BY ${key.toUpperCase()}${this.filterLabel(filters)}\n`));
+
+    const groups = this.db.getTagTotals(key, filters);
+    if (groups.length === 0) {
+      console.log(chalk.yellow('No sessions found.'));
+      return;
+    }
+
+    const totalCost = groups.reduce((sum, group) => sum + group.total_cost, 0);
+    console.log(chalk.bold(`${key.slice(0, 20).padEnd(20)} Sessions Projects      Input     Output       Cost  Share`));
+    console.log('─'.repeat(80));
+    groups.forEach(group => {
+      const name = (group.tag ?? '(untagged)').slice(0, 20).padEnd(20);
+      const share = totalCost > 0 ? `${((group.total_cost / totalCost) * 100).toFixed(1)}%` : '—';
+      console.log(`${group.tag === null ? chalk.gray(name) : chalk.green(name)} ${String(group.session_count).padStart(8)} ${String(group.project_count).padStart(8)} ${chalk.blue(this.formatNumber(group.total_input).padStart(10))} ${chalk.magenta(this.formatNumber(group.total_output).padStart(10))} ${chalk.yellow(this.formatCost(group.total_cost).padStart(10))} ${share.padStart(6)}`);
+    });
+
+    const sum = field => groups.reduce((total, group) => total + group[field], 0);
+    console.log('─'.repeat(80));
+    console.log(`${'Total'.padEnd(20)} ${String(sum('session_count')).padStart(8)} ${''.padStart(8)} ${chalk.blue(this.formatNumber(sum('total_input')).padStart(10))} ${chalk.magenta(this.formatNumber(sum('total_output')).padStart(10))} ${chalk.yellow(this.formatCost(totalCost).padStart(10))}`);
+  }
+
   // Show project details
   showProject(projectPath, days = 30) {
     console.log(chalk.cyan(`\n📁 PROJECT DETAILS: ${projectPath}\n`));
@@ -128,44 +182,194 @@ export class TokenReporter {
   }
 
   // Show daily stats
-  showDailyStats(days = 7) {
-    console.log(chalk.cyan(`\n📈 DAILY USAGE (Last ${days} days)\n`));
+  showDailyStats(days = 7, filters = {}) {
+    this.showUsageByPeriod('day', days, filters);
+  }
+
+  // Daily, weekly or monthly usage, bucketed in the reporting zone
+  showUsageByPeriod(period = 'day', count = 7, filters = {}) {
+    const { title, unit, column } = PERIOD_LABELS[period];
+    const weeks = period === 'week' ? (this.zone.isoWeeks ? ', ISO weeks' : `, weeks from ${WEEKDAYS[this.zone.weekStart]}`) : '';
+    console.log(chalk.cyan(`\n📈 ${title} USAGE (Last ${count} ${unit}, ${this.zone.timeZone}${weeks})${this.filterLabel(filters)}\n`));
     
-    const stats = this.db.getDailyStats(days);
+    const stats = this.db.getUsageByPeriod(period, count, filters);
     
     if (stats.length === 0) {
       console.log(chalk.yellow('No usage data found for the specified period.'));
       return;
     }
 
-    console.log(chalk.bold('Date       Sessions  Input     Output    Cost'));
-    console.log('─'.repeat(60));
+    // Grouped by a tag, each period has one row per tag value
+    const tagColumn = filters.groupBy ? 16 : 0;
+    const tagCell = label => (tagColumn ? ` ${label.slice(0, tagColumn - 1).padEnd(tagColumn)}` : '');
+    console.log(chalk.bold(`${column.padEnd(10)}${tagCell(filters.groupBy || '')} Sessions  Input     Output    Cost`));
+    console.log('─'.repeat(60 + tagColumn));
     
     stats.forEach(stat => {
-      const date = stat.date.padEnd(10);
+      const date = `${stat.period.padEnd(10)}${tagCell(stat.tag ?? '(untagged)')}`;
       const sessions = String(stat.session_count).padStart(8);
-      const input = this.formatNumber(stat.daily_input).padStart(9);
-      const output = this.formatNumber(stat.daily_output).padStart(9);
-      const cost = this.formatCost(stat.daily_cost).padStart(9);
+      const input = this.formatNumber(stat.total_input).padStart(9);
+      const output = this.formatNumber(stat.total_output).padStart(9);
+      const cost = this.formatCost(stat.total_cost).padStart(9);
       
       console.log(`${date} ${sessions}  ${chalk.blue(input)} ${chalk.magenta(output)} ${chalk.yellow(cost)}`);
     });
 
     // Show totals
     const totalSessions = stats.reduce((sum, s) => sum + s.session_count, 0);
-    const totalInput = stats.reduce((sum, s) => sum + s.daily_input, 0);
-    const totalOutput = stats.reduce((sum, s) => sum + s.daily_output, 0);
-    const totalCost = stats.reduce((sum, s) => sum + s.daily_cost, 0);
+    const totalInput = stats.reduce((sum, s) => sum + s.total_input, 0);
+    const totalOutput = stats.reduce((sum, s) => sum + s.total_output, 0);
+    const totalCost = stats.reduce((sum, s) => sum + s.total_cost, 0);
 
-    console.log('─'.repeat(60));
-    console.log(`${'Total'.padEnd(10)} ${String(totalSessions).padStart(8)}  ${chalk.blue(this.formatNumber(totalInput).padStart(9))} ${chalk.magenta(this.formatNumber(totalOutput).padStart(9))} ${chalk.yellow(this.formatCost(totalCost).padStart(9))}`);
+    console.log('─'.repeat(60 + tagColumn));
+    console.log(`${'Total'.padEnd(10 + (tagColumn ? tagColumn + 1 : 0))} ${String(totalSessions).padStart(8)}  ${chalk.blue(this.formatNumber(totalInput).padStart(9))} ${chalk.magenta(this.formatNumber(totalOutput).padStart(9))} ${chalk.yellow(this.formatCost(totalCost).padStart(9))}`);
+  }
+
+  // Projected end-of-period spend (see forecast.js)
+  showForecast(forecast) {
+    const scope = forecast.project ? path.basename(forecast.project) : 'All projects';
+    const dollars = value => `$${value.toFixed(2)}`;
+    const first = forecast.days[0].date;
+    const last = forecast.days[forecast.days.length - 1].date;
+
+    console.log(chalk.cyan(`\n🔮 ${PERIOD_LABELS[forecast.period].title} FORECAST: ${scope} (${forecast.timeZone})\n`));
+    console.log(`Period: ${first} to ${last} (day ${Math.ceil(forecast.daysElapsed)} of ${forecast.daysTotal})`);
+    console.log(`Spent so far: ${chalk.yellow(dollars(forecast.spent))} ${chalk.gray(`(today ${dollars(forecast.spentToday)})`)}`);
+    console.log(`Projected total: ${chalk.bold.yellow(dollars(forecast.projected))} ${chalk.gray(`(${Math.round(forecast.confidence * 100)}% band ${dollars(forecast.low)} to ${dollars(forecast.high)})`)}`);
+    console.log(`Linear pace: ${dollars(forecast.linear)}`);
+
+    const { historyDays, weekday, weekend } = forecast.seasonality;
+    if (historyDays === 0) {
+      console.log(chalk.yellow('No spend history before today yet; the projection only counts what is already spent.'));
+    } else {
+      console.log(`Seasonality (${historyDays} days): weekdays ${dollars(weekday.mean)}/day ±${dollars(weekday.sd)}, weekends ${dollars(weekend.mean)}/day ±${dollars(weekend.sd)}`);
+    }
+
+    if (forecast.budget) {
+      const budget = forecast.budget;
+      const percent = budget.projectedPercent;
+      const color = percent >= 100 ? chalk.red : percent >= 80 ? chalk.yellow : chalk.green;
+      let outlook = `${Math.round(budget.probabilityOver * 100)}% chance of going over`;
+      if (budget.exceeded) outlook = 'already exceeded';
+      else if (budget.exceededOn) outlook += `, expected to cross it on ${budget.exceededOn}`;
+      console.log(`Budget: ${dollars(budget.limitUsd)} ${color(`(${percent.toFixed(0)}% projected)`)} ${outlook}`);
+    }
+
+    const burn = forecast.burn;
+    console.log(chalk.bold(`\n🔥 Burn rate: ${dollars(burn.hourlyUsd)}/h`) + chalk.gray(` (${burn.sessions.length} active session(s), last ${burn.windowMinutes} min)`));
+    burn.sessions.forEach(session => {
+      console.log(`   ${session.id.slice(0, 8)} ${path.basename(session.projectPath).padEnd(24)} ${dollars(session.hourlyUsd)}/h`);
+    });
+    if (!burn.trackerRunning) {
+      console.log(chalk.yellow('⚠️ No tracker is running, so active sessions may be out of date'));
+    }
+  }
+
+  // Cache hit ratio, savings and unread cache writes (see cache-report.js)
+  showCacheReport(report, limit = 10) {
+    const dollars = value => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+    const percent = value => `${(value * 100).toFixed(1)}%`;
+    const since = this.formatDate(report.since);
+    console.log(chalk.cyan(`\n💾 CACHE EFFICIENCY (since ${since})${report.project ? `: ${report.project}` : ''}\n`));
+
+    const totals = report.totals;
+    if (totals.turns === 0) {
+      console.log(chalk.yellow('No turns with input tokens in this range.'));
+      return;
+    }
+
+    console.log(`Hit ratio: ${chalk.green(percent(totals.hitRatio))} of input tokens read from cache`);
+    console.log(`Saved by cache reads: ${chalk.green(dollars(totals.savedUsd))}, write premium ${chalk.yellow(dollars(totals.writePremiumUsd))}, net ${chalk.bold(dollars(totals.netSavedUsd))}`);
+    console.log(`Cache writes: ${this.formatNumber(totals.cacheCreationTokens)} tokens (${dollars(totals.writeCostUsd)}), never re-read: ${chalk.red(this.formatNumber(totals.unreadTokens))} (${chalk.red(dollars(totals.unreadCostUsd))}, ${percent(totals.unreadShare)})`);
+
+    console.log(chalk.bold('\nProjects:'));
+    console.log(`${'Project'.padEnd(24)} Sessions  Hit ratio    Saved      Net   Unread`);
+    console.log('─'.repeat(76));
+    report.projects.forEach(project => {
+      console.log(`${path.basename(project.projectPath).slice(0, 24).padEnd(24)} ${String(project.sessions).padStart(8)}  ${percent(project.hitRatio).padStart(9)} ${dollars(project.savedUsd).padStart(8)} ${dollars(project.netSavedUsd).padStart(8)} ${chalk.red(dollars(project.unreadCostUsd).padStart(8))}`);
+    });
+
+    console.log(chalk.bold(`\nSessions (most unread cache writes first, top ${limit}):`));
+    console.log(`${'Session'.padEnd(10)}${'Project'.padEnd(20)} Hit ratio    Saved  Written   Unread`);
+    console.log('─'.repeat(76));
+    report.sessions.slice(0, limit).forEach(session => {
+      const flag = session.wasteful ? chalk.red(' ⚠️') : '';
+      console.log(`${session.sessionId.slice(0, 8).padEnd(10)}${path.basename(session.projectPath).slice(0, 19).padEnd(20)} ${percent(session.hitRatio).padStart(9)} ${dollars(session.savedUsd).padStart(8)} ${dollars(session.writeCostUsd).padStart(8)} ${chalk.red(dollars(session.unreadCostUsd).padStart(8))}${flag}`);
+    });
+
+    console.log(chalk.bold(`\nTrend (${PERIOD_LABELS[report.period].unit}, ${report.timeZone}):`));
+    console.log(`${PERIOD_LABELS[report.period].column.padEnd(10)} Hit ratio    Saved   Unread`);
+    console.log('─'.repeat(76));
+    report.trend.forEach(row => {
+      const bar = '█'.repeat(Math.round(row.hitRatio * 20));
+      console.log(`${row.period.padEnd(10)} ${percent(row.hitRatio).padStart(9)} ${dollars(row.savedUsd).padStart(8)} ${chalk.red(dollars(row.unreadCostUsd).padStart(8))} ${chalk.green(bar)}`);
+    });
+
+    if (report.flagged.length > 0) {
+      console.log(chalk.yellow(`\n⚠️ ${report.flagged.length} session(s) wrote cache that was mostly never read back.`));
+      console.log(chalk.gray('   Cache entries expire after 5 minutes without use: long pauses between turns, or'));
+      console.log(chalk.gray('   context that changes early in the prompt, pay for writes that are never re-read.'));
+    }
+  }
+
+  showGitReport(report) {
+    const dollars = value => `$${value.toFixed(2)}`;
+    const perLine = value => (value === null ? '—' : `$${value.toFixed(4)}`);
+    const lines = row => `+${this.formatNumber(row.linesAdded)}/-${this.formatNumber(row.linesRemoved)}`;
+    const short = sha => (sha ? sha.slice(0, 8) : '(no commit)');
+    const range = report.since ? ` since ${this.formatDate(report.since)}` : '';
+    console.log(chalk.cyan(`\n🌿 GIT COSTS: ${report.project}${range}\n`));
+
+    if (report.checkout) {
+      console.log(`Checked out: ${chalk.green(report.checkout.branch || '(detached HEAD)')} at ${short(report.checkout.head)}`);
+    } else {
+      console.log(chalk.yellow('Not a git repository (or .git is unreadable) - showing recorded data only'));
+    }
+
+    const totals = report.totals;
+    if (totals.turns === 0) {
+      console.log(chalk.yellow('No conversations recorded for this project in this range.'));
+      return;
+    }
+    console.log(`Total: ${chalk.yellow(dollars(totals.costUsd))} over ${this.formatNumber(totals.turns)} turns, ${lines(totals)} lines, ${perLine(totals.costPerLine)} per line changed`);
+    if (totals.untrackedCostUsd > 0) {
+      console.log(chalk.gray(`${dollars(totals.untrackedCostUsd)} was recorded without git data (before tracking started, or outside a repository)`));
+    }
+
+    if (!report.branch) {
+      console.log(chalk.bold('\nBranches:'));
+      console.log(`${'Branch'.padEnd(28)} Sessions  Commits     Cost  Lines            Per line  Last turn`);
+      console.log('─'.repeat(96));
+      report.branches.forEach(row => {
+        const name = row.branch || (row.detached ? '(detached HEAD)' : '(no git data)');
+        const label = `${row.current ? '* ' : '  '}${name}`.slice(0, 28).padEnd(28);
+        console.log(`${row.current ? chalk.green(label) : label} ${String(row.sessions).padStart(8)} ${String(row.commits).padStart(8)} ${dollars(row.costUsd).padStart(8)}  ${lines(row).padEnd(16)} ${perLine(row.costPerLine).padStart(8)}  ${this.formatDate(row.lastSeen)}`);
+      });
+      console.log(chalk.gray('\nUse --branch [name] for the commit windows of one branch.'));
+      return;
+    }
+
+    const branch = report.branch;
+    console.log(chalk.bold(`\nBranch ${branch.branch}: ${dollars(branch.costUsd)} over ${this.formatNumber(branch.turns)} turns${branch.turns > 0 ? `, ${lines(branch)} lines, ${perLine(branch.costPerLine)} per line` : ''}`));
+    if (report.windows.length === 0) {
+      console.log(chalk.yellow('No conversations recorded on this branch.'));
+      return;
+    }
+
+    console.log(chalk.bold('\nCommit windows (spend while HEAD stayed on one commit):'));
+    console.log(`${'On top of'.padEnd(12)}${'Ended in'.padEnd(12)} Turns     Cost  Lines            Per line  Subject`);
+    console.log('─'.repeat(96));
+    report.windows.forEach(window => {
+      const ended = window.endedBy ? short(window.endedBy).padEnd(12) : chalk.yellow('uncommitted'.padEnd(12));
+      console.log(`${short(window.head).padEnd(12)}${ended} ${String(window.turns).padStart(5)} ${dollars(window.costUsd).padStart(8)}  ${lines(window).padEnd(16)} ${perLine(window.costPerLine).padStart(8)}  ${chalk.gray(window.subject || '')}`);
+    });
   }
 
   // Show session details
   showSessionDetails(sessionId) {
     console.log(chalk.cyan(`\n🔍 SESSION DETAILS: ${sessionId}\n`));
     
-    const session = this.db.getSessionSummary(sessionId);
+    const session = this.db.getSessionSummary(this.db.resolveSessionId(sessionId) || sessionId);
     
     if (!session) {
       console.log(chalk.red('Session not found.'));
@@ -178,6 +382,14 @@ export class TokenReporter {
     console.log(`Project: ${session.project_path}`);
     console.log(`Started: ${this.formatDate(session.started_at)}`);
     console.log(`Ended: ${this.formatDate(session.ended_at)}`);
+    console.log(`State: ${session.state}${session.close_reason ? chalk.gray(` (${session.close_reason})`) : ''}`);
+    const tags = new TagManager(this.db).effective({ sessionId: session.id, projectPath: session.project_path });
+    if (tags.length > 0) {
+      console.log(`Tags: ${tags.map(tag => `${tag.key}=${tag.value}${tag.source === 'session' ? '' : chalk.gray(` (${tag.source})`)}`).join(', ')}`);
+    }
+    if (session.git_branch || session.git_head) {
+      console.log(`Started on: ${session.git_branch || '(detached HEAD)'}${session.git_head ? chalk.gray(` at ${session.git_head.slice(0, 8)}`) : ''}`);
+    }
     console.log(`Duration: ${session.total_duration_ms ? (session.total_duration_ms / 1000).toFixed(1) + 's' : 'N/A'}`);
     
     console.log(chalk.bold('\nToken Usage:'));
@@ -187,6 +399,9 @@ export class TokenReporter {
     console.log(`Cache creation: ${chalk.green(this.formatNumber(session.total_cache_creation_tokens))}`);
     console.log(`Cache read: ${chalk.green(this.formatNumber(session.total_cache_read_tokens))}`);
     console.log(`Total cost: ${chalk.yellow(this.formatCost(session.total_cost_usd))}`);
+    if (session.expected_cost_usd !== null && session.expected_cost_usd !== undefined) {
+      console.log(`Expected cost: ${chalk.yellow(this.formatCost(session.expected_cost_usd))} ${chalk.gray(`(${session.cost_model} price table)`)}`);
+    }
     
     console.log(chalk.bold('\nActivity:'));
     console.log('─'.repeat(40));
@@ -194,6 +409,15 @@ export class TokenReporter {
     console.log(`Lines removed: ${chalk.red(this.formatNumber(session.lines_removed))}`);
     console.log(`Web searches: ${this.formatNumber(session.web_search_requests)}`);
     console.log(`Conversations: ${this.formatNumber(session.conversation_count || 0)}`);
+
+    const models = this.db.getSessionModelBreakdown(session.id);
+    if (models.length > 0) {
+      console.log(chalk.bold('\nModels (from transcripts):'));
+      console.log('─'.repeat(40));
+      models.forEach(model => {
+        console.log(`${chalk.green(model.model)}: ${this.formatNumber(model.message_count)} messages, ${chalk.blue(this.formatNumber(model.input_tokens))} in / ${chalk.magenta(this.formatNumber(model.output_tokens))} out`);
+      });
+    }
   }
 
   // Export data to JSON
@@ -207,10 +431,9 @@ export class TokenReporter {
       dailyStats: this.db.getDailyStats(30)
     };
 
-    import('fs').then(fs => {
-      fs.writeFileSync(outputPath, JSON.stringify(data, null, 2));
-      console.log(chalk.green(`✅ Data exported to: ${outputPath}`));
-    });
+    // Written synchronously so callers can close() right after
+    fs.writeFileSync(outputPath, JSON.stringify(data, null, 2));
+    console.log(chalk.green(`✅ Data exported to: ${outputPath}`));
   }
 
   close() {
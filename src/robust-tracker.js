@@ -1,38 +1,83 @@
 import fs from 'fs';
 import path from 'path';
-import os from 'os';
+import { EventEmitter } from 'events';
 import { TokenDatabase } from './database.js';
+import { TranscriptIngester } from './transcript-ingester.js';
+import { BudgetMonitor } from './budgets.js';
+import { AnomalyDetector } from './anomalies.js';
+import { LiveStreamServer } from './live-stream.js';
+import { SessionLifecycle } from './session-lifecycle.js';
+import { classifyDelta } from './counter-resets.js';
+import {
+  hasAnyTokenChange, calculatePreciseDeltas, restartsCounters, deltaBaseline, addCounterOffset, withCounterOffset
+} from './snapshot-deltas.js';
+import { readSource, getAdapter, warnOnce } from './adapters/index.js';
+import { SafeJsonReader } from './safe-json-reader.js';
+import { PollScheduler } from './poll-scheduler.js';
+import { TrackerLock } from './tracker-lock.js';
+import { readGitState } from './git-info.js';
+import { loadConfig, expandHome } from './config.js';
 
-export class RobustClaudeTokenTracker {
-  constructor() {
-    this.db = new TokenDatabase();
-    this.claudeConfigPath = path.join(os.homedir(), '.claude.json');
+// Consecutive skipped polls before the tracker warns that .claude.json
+// stays unreadable
+const SKIPPED_POLL_WARNING = 20;
+
+// Emits 'delta' for every recorded change, 'counter' for resets/rewrites and
+// 'anomaly' for turns far off their project's baseline; all are published
+// on the live stream socket for `monitor`, the API's SSE endpoint and others
+export class RobustClaudeTokenTracker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.config = loadConfig(options);
+    this.db = new TokenDatabase({ dbPath: this.config.dbPath });
+    this.lock = new TrackerLock(this.config.dbPath);
+    this.transcripts = new TranscriptIngester(this.db, this.config);
+    this.budgets = new BudgetMonitor(this.db, this.config);
+    this.anomalies = new AnomalyDetector(this.db, this.config);
+    this.liveStream = new LiveStreamServer(this.config.live.socketPath);
+    this.lifecycle = new SessionLifecycle(this.db, this.config);
+    this.lastLifecycleSweep = 0;
+    this.claudeConfigPath = this.config.claudeConfigPath;
     this.sessionSnapshots = new Map(); // sessionId -> last known snapshot
     this.isProcessing = false;
-    this.pollInterval = null;
+    this.scheduler = null;
+    this.startedAt = Date.now();
+    this.lastCounterChange = Date.now();
     this.activeSessions = new Set();
     this.consecutiveErrors = 0;
     this.maxErrors = 10;
+    // Torn reads of files being written are not errors: they are retried,
+    // served from the last good parse or skipped, and only counted here
+    this.reader = new SafeJsonReader();
+    this.skippedPolls = 0;
+    this.skippedStreak = 0;
     
     console.log(`🔍 Robust tracking of: ${this.claudeConfigPath}`);
-    console.log(`⚡ Using aggressive polling with error recovery`);
+    console.log(`⚡ Watching for changes with safety polling and error recovery`);
   }
 
   async start() {
+    // Two trackers on one database would record every change twice
+    this.lock.acquire();
+
+    await this.startLiveStream();
+
     // Initial state capture
     await this.captureInitialState();
     
-    // Start polling with adaptive frequency
-    this.startAdaptivePolling();
+    // Read on file changes, with a slower safety poll behind it
+    this.startScheduler();
     
     console.log('✅ Robust token tracker started');
     console.log('📊 Every token change will be tracked');
     
-    // Graceful shutdown
-    process.on('SIGINT', () => {
-      console.log('\n🛑 Shutting down robust tracker...');
-      this.shutdown();
-    });
+    // Graceful shutdown; SIGTERM comes from `daemon stop`, systemd and launchd
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+      process.on(signal, () => {
+        console.log(`\n🛑 Shutting down robust tracker (${signal})...`);
+        this.shutdown();
+      });
+    }
   }
 
   async captureInitialState() {
@@ -42,93 +87,186 @@ export class RobustClaudeTokenTracker {
         return;
       }
 
-      const configData = JSON.parse(fs.readFileSync(this.claudeConfigPath, 'utf8'));
-      
-      if (configData.projects) {
-        for (const [projectPath, projectData] of Object.entries(configData.projects)) {
-          if (projectData.lastSessionId) {
-            const sessionId = projectData.lastSessionId;
-            const snapshot = this.extractCompleteSnapshot(projectData);
-            
-            // Store initial snapshot
-            this.sessionSnapshots.set(sessionId, snapshot);
-            this.activeSessions.add(projectPath);
-            
-            // Ensure session exists in database
-            this.db.getOrCreateSession(sessionId, projectPath);
-            this.db.recordSnapshot(sessionId, projectPath, projectData);
-            
-            console.log(`📋 Initial state captured for ${path.basename(projectPath)}`);
-            console.log(`   Session: ${sessionId.substring(0, 8)}...`);
-            console.log(`   Tokens: ${snapshot.inputTokens}/${snapshot.outputTokens}/${snapshot.cacheCreationTokens}`);
-          }
-        }
+      const read = await this.readSessions();
+      if (!read) {
+        console.log('⚠️ Claude config is being written - initial state will be captured on the next poll');
+      }
+
+      for (const { projectPath, sessionId, raw, snapshot } of read?.sessions || []) {
+        if (!sessionId) continue;
+
+        // Ensure session exists in database
+        const now = new Date();
+        const git = readGitState(projectPath);
+        this.db.transaction(() => {
+          this.db.getOrCreateSession(sessionId, projectPath, this.lifecycle.estimateStart(now, snapshot.totalDuration), git);
+          this.db.recordSnapshot(sessionId, projectPath, raw, snapshot, git);
+          this.updateLifecycle(projectPath, sessionId, snapshot, false, now);
+        });
+        
+        // Store initial snapshot
+        this.sessionSnapshots.set(sessionId, snapshot);
+        this.activeSessions.add(projectPath);
+        
+        console.log(`📋 Initial state captured for ${path.basename(projectPath)}`);
+        console.log(`   Session: ${sessionId.substring(0, 8)}...`);
+        console.log(`   Tokens: ${snapshot.inputTokens}/${snapshot.outputTokens}/${snapshot.cacheCreationTokens}`);
       }
     } catch (error) {
       console.error('❌ Error capturing initial state:', error.message);
     }
+
+    this.ingestTranscripts();
   }
 
-  startAdaptivePolling() {
-    let currentInterval = 500; // Start with 500ms
-    
-    const poll = async () => {
-      try {
-        await this.processAllSessions();
-        this.consecutiveErrors = 0;
-        
-        // Adaptive polling: fast if active sessions, slower if not
-        const newInterval = this.activeSessions.size > 0 ? 500 : 2000;
-        
-        if (newInterval !== currentInterval) {
-          currentInterval = newInterval;
-          clearInterval(this.pollInterval);
-          this.pollInterval = setInterval(poll, currentInterval);
-          
-          console.log(`🔄 Polling interval: ${currentInterval}ms (${this.activeSessions.size} active)`);
-        }
-        
-      } catch (error) {
-        this.consecutiveErrors++;
-        console.error(`❌ Polling error ${this.consecutiveErrors}/${this.maxErrors}:`, error.message);
-        
-        if (this.consecutiveErrors >= this.maxErrors) {
-          console.error('🚨 Too many consecutive errors - stopping tracker');
-          this.shutdown();
-        }
+  // Tracking works without subscribers, so a socket problem is only a warning
+  async startLiveStream() {
+    try {
+      await this.liveStream.start();
+      this.on('delta', event => this.liveStream.publish(event));
+      this.on('counter', event => this.liveStream.publish(event));
+      this.on('anomaly', event => this.liveStream.publish(event));
+      console.log(`📡 Live events on ${this.liveStream.socketPath}`);
+    } catch (error) {
+      console.error('⚠️ Live stream disabled:', error.message);
+    }
+  }
+
+  // Pull per-message usage from transcript files; a failure here must
+  // never stop the counter tracking, so errors are only logged
+  ingestTranscripts(projectPath = null) {
+    try {
+      const result = projectPath
+        ? this.transcripts.ingestProject(projectPath)
+        : this.transcripts.ingestAll();
+
+      if (result.messages > 0) {
+        console.log(`📥 Ingested ${result.messages} transcript messages from ${result.files} files`);
       }
-    };
-    
-    this.pollInterval = setInterval(poll, currentInterval);
+    } catch (error) {
+      console.error('❌ Error ingesting transcripts:', error.message);
+    }
   }
 
+  // Lifecycle bookkeeping is best effort: totals are recorded regardless
+  updateLifecycle(projectPath, sessionId, snapshot, changed, now = new Date()) {
+    try {
+      this.lifecycle.observe(projectPath, sessionId, { durationMs: snapshot.totalDuration, changed, now });
+    } catch (error) {
+      console.error('❌ Error updating session lifecycle:', error.message);
+    }
+  }
+
+  // Idle/close transitions only need minute resolution
+  sweepLifecycle(now = Date.now()) {
+    if (now - this.lastLifecycleSweep < 60000) return;
+    this.lastLifecycleSweep = now;
+
+    try {
+      this.lifecycle.sweep(new Date(now));
+    } catch (error) {
+      console.error('❌ Error sweeping session lifecycle:', error.message);
+    }
+  }
+
+  // Budget checks must never break tracking either
+  checkBudgets(projectPath) {
+    try {
+      this.budgets.check(projectPath);
+    } catch (error) {
+      console.error('❌ Error checking budgets:', error.message);
+    }
+  }
+
+  // Like budgets, anomaly detection never breaks tracking
+  checkAnomalies(conversationId) {
+    try {
+      for (const anomaly of this.anomalies.checkConversation(conversationId)) {
+        const icon = anomaly.severity === 'critical' ? '🚨' : '⚠️';
+        console.log(`${icon} ${anomaly.severity === 'critical' ? 'Critical anomaly' : 'Anomaly'} in ${path.basename(anomaly.projectPath)}: ${anomaly.explanation}`);
+
+        this.emit('anomaly', {
+          type: 'anomaly',
+          timestamp: new Date().toISOString(),
+          ...anomaly
+        });
+      }
+    } catch (error) {
+      console.error('❌ Error checking for anomalies:', error.message);
+    }
+  }
+
+  startScheduler() {
+    const { idleMinutes, ...polling } = this.config.polling;
+
+    this.scheduler = new PollScheduler({
+      ...polling,
+      files: () => [this.claudeConfigPath, ...this.config.sources.map(source => expandHome(source.path))],
+      run: () => this.poll(),
+      tick: () => this.sweepLifecycle(),
+      isIdle: () => Date.now() - this.lastCounterChange > idleMinutes * 60 * 1000
+    });
+    this.scheduler.start();
+  }
+
+  // One read of every source. Returns false when the read was skipped, so
+  // the scheduler checks the same files again.
+  async poll() {
+    try {
+      const consumed = await this.processAllSessions();
+      this.consecutiveErrors = 0;
+      return consumed;
+    } catch (error) {
+      // Another writer held the database past the busy timeout; this poll
+      // rolled back and is retried, so it is not a tracker failure
+      if (error.code === 'SQLITE_BUSY') {
+        console.error('⏳ Database busy, retrying on the next poll:', error.message);
+        return false;
+      }
+
+      this.consecutiveErrors++;
+      console.error(`❌ Polling error ${this.consecutiveErrors}/${this.maxErrors}:`, error.message);
+      
+      if (this.consecutiveErrors >= this.maxErrors) {
+        console.error('🚨 Too many consecutive errors - stopping tracker');
+        this.shutdown();
+      }
+      return false;
+    }
+  }
+
+  // Returns false when the sources could not be read fresh
   async processAllSessions() {
-    if (this.isProcessing) return;
+    if (this.isProcessing) return false;
     this.isProcessing = true;
     
     try {
       if (!fs.existsSync(this.claudeConfigPath)) {
         this.activeSessions.clear();
-        return;
+        return true;
       }
 
-      const configData = JSON.parse(fs.readFileSync(this.claudeConfigPath, 'utf8'));
+      const read = await this.readSessions();
+      this.trackSkippedPolls(!read || read.stale);
       
-      if (!configData.projects) {
+      if (!read) return false;
+      const { sessions } = read;
+      
+      if (!sessions) {
         this.activeSessions.clear();
-        return;
+        return !read.stale;
       }
 
       const currentProjectPaths = new Set();
       
       // Process each project
-      for (const [projectPath, projectData] of Object.entries(configData.projects)) {
-        currentProjectPaths.add(projectPath);
+      for (const session of sessions) {
+        currentProjectPaths.add(session.projectPath);
         
-        if (projectData.lastSessionId) {
-          await this.processSession(projectPath, projectData);
+        if (session.sessionId) {
+          await this.processSession(session);
         } else {
-          this.activeSessions.delete(projectPath);
+          this.activeSessions.delete(session.projectPath);
         }
       }
       
@@ -136,10 +274,12 @@ export class RobustClaudeTokenTracker {
       for (const projectPath of this.activeSessions) {
         if (!currentProjectPaths.has(projectPath)) {
           this.activeSessions.delete(projectPath);
+          this.lifecycle.projectRemoved(projectPath);
           console.log(`🗑️ Removed inactive session: ${path.basename(projectPath)}`);
         }
       }
-      
+
+      return !read.stale;
     } catch (error) {
       throw error; // Re-throw for error counting
     } finally {
@@ -147,86 +287,212 @@ export class RobustClaudeTokenTracker {
     }
   }
 
-  async processSession(projectPath, projectData) {
-    const sessionId = projectData.lastSessionId;
-    const currentSnapshot = this.extractCompleteSnapshot(projectData);
+  // Sessions of .claude.json plus any extra `sources` files, normalized by
+  // their source adapter: { sessions, stale }. sessions is null when
+  // .claude.json has no known layout; stale means a torn read was replaced
+  // by the last good parse. Returns null when .claude.json is mid-write and
+  // has never been read successfully.
+  async readSessions() {
+    const config = await this.reader.read(this.claudeConfigPath);
+    if (!config) return null;
+
+    const { adapter, sessions } = readSource(this.claudeConfigPath, { data: config.data });
+    if (!adapter) {
+      warnOnce(`No source adapter recognizes ${this.claudeConfigPath} - is it a Claude Code config?`);
+      return { sessions: null, stale: config.stale };
+    }
+
+    for (const source of this.config.sources) {
+      const filePath = expandHome(source.path);
+      try {
+        if (!fs.existsSync(filePath)) continue;
+
+        let extra;
+        if (!source.adapter || getAdapter(source.adapter).format === 'json') {
+          const read = await this.reader.read(filePath);
+          if (!read) continue;
+          extra = readSource(filePath, { adapter: source.adapter || null, data: read.data });
+        } else {
+          extra = readSource(filePath, { adapter: source.adapter });
+        }
+        if (!extra.adapter) {
+          warnOnce(`No source adapter recognizes ${filePath}; set "adapter" on its sources entry`);
+          continue;
+        }
+        sessions.push(...extra.sessions.map(session => ({
+          ...session,
+          projectPath: session.projectPath || source.projectPath || filePath
+        })));
+      } catch (error) {
+        console.error(`❌ Error reading source ${filePath}:`, error.message);
+      }
+    }
+
+    return { sessions, stale: config.stale };
+  }
+
+  // A poll that could not see fresh data is skipped, not failed
+  trackSkippedPolls(skipped) {
+    if (skipped) {
+      this.skippedPolls++;
+      this.skippedStreak++;
+      if (this.skippedStreak === SKIPPED_POLL_WARNING) {
+        console.warn(`⚠️ ${this.skippedStreak} polls in a row could not read ${this.claudeConfigPath}: ${this.reader.lastError?.message}`);
+      }
+      return;
+    }
+
+    if (this.skippedStreak >= SKIPPED_POLL_WARNING) {
+      console.log(`✅ ${this.claudeConfigPath} readable again after ${this.skippedStreak} skipped polls`);
+    }
+    this.skippedStreak = 0;
+  }
+
+  // CPU time used by this process, overall and since the previous call
+  getCpuStats() {
+    const now = Date.now();
+    const usage = process.cpuUsage();
+    const previous = this.lastCpuSample || { usage: { user: 0, system: 0 }, at: this.startedAt };
+    this.lastCpuSample = { usage, at: now };
+
+    const totalMs = (usage.user + usage.system) / 1000;
+    const recentMs = totalMs - (previous.usage.user + previous.usage.system) / 1000;
+    return {
+      totalMs,
+      totalPercent: totalMs / Math.max(1, now - this.startedAt) * 100,
+      recentPercent: recentMs / Math.max(1, now - previous.at) * 100
+    };
+  }
+
+  getReadStats() {
+    return {
+      ...this.reader.stats,
+      skippedPolls: this.skippedPolls,
+      skippedStreak: this.skippedStreak,
+      consecutiveErrors: this.consecutiveErrors
+    };
+  }
+
+  async processSession({ projectPath, sessionId, raw, snapshot: currentSnapshot }) {
     const lastSnapshot = this.sessionSnapshots.get(sessionId);
+    const now = new Date();
     
-    // Mark as active
-    this.activeSessions.add(projectPath);
+    // A session that appears after startup is being used right now
+    const changed = lastSnapshot ? hasAnyTokenChange(lastSnapshot, currentSnapshot) : true;
     
-    // Ensure session exists
-    this.db.getOrCreateSession(sessionId, projectPath);
+    // Counters that went backwards are a reset or rewrite, not usage
+    const classification = lastSnapshot && changed ? classifyDelta(lastSnapshot, currentSnapshot) : null;
+    const counterEvent = classification && classification.kind !== 'usage' ? classification : null;
     
-    // Always record snapshot for audit trail
-    this.db.recordSnapshot(sessionId, projectPath, projectData);
+    // After a reset or new session the counters count from zero again: what
+    // they show now is new usage, and what they had reached moves into the
+    // session's counter offset so its totals never go down
+    const restarted = counterEvent && restartsCounters(counterEvent);
+    const baseline = classification ? deltaBaseline(lastSnapshot, classification, currentSnapshot) : null;
     
-    // Detect ANY changes in tokens
-    if (lastSnapshot && this.hasAnyTokenChange(lastSnapshot, currentSnapshot)) {
-      const delta = this.calculatePreciseDeltas(lastSnapshot, currentSnapshot);
+    // Detect ANY changes in tokens - record every change, no filtering
+    const delta = classification && (classification.kind === 'usage' || (restarted && hasAnyTokenChange(baseline, currentSnapshot)))
+      ? calculatePreciseDeltas(baseline, currentSnapshot)
+      : null;
+
+    // The checkout a new session starts on and each delta was made on; read
+    // from .git only then, not on every poll
+    const git = delta || !lastSnapshot ? readGitState(projectPath) : null;
+
+    // Snapshot, conversation and session update commit together: a crash
+    // can never leave a conversation recorded without its session update
+    let conversationId = null;
+    this.db.transaction(() => {
+      this.db.getOrCreateSession(sessionId, projectPath, this.lifecycle.estimateStart(now, currentSnapshot.totalDuration), git);
       
-      // Record every change - no filtering
-      this.db.recordConversation(sessionId, delta);
+      // Always record snapshot for audit trail
+      this.db.recordSnapshot(sessionId, projectPath, raw, currentSnapshot, git);
+      this.updateLifecycle(projectPath, sessionId, currentSnapshot, changed, now);
       
+      if (counterEvent) {
+        this.recordCounterEvent(sessionId, lastSnapshot, currentSnapshot, counterEvent);
+      }
+      if (restarted) {
+        this.db.setCounterOffset(sessionId, addCounterOffset(this.db.getCounterOffset(sessionId), lastSnapshot));
+      }
+      if (delta) {
+        conversationId = this.db.recordConversation(sessionId, delta, git).lastInsertRowid;
+      }
+      
+      // Always update session totals
+      this.db.updateSession(sessionId, currentSnapshot);
+    });
+
+    // Only committed changes are announced and remembered; after a
+    // rollback the next poll compares against the same last snapshot
+    this.activeSessions.add(projectPath);
+    if (lastSnapshot && changed) this.lastCounterChange = now.getTime();
+    
+    if (counterEvent) {
+      this.announceCounterEvent(sessionId, projectPath, counterEvent);
+    }
+    
+    if (delta) {
       console.log(`💬 Token change in ${path.basename(projectPath)} [${new Date().toLocaleTimeString()}]`);
       console.log(`   Δ Input: ${delta.input > 0 ? '+' + delta.input : delta.input}`);
       console.log(`   Δ Output: ${delta.output > 0 ? '+' + delta.output : delta.output}`);
       console.log(`   Δ Cache Creation: ${delta.cacheCreation > 0 ? '+' + delta.cacheCreation : delta.cacheCreation}`);
       console.log(`   Δ Cache Read: ${delta.cacheRead > 0 ? '+' + delta.cacheRead : delta.cacheRead}`);
       console.log(`   Δ Cost: $${delta.cost.toFixed(6)}`);
+
+      this.emit('delta', {
+        type: 'delta',
+        timestamp: new Date().toISOString(),
+        sessionId,
+        projectPath,
+        git,
+        delta: {
+          ...delta,
+          webSearchRequests: currentSnapshot.webSearchRequests - baseline.webSearchRequests
+        },
+        totals: withCounterOffset(this.db.getCounterOffset(sessionId), currentSnapshot)
+      });
+
+      this.ingestTranscripts(projectPath);
+      this.checkBudgets(projectPath);
+      this.checkAnomalies(conversationId);
     }
     
-    // Always update session totals
-    this.db.updateSession(sessionId, projectData);
-    
     // Store current snapshot for next comparison
     this.sessionSnapshots.set(sessionId, currentSnapshot);
   }
 
-  extractCompleteSnapshot(projectData) {
-    return {
-      inputTokens: projectData.lastTotalInputTokens || 0,
-      outputTokens: projectData.lastTotalOutputTokens || 0,
-      cacheCreationTokens: projectData.lastTotalCacheCreationInputTokens || 0,
-      cacheReadTokens: projectData.lastTotalCacheReadInputTokens || 0,
-      cost: projectData.lastCost || 0,
-      timestamp: new Date().toISOString(),
-      apiDuration: projectData.lastAPIDuration || 0,
-      totalDuration: projectData.lastDuration || 0,
-      linesAdded: projectData.lastLinesAdded || 0,
-      linesRemoved: projectData.lastLinesRemoved || 0,
-      webSearchRequests: projectData.lastTotalWebSearchRequests || 0
-    };
+  recordCounterEvent(sessionId, previous, current, classification) {
+    try {
+      this.lifecycle.recordEvent(sessionId, `counter-${classification.kind}`, {
+        reason: classification.reason,
+        details: { previous, current, delta: classification.delta }
+      });
+    } catch (error) {
+      console.error('❌ Error recording counter event:', error.message);
+    }
   }
 
-  hasAnyTokenChange(previous, current) {
-    return (
-      current.inputTokens !== previous.inputTokens ||
-      current.outputTokens !== previous.outputTokens ||
-      current.cacheCreationTokens !== previous.cacheCreationTokens ||
-      current.cacheReadTokens !== previous.cacheReadTokens ||
-      Math.abs(current.cost - previous.cost) > 0.000001 || // Account for floating point precision
-      current.linesAdded !== previous.linesAdded ||
-      current.linesRemoved !== previous.linesRemoved ||
-      current.webSearchRequests !== previous.webSearchRequests
-    );
-  }
+  announceCounterEvent(sessionId, projectPath, classification) {
+    console.log(`🔁 Counter ${classification.kind} in ${path.basename(projectPath)}: ${classification.reason}`);
 
-  calculatePreciseDeltas(previous, current) {
-    return {
-      input: current.inputTokens - previous.inputTokens,
-      output: current.outputTokens - previous.outputTokens,
-      cacheCreation: current.cacheCreationTokens - previous.cacheCreationTokens,
-      cacheRead: current.cacheReadTokens - previous.cacheReadTokens,
-      cost: current.cost - previous.cost
-    };
+    this.emit('counter', {
+      type: 'counter',
+      timestamp: new Date().toISOString(),
+      sessionId,
+      projectPath,
+      kind: classification.kind,
+      reason: classification.reason
+    });
   }
 
   shutdown() {
-    if (this.pollInterval) {
-      clearInterval(this.pollInterval);
+    if (this.scheduler) {
+      this.scheduler.stop();
     }
+    this.liveStream.close();
     this.db.close();
+    this.lock.release();
     process.exit(0);
   }
 
@@ -236,6 +502,15 @@ export class RobustClaudeTokenTracker {
     console.log(`Active sessions: ${this.activeSessions.size}`);
     console.log(`Tracked snapshots: ${this.sessionSnapshots.size}`);
     console.log(`Consecutive errors: ${this.consecutiveErrors}`);
+
+    const cpu = this.getCpuStats();
+    console.log(`CPU: ${cpu.recentPercent.toFixed(2)}% since last report, ${cpu.totalPercent.toFixed(2)}% since start (${(cpu.totalMs / 1000).toFixed(1)}s)`);
+
+    const reads = this.getReadStats();
+    const scheduling = this.scheduler ? this.scheduler.stats : {};
+    console.log(`Mode: ${this.scheduler?.idle ? 'idle' : 'active'} (watch events ${scheduling.watchEvents || 0}, stat checks ${scheduling.checks || 0}, unchanged ${scheduling.unchanged || 0})`);
+    console.log(`Reads: ${reads.reads} parsed, ${reads.unchanged} reused`);
+    console.log(`Skipped polls: ${reads.skippedPolls} (torn reads ${reads.tornReads}, retries ${reads.retries}, fallbacks ${reads.fallbacks})`);
     
     for (const [sessionId, snapshot] of this.sessionSnapshots) {
       console.log(`\n  Session: ${sessionId.substring(0, 8)}...`);
@@ -0,0 +1,55 @@
+import fs from 'fs';
+import path from 'path';
+import util from 'util';
+
+// Append-only log file that is renamed to <file>.1 once it reaches maxBytes;
+// older files shift up to <file>.<maxFiles> and the oldest is dropped
+export class RotatingLog {
+  constructor(filePath, { maxBytes = 5 * 1024 * 1024, maxFiles = 5 } = {}) {
+    this.filePath = filePath;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+  }
+
+  write(text) {
+    const length = Buffer.byteLength(text);
+    if (this.size > 0 && this.size + length > this.maxBytes) {
+      this.rotate();
+    }
+    fs.appendFileSync(this.filePath, text);
+    this.size += length;
+  }
+
+  rotate() {
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      const from = `${this.filePath}.${index}`;
+      if (fs.existsSync(from)) fs.renameSync(from, `${this.filePath}.${index + 1}`);
+    }
+    if (this.maxFiles > 0) {
+      fs.renameSync(this.filePath, `${this.filePath}.1`);
+    } else {
+      fs.unlinkSync(this.filePath);
+    }
+    this.size = 0;
+  }
+
+  // Send console output (and crashes) to the log, one timestamp per call
+  captureConsole() {
+    const writeLine = (...args) => {
+      this.write(`${new Date().toISOString()} ${util.format(...args)}\n`);
+    };
+    console.log = writeLine;
+    console.info = writeLine;
+    console.warn = writeLine;
+    console.error = writeLine;
+    console.debug = writeLine;
+
+    process.on('uncaughtException', error => {
+      writeLine('💥 Uncaught exception:', error);
+      process.exit(1);
+    });
+  }
+}
@@ -0,0 +1,92 @@
+import fs from 'fs';
+
+// Claude Code rewrites .claude.json in place, so a read can catch it
+// truncated or half-written. Those reads are retried with this backoff.
+const DEFAULT_RETRIES = 3;
+const DEFAULT_BACKOFF_MS = 25;
+
+// Codes that mean the file is being replaced rather than broken
+const TRANSIENT_CODES = new Set(['ENOENT', 'EBUSY', 'EAGAIN']);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A read that failed because the file was mid-write. Anything else a read
+// throws is a real failure.
+export class TornReadError extends Error {
+  constructor(filePath, reason) {
+    super(`Torn read of ${filePath}: ${reason}`);
+    this.name = 'TornReadError';
+    this.filePath = filePath;
+  }
+}
+
+function isTransient(error) {
+  return error instanceof SyntaxError || error instanceof TornReadError || TRANSIENT_CODES.has(error.code);
+}
+
+// Reads JSON files that another process may be writing. A read only counts
+// when the file's size and mtime are the same before and after it and the
+// content parses; otherwise it is retried with backoff, then the last good
+// parse of that file is served instead (flagged stale).
+export class SafeJsonReader {
+  constructor({ retries = DEFAULT_RETRIES, backoffMs = DEFAULT_BACKOFF_MS } = {}) {
+    this.retries = retries;
+    this.backoffMs = backoffMs;
+    this.lastGood = new Map(); // filePath -> { data, size, mtimeMs }
+    this.stats = {
+      reads: 0,        // fresh, verified parses
+      unchanged: 0,    // size and mtime unchanged, last parse reused
+      retries: 0,
+      tornReads: 0,    // transient failures, including retried ones
+      fallbacks: 0     // retries exhausted, last good parse served
+    };
+  }
+
+  // Returns { data, stale } or null when the file could not be read and
+  // there is no earlier parse to fall back on. Non-transient errors throw.
+  async read(filePath) {
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      if (attempt > 0) {
+        this.stats.retries++;
+        await sleep(this.backoffMs * 2 ** (attempt - 1));
+      }
+
+      try {
+        return { data: this.readOnce(filePath), stale: false };
+      } catch (error) {
+        if (!isTransient(error)) throw error;
+        this.stats.tornReads++;
+        lastError = error;
+      }
+    }
+
+    this.lastError = lastError;
+    const good = this.lastGood.get(filePath);
+    if (!good) return null;
+
+    this.stats.fallbacks++;
+    return { data: good.data, stale: true };
+  }
+
+  readOnce(filePath) {
+    const before = fs.statSync(filePath);
+    const good = this.lastGood.get(filePath);
+    if (good && good.size === before.size && good.mtimeMs === before.mtimeMs) {
+      this.stats.unchanged++;
+      return good.data;
+    }
+
+    const content = fs.readFileSync(filePath);
+    const after = fs.statSync(filePath);
+    if (after.size !== before.size || after.mtimeMs !== before.mtimeMs || content.length !== after.size) {
+      throw new TornReadError(filePath, 'file changed while it was being read');
+    }
+
+    const data = JSON.parse(content.toString('utf8'));
+    this.lastGood.set(filePath, { data, size: after.size, mtimeMs: after.mtimeMs });
+    this.stats.reads++;
+    return data;
+  }
+}
@@ -0,0 +1,242 @@
+import { TokenDatabase, toSqlTimestamp, fromSqlTimestamp } from './database.js';
+import { loadConfig } from './config.js';
+
+export const SESSION_STATES = ['active', 'idle', 'closed'];
+
+// Why a session was closed
+export const CLOSE_REASONS = {
+  superseded: 'superseded',         // the project's lastSessionId moved on
+  inactive: 'inactive',             // no activity for lifecycle.closeAfterHours
+  projectRemoved: 'project-removed' // the project left .claude.json
+};
+
+// A stored timestamp as a Date; null when missing or unparseable
+function parseTimestamp(value) {
+  const date = value ? fromSqlTimestamp(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+function earliest(...dates) {
+  const valid = dates.filter(Boolean);
+  return valid.length ? new Date(Math.min(...valid.map(date => date.getTime()))) : null;
+}
+
+function latest(...dates) {
+  const valid = dates.filter(Boolean);
+  return valid.length ? new Date(Math.max(...valid.map(date => date.getTime()))) : null;
+}
+
+// Tracks sessions through active -> idle -> closed. Claude Code never says
+// when a session starts or ends, so both are inferred: the start from
+// lastDuration (wall-clock time since the session began), the end from the
+// last observed activity, and closing from lastSessionId moving on.
+export class SessionLifecycle {
+  constructor(db = null, options = {}) {
+    this.config = loadConfig(options);
+    this.ownsDb = !db;
+    this.db = db || new TokenDatabase({ dbPath: this.config.dbPath });
+    this.idleMs = this.config.lifecycle.idleMinutes * 60 * 1000;
+    this.closeMs = this.config.lifecycle.closeAfterHours * 60 * 60 * 1000;
+  }
+
+  // lastDuration is written together with the totals, so at the moment we
+  // observe it the session started at most this long ago
+  estimateStart(observedAt, durationMs) {
+    return durationMs > 0 ? new Date(observedAt.getTime() - durationMs) : observedAt;
+  }
+
+  transition(session, toState, reason = null, at = new Date(), details = null) {
+    if (session.state === toState) return false;
+
+    this.db.db.prepare(`
+      UPDATE sessions SET state = ?, close_reason = ? WHERE id = ?
+    `).run(toState, toState === 'closed' ? reason : null, session.id);
+    this.recordEvent(session.id, 'state', { from: session.state, to: toState, reason, at, details });
+
+    session.state = toState;
+    return true;
+  }
+
+  recordEvent(sessionId, event, { from = null, to = null, reason = null, at = new Date(), details = null } = {}) {
+    return this.db.db.prepare(`
+      INSERT INTO session_events (session_id, event, from_state, to_state, reason, details, at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(sessionId, event, from, to, reason, details ? JSON.stringify(details) : null, toSqlTimestamp(at));
+  }
+
+  // Called for the current session of a project on every poll. `changed`
+  // means its counters moved since the previous poll.
+  observe(projectPath, sessionId, { durationMs = 0, changed = false, now = new Date() } = {}) {
+    // Any other open session of this project has been replaced
+    const superseded = this.db.db.prepare(`
+      SELECT id, state FROM sessions
+      WHERE project_path = ? AND id != ? AND state != 'closed' AND id NOT LIKE 'placeholder-%'
+    `).all(projectPath, sessionId);
+    for (const session of superseded) {
+      this.transition(session, 'closed', CLOSE_REASONS.superseded, now, { by: sessionId });
+    }
+
+    if (durationMs > 0) {
+      this.db.moveSessionStart(sessionId, this.estimateStart(now, durationMs));
+    }
+
+    if (changed) {
+      this.db.markSessionActivity(sessionId, now);
+      const session = this.db.db.prepare('SELECT id, state FROM sessions WHERE id = ?').get(sessionId);
+      if (session) {
+        this.transition(session, 'active', session.state === 'closed' ? 'resumed' : null, now);
+      }
+    }
+  }
+
+  // The project disappeared from .claude.json, so its sessions are over
+  projectRemoved(projectPath, now = new Date()) {
+    const open = this.db.db.prepare(`
+      SELECT id, state FROM sessions WHERE project_path = ? AND state != 'closed'
+    `).all(projectPath);
+    open.forEach(session => this.transition(session, 'closed', CLOSE_REASONS.projectRemoved, now));
+    return open.length;
+  }
+
+  // Time-based transitions: quiet sessions go idle, long-quiet ones close.
+  // Sessions that never showed activity are aged from their start.
+  sweep(now = new Date()) {
+    const idleBefore = toSqlTimestamp(new Date(now.getTime() - this.idleMs));
+    const closeBefore = toSqlTimestamp(new Date(now.getTime() - this.closeMs));
+    let changed = 0;
+
+    const stale = this.db.db.prepare(`
+      SELECT id, state, COALESCE(ended_at, started_at) as last_activity FROM sessions
+      WHERE state != 'closed' AND id NOT LIKE 'placeholder-%'
+        AND COALESCE(ended_at, started_at) < ?
+    `).all(idleBefore);
+
+    for (const session of stale) {
+      const toState = session.last_activity < closeBefore ? 'closed' : 'idle';
+      if (this.transition(session, toState, toState === 'closed' ? CLOSE_REASONS.inactive : null, now)) {
+        changed++;
+      }
+    }
+    return changed;
+  }
+
+  // Recompute start, end and state of stored sessions from the evidence in
+  // the database, fixing rows recorded before lifecycle tracking existed:
+  // - start: earliest of the stored start, the first transcript message,
+  //   the first conversation delta and every snapshot time minus lastDuration
+  // - end: latest of the last delta, the last transcript message and
+  //   start + total duration (stored ended_at values were bumped on every
+  //   poll, so they are not trusted)
+  // - state: closed when a later session exists for the project, otherwise
+  //   from the age of the last activity
+  repair({ dryRun = false, now = new Date() } = {}) {
+    const db = this.db.db;
+    const sessions = db.prepare(`
+      SELECT id, project_path, started_at, ended_at, total_duration_ms, state, close_reason
+      FROM sessions WHERE id NOT LIKE 'placeholder-%'
+      ORDER BY project_path, started_at
+    `).all();
+
+    const evidence = db.prepare(`
+      SELECT
+        (SELECT MIN(started_at) FROM conversations WHERE session_id = @id) as first_delta,
+        (SELECT MAX(started_at) FROM conversations WHERE session_id = @id) as last_delta,
+        (SELECT MIN(timestamp) FROM messages WHERE session_id = @id) as first_message,
+        (SELECT MAX(timestamp) FROM messages WHERE session_id = @id) as last_message,
+        (SELECT MIN(strftime('%s', timestamp) - json_extract(raw_data, '$.lastDuration') / 1000.0)
+           FROM session_snapshots
+           WHERE session_id = @id AND json_valid(raw_data)
+             AND json_extract(raw_data, '$.lastDuration') > 0) as snapshot_start_epoch
+    `);
+
+    const changes = [];
+    const apply = db.transaction(() => {
+      const repaired = sessions.map(session => {
+        const found = evidence.get({ id: session.id });
+        const storedStart = parseTimestamp(session.started_at);
+        const start = earliest(
+          storedStart,
+          parseTimestamp(found.first_delta),
+          parseTimestamp(found.first_message),
+          found.snapshot_start_epoch !== null ? new Date(found.snapshot_start_epoch * 1000) : null
+        );
+        const end = latest(
+          parseTimestamp(found.last_delta),
+          parseTimestamp(found.last_message),
+          start && session.total_duration_ms > 0 ? new Date(start.getTime() + session.total_duration_ms) : null
+        );
+        return { session, start, end };
+      });
+
+      // Within a project, every session but the latest has been superseded
+      const latestByProject = new Map();
+      for (const { session, start } of repaired) {
+        const current = latestByProject.get(session.project_path);
+        if (!current || (start && (!current.start || start > current.start))) {
+          latestByProject.set(session.project_path, { id: session.id, start });
+        }
+      }
+
+      for (const { session, start, end } of repaired) {
+        let state;
+        let reason = null;
+        const lastActivity = end || start;
+
+        if (latestByProject.get(session.project_path).id !== session.id) {
+          state = 'closed';
+          reason = CLOSE_REASONS.superseded;
+        } else if (!lastActivity || now - lastActivity > this.closeMs) {
+          state = 'closed';
+          reason = CLOSE_REASONS.inactive;
+        } else {
+          state = now - lastActivity > this.idleMs ? 'idle' : 'active';
+        }
+
+        const update = {
+          started_at: start ? toSqlTimestamp(start) : session.started_at,
+          ended_at: end ? toSqlTimestamp(end) : session.ended_at,
+          state,
+          close_reason: reason
+        };
+        const diff = Object.fromEntries(
+          Object.entries(update)
+            .filter(([key, value]) => value !== session[key])
+            .map(([key, value]) => [key, [session[key], value]])
+        );
+        if (Object.keys(diff).length === 0) continue;
+
+        changes.push({ sessionId: session.id, projectPath: session.project_path, changes: diff });
+        if (dryRun) continue;
+
+        db.prepare(`
+          UPDATE sessions SET started_at = @started_at, ended_at = @ended_at, state = @state, close_reason = @close_reason
+          WHERE id = @id
+        `).run({ ...update, id: session.id });
+        this.recordEvent(session.id, 'repair', { from: session.state, to: state, reason, at: now, details: diff });
+      }
+    });
+    apply();
+
+    return {
+      dryRun,
+      examined: sessions.length,
+      repaired: changes.length,
+      startsMoved: changes.filter(change => change.changes.started_at).length,
+      endsMoved: changes.filter(change => change.changes.ended_at).length,
+      statesChanged: changes.filter(change => change.changes.state).length,
+      changes
+    };
+  }
+
+  getEvents(sessionId) {
+    return this.db.db.prepare(
+      'SELECT * FROM session_events WHERE session_id = ? ORDER BY at, id'
+    ).all(sessionId);
+  }
+
+  close() {
+    if (this.ownsDb) {
+      this.db.close();
+    }
+  }
+}
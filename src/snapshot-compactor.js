@@ -0,0 +1,163 @@
+import fs from 'fs';
+import { TokenDatabase } from './database.js';
+import { loadConfig } from './config.js';
+
+// Snapshots hold cumulative counters, so the last snapshot of an hour or a
+// day rolls up every snapshot before it in that bucket - as long as the
+// counters only went up. The last snapshot before a counter drop (a reset
+// or restart, see counter-resets.js) holds usage no later snapshot shows,
+// so downsampling always keeps it.
+const BUCKETS = {
+  hourly: '%Y-%m-%d %H',
+  daily: '%Y-%m-%d'
+};
+
+export class SnapshotCompactor {
+  constructor(db = null, options = {}) {
+    this.config = loadConfig(options);
+    this.ownsDb = !db;
+    this.db = db || new TokenDatabase({ dbPath: this.config.dbPath });
+    this.retention = this.config.retention;
+  }
+
+  // Database size on disk including the WAL file, if any
+  databaseBytes() {
+    return [this.db.dbPath, `${this.db.dbPath}-wal`]
+      .filter(file => fs.existsSync(file))
+      .reduce((total, file) => total + fs.statSync(file).size, 0);
+  }
+
+  // Find rows whose raw_data is identical to the previous row of the same
+  // session. Older databases stored one of these on every poll.
+  findDuplicateSnapshots() {
+    const duplicateIds = [];
+    const hashUpdates = [];
+    let previousSession = null;
+    let previousHash = null;
+
+    const rows = this.db.db.prepare(`
+      SELECT id, session_id, raw_data, content_hash
+      FROM session_snapshots
+      ORDER BY session_id, id
+    `);
+
+    for (const row of rows.iterate()) {
+      const hash = row.content_hash || TokenDatabase.hashContent(row.raw_data);
+
+      if (row.session_id === previousSession && hash === previousHash) {
+        duplicateIds.push(row.id);
+        continue;
+      }
+
+      if (!row.content_hash) {
+        hashUpdates.push([hash, row.id]);
+      }
+      previousSession = row.session_id;
+      previousHash = hash;
+    }
+
+    return { duplicateIds, hashUpdates };
+  }
+
+  downsample(granularity, days) {
+    const removed = this.db.db.prepare(`
+      DELETE FROM session_snapshots WHERE id IN (
+        SELECT id FROM (
+          SELECT id, before_drop, ROW_NUMBER() OVER (
+            PARTITION BY session_id, strftime('${BUCKETS[granularity]}', timestamp)
+            ORDER BY timestamp DESC, id DESC
+          ) as rn
+          FROM (
+            SELECT id, session_id, timestamp, COALESCE(
+              LEAD(input_tokens) OVER next < input_tokens
+              OR LEAD(output_tokens) OVER next < output_tokens
+              OR LEAD(cache_creation_tokens) OVER next < cache_creation_tokens
+              OR LEAD(cache_read_tokens) OVER next < cache_read_tokens
+              OR LEAD(cost_usd) OVER next < cost_usd - 0.000001, 0
+            ) as before_drop
+            FROM session_snapshots
+            WINDOW next AS (PARTITION BY session_id ORDER BY timestamp, id)
+          )
+          WHERE timestamp < datetime('now', '-' || ? || ' days')
+        ) WHERE rn > 1 AND NOT before_drop
+      )
+    `).run(days).changes;
+
+    // Survivors become rollups; a daily rollup never turns back into hourly
+    const coarser = granularity === 'hourly' ? ['full'] : ['full', 'hourly'];
+    this.db.db.prepare(`
+      UPDATE session_snapshots SET granularity = ?
+      WHERE timestamp < datetime('now', '-' || ? || ' days')
+      AND granularity IN (${coarser.map(() => '?').join(', ')})
+    `).run(granularity, days, ...coarser);
+
+    return removed;
+  }
+
+  // Run the retention policy: drop duplicate snapshots, downsample old ones
+  // to hourly then daily rollups, and VACUUM to give the space back
+  compact({ dryRun = false, fullDays = this.retention.fullDays, hourlyDays = this.retention.hourlyDays, vacuum = true } = {}) {
+    if (hourlyDays < fullDays) {
+      throw new Error(`hourlyDays (${hourlyDays}) must be >= fullDays (${fullDays})`);
+    }
+
+    const bytesBefore = this.databaseBytes();
+    const rowsBefore = this.db.db.prepare('SELECT COUNT(*) as count FROM session_snapshots').get().count;
+    const { duplicateIds, hashUpdates } = this.findDuplicateSnapshots();
+
+    const report = {
+      dryRun,
+      fullDays,
+      hourlyDays,
+      rowsBefore,
+      duplicatesRemoved: duplicateIds.length,
+      hourlyRemoved: 0,
+      dailyRemoved: 0,
+      rowsAfter: rowsBefore,
+      bytesBefore,
+      bytesAfter: bytesBefore
+    };
+
+    const apply = () => {
+      const remove = this.db.db.prepare('DELETE FROM session_snapshots WHERE id = ?');
+      duplicateIds.forEach(id => remove.run(id));
+
+      const setHash = this.db.db.prepare('UPDATE session_snapshots SET content_hash = ? WHERE id = ?');
+      hashUpdates.forEach(([hash, id]) => setHash.run(hash, id));
+
+      report.hourlyRemoved = this.downsample('hourly', fullDays);
+      report.dailyRemoved = this.downsample('daily', hourlyDays);
+      report.rowsAfter = this.db.db.prepare('SELECT COUNT(*) as count FROM session_snapshots').get().count;
+    };
+
+    // A dry run applies the policy for real and rolls it back, so the
+    // reported counts are exact rather than estimates
+    this.db.db.exec('BEGIN');
+    try {
+      apply();
+      this.db.db.exec(dryRun ? 'ROLLBACK' : 'COMMIT');
+    } catch (error) {
+      this.db.db.exec('ROLLBACK');
+      throw error;
+    }
+
+    if (dryRun) {
+      return report;
+    }
+
+    this.db.lastSnapshotHashes.clear();
+
+    if (vacuum) {
+      this.db.db.exec('VACUUM');
+    }
+
+    report.bytesAfter = this.databaseBytes();
+    return report;
+  }
+
+  close() {
+    if (this.ownsDb) {
+      this.db.close();
+    }
+  }
+}
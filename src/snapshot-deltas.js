@@ -0,0 +1,70 @@
+// The delta pipeline shared by the live tracker and `rebuild --from-snapshots`:
+// consecutive snapshots of a session's cumulative counters (normalized by a
+// source adapter, see adapters/base.js) become deltas.
+
+import { emptySnapshot } from './adapters/base.js';
+import { COUNTER_EVENT_KINDS } from './counter-resets.js';
+
+// Snapshot fields that keep counting across restarts of a session's counters
+export const CUMULATIVE_FIELDS = [
+  'inputTokens', 'outputTokens', 'cacheCreationTokens', 'cacheReadTokens', 'cost',
+  'apiDuration', 'totalDuration', 'linesAdded', 'linesRemoved', 'webSearchRequests'
+];
+
+export function hasAnyTokenChange(previous, current) {
+  return (
+    current.inputTokens !== previous.inputTokens ||
+    current.outputTokens !== previous.outputTokens ||
+    current.cacheCreationTokens !== previous.cacheCreationTokens ||
+    current.cacheReadTokens !== previous.cacheReadTokens ||
+    Math.abs(current.cost - previous.cost) > 0.000001 || // Account for floating point precision
+    current.linesAdded !== previous.linesAdded ||
+    current.linesRemoved !== previous.linesRemoved ||
+    current.webSearchRequests !== previous.webSearchRequests
+  );
+}
+
+export function calculatePreciseDeltas(previous, current) {
+  return {
+    input: current.inputTokens - previous.inputTokens,
+    output: current.outputTokens - previous.outputTokens,
+    cacheCreation: current.cacheCreationTokens - previous.cacheCreationTokens,
+    cacheRead: current.cacheReadTokens - previous.cacheReadTokens,
+    cost: current.cost - previous.cost,
+    linesAdded: current.linesAdded - previous.linesAdded,
+    linesRemoved: current.linesRemoved - previous.linesRemoved
+  };
+}
+
+// Resets and new sessions start the counters again from zero; rewrites only
+// correct them
+export function restartsCounters(classification) {
+  return classification.kind === COUNTER_EVENT_KINDS.reset || classification.kind === COUNTER_EVENT_KINDS.newSession;
+}
+
+// What a delta is measured from: zero right after the counters restarted
+export function deltaBaseline(previous, classification, current) {
+  return restartsCounters(classification) ? emptySnapshot(current.timestamp) : previous;
+}
+
+// A session's totals are what its counters reached before each restart (the
+// offset, null for none) plus the current counters
+export function withCounterOffset(offset, snapshot) {
+  if (!offset) return snapshot;
+  const totals = { ...snapshot };
+  for (const field of CUMULATIVE_FIELDS) totals[field] = (snapshot[field] || 0) + (offset[field] || 0);
+  return totals;
+}
+
+// The offset after a restart: the counters reached before it are kept
+export function addCounterOffset(offset, reached) {
+  return Object.fromEntries(CUMULATIVE_FIELDS.map(field => [field, (offset?.[field] || 0) + (reached[field] || 0)]));
+}
+
+// The same session's offset from two databases, e.g. a machine's database
+// merged twice: each holds the restarts the other saw up to its last sync,
+// so the larger value per field wins and re-merging changes nothing
+export function mergeCounterOffsets(offset, other) {
+  if (!offset || !other) return offset || other || null;
+  return Object.fromEntries(CUMULATIVE_FIELDS.map(field => [field, Math.max(offset[field] || 0, other[field] || 0)]));
+}
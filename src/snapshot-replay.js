@@ -0,0 +1,274 @@
+import { TokenDatabase, toSqlTimestamp } from './database.js';
+import { SessionLifecycle } from './session-lifecycle.js';
+import { classifyDelta } from './counter-resets.js';
+import {
+  hasAnyTokenChange, calculatePreciseDeltas, restartsCounters, deltaBaseline, addCounterOffset, withCounterOffset
+} from './snapshot-deltas.js';
+import { detectRecordAdapter, getAdapter } from './adapters/index.js';
+import { loadConfig } from './config.js';
+
+// Tables rebuilt as rebuild_<name> and swapped in when the replay succeeds
+const REBUILT_TABLES = ['sessions', 'conversations'];
+
+// Per-session values compared by the diff; the summed ones are also totalled
+const SUMMED_FIELDS = ['conversations', 'input', 'output', 'cacheCreation', 'cacheRead', 'cost'];
+const DIFF_FIELDS = [...SUMMED_FIELDS, 'startedAt', 'endedAt'];
+
+function sqlToIso(timestamp) {
+  return `${timestamp.replace(' ', 'T')}Z`;
+}
+
+// Rebuilds sessions and conversations from the raw .claude.json data kept in
+// session_snapshots, running every snapshot through the live tracker's delta
+// pipeline. Snapshots downsampled by `db compact` replay as coarser deltas.
+export class SnapshotReplayer {
+  constructor(db = null, options = {}) {
+    this.config = loadConfig(options);
+    this.ownsDb = !db;
+    this.db = db || new TokenDatabase({ dbPath: this.config.dbPath });
+    this.lifecycle = new SessionLifecycle(this.db, this.config);
+  }
+
+  // Empty copy of a table, created from its own schema so later migrations
+  // are picked up automatically
+  createShadowTable(name) {
+    const db = this.db.db;
+    const { sql } = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?").get(name);
+    db.exec(`DROP TABLE IF EXISTS rebuild_${name}`);
+    db.exec(sql.replace(/^CREATE TABLE\s+"?\w+"?/i, `CREATE TABLE rebuild_${name}`));
+  }
+
+  swapTable(name) {
+    const db = this.db.db;
+    const indexes = db.prepare(
+      "SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL"
+    ).pluck().all(name);
+
+    db.exec(`DROP TABLE ${name}`);
+    db.exec(`ALTER TABLE rebuild_${name} RENAME TO ${name}`);
+    indexes.forEach(sql => db.exec(sql));
+  }
+
+  // Replay snapshots at or after `since` (all of them when null). Earlier
+  // conversations are kept and each session resumes from its last snapshot
+  // before `since`. With dryRun the rebuild is rolled back, so the returned
+  // diff shows exactly what a real run would change.
+  rebuild({ since = null, dryRun = false } = {}) {
+    const db = this.db.db;
+
+    // Dropping sessions would trip the messages foreign key mid-swap
+    db.pragma('foreign_keys = OFF');
+    db.exec('BEGIN');
+    try {
+      REBUILT_TABLES.forEach(name => this.createShadowTable(name));
+      const stats = this.replay(since);
+      const diff = this.diff();
+
+      if (dryRun) {
+        db.exec('ROLLBACK');
+      } else {
+        REBUILT_TABLES.forEach(name => this.swapTable(name));
+        // Replayed conversations get new ids; findings about the old rows
+        // are dropped and re-detected by the next `anomalies` scan
+        db.exec(`
+          DELETE FROM anomalies WHERE NOT EXISTS (
+            SELECT 1 FROM conversations c
+            WHERE c.id = anomalies.conversation_id AND c.session_id = anomalies.session_id
+              AND c.started_at = anomalies.occurred_at
+          )
+        `);
+        db.exec('COMMIT');
+      }
+
+      return { dryRun, since, ...stats, diff };
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
+    } finally {
+      db.pragma('foreign_keys = ON');
+    }
+  }
+
+  replay(since) {
+    const db = this.db.db;
+    const range = { since };
+
+    // Sessions keep every column the replay does not derive (expected cost,
+    // lifecycle state, host...); conversations outside the range are kept
+    db.exec('INSERT INTO rebuild_sessions SELECT * FROM sessions');
+    db.prepare(`
+      INSERT INTO rebuild_conversations SELECT * FROM conversations
+      WHERE session_id NOT IN (
+        SELECT session_id FROM session_snapshots WHERE @since IS NULL OR timestamp >= @since
+      ) OR (@since IS NOT NULL AND started_at < @since)
+    `).run(range);
+
+    const sessionIds = db.prepare(`
+      SELECT DISTINCT session_id FROM session_snapshots
+      WHERE @since IS NULL OR timestamp >= @since
+      ORDER BY session_id
+    `).pluck().all(range);
+
+    // Every snapshot of a session: the ones before `since` only rebuild the
+    // state (last counters, counter offset) the replayed ones start from
+    const snapshotsOf = db.prepare(`
+      SELECT raw_data, timestamp, project_path, source_host, git_branch, git_head FROM session_snapshots
+      WHERE session_id = ?
+      ORDER BY timestamp, id
+    `);
+    const keptConversations = db.prepare('SELECT COUNT(*) FROM rebuild_conversations WHERE session_id = ?').pluck();
+    const insertConversation = db.prepare(`
+      INSERT INTO rebuild_conversations
+      (session_id, conversation_index, started_at, input_tokens, output_tokens,
+       cache_creation_tokens, cache_read_tokens, cost_usd, source_host,
+       lines_added, lines_removed, git_branch, git_head)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const ensureSession = db.prepare(`
+      INSERT OR IGNORE INTO rebuild_sessions (id, project_path, started_at, source_host) VALUES (?, ?, ?, ?)
+    `);
+    const updateSession = db.prepare(`
+      UPDATE rebuild_sessions SET
+        total_input_tokens = @inputTokens,
+        total_output_tokens = @outputTokens,
+        total_cache_creation_tokens = @cacheCreationTokens,
+        total_cache_read_tokens = @cacheReadTokens,
+        total_cost_usd = @cost,
+        api_duration_ms = @apiDuration,
+        total_duration_ms = @totalDuration,
+        lines_added = @linesAdded,
+        lines_removed = @linesRemoved,
+        web_search_requests = @webSearchRequests,
+        counter_offset = @counterOffset,
+        started_at = CASE WHEN @startedAt < started_at THEN @startedAt ELSE started_at END,
+        ended_at = COALESCE(@endedAt, ended_at)
+      WHERE id = @id
+    `);
+
+    const parse = row => {
+      try {
+        return JSON.parse(row.raw_data);
+      } catch {
+        return null;
+      }
+    };
+    // Snapshots recorded before source adapters existed are all .claude.json
+    const normalize = (raw, timestamp) =>
+      (detectRecordAdapter(raw) || getAdapter('claude-config-v1')).normalize(raw, sqlToIso(timestamp));
+
+    const stats = { sessions: 0, snapshots: 0, skipped: 0, conversations: 0, counterEvents: {} };
+
+    for (const sessionId of sessionIds) {
+      let previous = null;
+      let index = keptConversations.get(sessionId);
+      let startedAt = null;
+      let endedAt = null;
+      let offset = null;
+
+      let current = null;
+      for (const row of snapshotsOf.all(sessionId)) {
+        const replayed = !since || row.timestamp >= since;
+        const data = parse(row);
+        if (!data) {
+          if (replayed) stats.skipped++;
+          continue;
+        }
+        if (replayed) stats.snapshots++;
+
+        current = normalize(data, row.timestamp);
+        if (!startedAt) {
+          startedAt = toSqlTimestamp(this.lifecycle.estimateStart(new Date(current.timestamp), current.totalDuration));
+          ensureSession.run(sessionId, row.project_path, startedAt, row.source_host);
+        }
+
+        if (previous && hasAnyTokenChange(previous, current)) {
+          const classification = classifyDelta(previous, current);
+          // Same as the live tracker: after a restart the counters are new
+          // usage from zero, and what they had reached joins the offset
+          const restarted = restartsCounters(classification);
+          const baseline = deltaBaseline(previous, classification, current);
+          if (restarted) offset = addCounterOffset(offset, previous);
+
+          if (replayed) {
+            endedAt = row.timestamp;
+            if (classification.kind !== 'usage') {
+              stats.counterEvents[classification.kind] = (stats.counterEvents[classification.kind] || 0) + 1;
+            }
+            if (classification.kind === 'usage' || (restarted && hasAnyTokenChange(baseline, current))) {
+              const delta = calculatePreciseDeltas(baseline, current);
+              insertConversation.run(
+                sessionId, ++index, row.timestamp, delta.input, delta.output,
+                delta.cacheCreation, delta.cacheRead, delta.cost, row.source_host,
+                delta.linesAdded, delta.linesRemoved, row.git_branch, row.git_head
+              );
+              stats.conversations++;
+            }
+          }
+        }
+        previous = current;
+      }
+
+      if (current) {
+        updateSession.run({
+          ...withCounterOffset(offset, current),
+          id: sessionId,
+          startedAt,
+          endedAt,
+          counterOffset: offset ? JSON.stringify(offset) : null
+        });
+        stats.sessions++;
+      }
+    }
+
+    return stats;
+  }
+
+  // Per-session differences between the current and the rebuilt tables
+  diff() {
+    const db = this.db.db;
+    const totals = table => db.prepare(`
+      SELECT s.id, s.project_path, s.started_at, s.ended_at,
+             COUNT(c.id) as conversations,
+             COALESCE(SUM(c.input_tokens), 0) as input,
+             COALESCE(SUM(c.output_tokens), 0) as output,
+             COALESCE(SUM(c.cache_creation_tokens), 0) as cacheCreation,
+             COALESCE(SUM(c.cache_read_tokens), 0) as cacheRead,
+             COALESCE(SUM(c.cost_usd), 0) as cost
+      FROM ${table}sessions s
+      LEFT JOIN ${table}conversations c ON c.session_id = s.id
+      GROUP BY s.id
+    `).all().map(row => ({ ...row, startedAt: row.started_at, endedAt: row.ended_at }));
+
+    const current = new Map(totals('').map(row => [row.id, row]));
+    const sessions = [];
+    const overall = { before: {}, after: {} };
+
+    for (const rebuilt of totals('rebuild_')) {
+      const before = current.get(rebuilt.id) || {};
+      const changed = DIFF_FIELDS.filter(field => field === 'cost'
+        ? Math.abs((before.cost || 0) - rebuilt.cost) > 0.000001
+        : before[field] !== rebuilt[field]);
+
+      for (const field of SUMMED_FIELDS) {
+        overall.before[field] = (overall.before[field] || 0) + (before[field] || 0);
+        overall.after[field] = (overall.after[field] || 0) + rebuilt[field];
+      }
+
+      if (changed.length > 0) {
+        sessions.push({
+          sessionId: rebuilt.id,
+          projectPath: rebuilt.project_path,
+          changes: Object.fromEntries(changed.map(field => [field, [before[field] ?? null, rebuilt[field]]]))
+        });
+      }
+    }
+
+    return { sessions, overall };
+  }
+
+  close() {
+    if (this.ownsDb) {
+      this.db.close();
+    }
+  }
+}
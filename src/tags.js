@@ -0,0 +1,123 @@
+import path from 'path';
+import { TokenDatabase, TAG_KEY_PATTERN } from './database.js';
+import { loadConfig, expandHome } from './config.js';
+
+export const TAG_SCOPES = ['project', 'session', 'rule'];
+
+function checkKey(key) {
+  if (!TAG_KEY_PATTERN.test(key)) {
+    throw new Error(`Invalid tag key "${key}" (letters, digits, "_", "." and "-")`);
+  }
+  return key;
+}
+
+// "client=acme" -> { key, value }
+export function parseTagAssignment(text) {
+  const separator = text.indexOf('=');
+  if (separator <= 0 || separator === text.length - 1) {
+    throw new Error(`Expected key=value, got "${text}"`);
+  }
+  return { key: checkKey(text.slice(0, separator)), value: text.slice(separator + 1) };
+}
+
+// --group-by tag:client -> "client"
+export function parseTagGroup(text) {
+  const match = /^tag:(.+)$/.exec(text);
+  if (!match) {
+    throw new Error(`Cannot group by "${text}" (use tag:<key>)`);
+  }
+  return checkKey(match[1]);
+}
+
+// --filter tag:team=infra -> { key, value }; tag:team matches any value
+export function parseTagFilter(text) {
+  const match = /^tag:([^=]+)(?:=(.+))?$/.exec(text);
+  if (!match) {
+    throw new Error(`Cannot filter by "${text}" (use tag:<key>=<value> or tag:<key>)`);
+  }
+  return { key: checkKey(match[1]), value: match[2] ?? null };
+}
+
+// key=value tags for charging spend back to teams and clients. Sessions
+// inherit their project's tags and those of path rules matching the
+// project; a session's own tag wins over its project's, which wins over
+// rules (see tagValueSql in database.js for the SQL side).
+export class TagManager {
+  constructor(db = null, options = {}) {
+    this.config = loadConfig(options);
+    this.ownsDb = !db;
+    this.db = db || new TokenDatabase({ dbPath: this.config.dbPath });
+  }
+
+  // Projects are stored as absolute paths and sessions by full id (a unique
+  // prefix is enough). Rules are SQLite GLOB patterns over project paths,
+  // where * also matches "/".
+  resolveTarget(scope, value) {
+    if (!TAG_SCOPES.includes(scope)) {
+      throw new Error(`Unknown tag scope: ${scope} (use ${TAG_SCOPES.join(', ')})`);
+    }
+    if (scope === 'project') return path.resolve(expandHome(value));
+    if (scope === 'rule') return expandHome(value);
+
+    const sessionId = this.db.resolveSessionId(value);
+    if (!sessionId) {
+      throw new Error(`No single session matches "${value}"`);
+    }
+    return sessionId;
+  }
+
+  // Set tags on a target; an existing key takes the new value
+  add(scope, target, tags) {
+    const upsert = this.db.db.prepare(`
+      INSERT INTO tags (scope, target, key, value) VALUES (?, ?, ?, ?)
+      ON CONFLICT (scope, target, key) DO UPDATE SET value = excluded.value, created_at = CURRENT_TIMESTAMP
+    `);
+    this.db.transaction(() => tags.forEach(({ key, value }) => upsert.run(scope, target, checkKey(key), value)));
+    return tags.length;
+  }
+
+  // Returns how many tags were removed
+  remove(scope, target, keys) {
+    const remove = this.db.db.prepare('DELETE FROM tags WHERE scope = ? AND target = ? AND key = ?');
+    return this.db.transaction(() => keys.reduce((removed, key) => removed + remove.run(scope, target, key).changes, 0));
+  }
+
+  list({ scope } = {}) {
+    return this.db.db.prepare(`
+      SELECT scope, target, key, value, created_at FROM tags
+      ${scope ? 'WHERE scope = ?' : ''}
+      ORDER BY scope, target, key
+    `).all(...(scope ? [scope] : []));
+  }
+
+  // Tags that apply to a session (or, without sessionId, to any session of
+  // projectPath), with the scope and target each one comes from
+  effective({ sessionId = null, projectPath = null } = {}) {
+    let project = projectPath;
+    if (sessionId && !project) {
+      project = this.db.db.prepare('SELECT project_path FROM sessions WHERE id = ?').pluck().get(sessionId);
+    }
+
+    // Later rows override earlier ones: rules from least to most specific,
+    // then the project's own tags, then the session's
+    const rows = [
+      ...(project
+        ? this.db.db.prepare("SELECT * FROM tags WHERE scope = 'rule' AND ? GLOB target ORDER BY length(target), id").all(project)
+        : []),
+      ...(project ? this.db.db.prepare("SELECT * FROM tags WHERE scope = 'project' AND target = ?").all(project) : []),
+      ...(sessionId ? this.db.db.prepare("SELECT * FROM tags WHERE scope = 'session' AND target = ?").all(sessionId) : [])
+    ];
+
+    const resolved = new Map();
+    for (const row of rows) {
+      resolved.set(row.key, { key: row.key, value: row.value, source: row.scope, target: row.target });
+    }
+    return [...resolved.values()].sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  close() {
+    if (this.ownsDb) {
+      this.db.close();
+    }
+  }
+}
@@ -0,0 +1,197 @@
+// Reports print and bucket timestamps in the reporting time zone (config
+// `reporting.timeZone`, or --tz), not in UTC as they are stored. Bucketing
+// works on the zone's calendar date, so days, weeks and months follow the
+// zone's midnight, including across DST changes.
+
+export const PERIODS = ['day', 'week', 'month'];
+
+const partFormatters = new Map(); // timeZone -> Intl.DateTimeFormat
+
+export function systemTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+// null means the system zone; anything else must be an IANA name
+export function resolveTimeZone(timeZone) {
+  const zone = timeZone || systemTimeZone();
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+  } catch {
+    throw new Error(`Unknown time zone "${timeZone}" (use an IANA name such as Europe/Berlin or America/New_York)`);
+  }
+  return zone;
+}
+
+export function resolveLocale(locale) {
+  if (!locale) return Intl.DateTimeFormat().resolvedOptions().locale;
+  try {
+    return Intl.getCanonicalLocales(locale)[0];
+  } catch {
+    throw new Error(`Invalid locale "${locale}" (use a BCP 47 tag such as en-GB or de-DE)`);
+  }
+}
+
+// Everything reports need from the `reporting` config section, validated
+export function reportingZone(reporting = {}) {
+  return {
+    timeZone: resolveTimeZone(reporting.timeZone),
+    locale: resolveLocale(reporting.locale),
+    weekStart: reporting.weekStart === undefined ? 1 : reporting.weekStart,
+    isoWeeks: Boolean(reporting.isoWeeks)
+  };
+}
+
+// Wall-clock fields of an instant in timeZone
+export function zonedParts(date, timeZone) {
+  if (!partFormatters.has(timeZone)) {
+    partFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+
+  const parts = {};
+  for (const { type, value } of partFormatters.get(timeZone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = parseInt(value);
+  }
+  return parts;
+}
+
+function zoneOffsetMs(date, timeZone) {
+  const parts = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant a wall-clock time happens in timeZone. Times skipped by a DST
+// change resolve to the instant after the gap.
+export function fromZonedTime({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = zoneOffsetMs(new Date(guess), timeZone);
+  const result = guess - offset;
+  const correctedOffset = zoneOffsetMs(new Date(result), timeZone);
+  if (correctedOffset === offset) return new Date(result);
+
+  // In a gap neither candidate shows the requested time; take the later one
+  const corrected = guess - correctedOffset;
+  return new Date(zoneOffsetMs(new Date(corrected), timeZone) === correctedOffset ? corrected : Math.max(result, corrected));
+}
+
+// Calendar arithmetic on plain dates, independent of any zone
+function calendarDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function weekday({ year, month, day }) {
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+function dateKey({ year, month, day }) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// ISO 8601 week: weeks start on Monday and belong to the year of their
+// Thursday, so week 1 holds the year's first Thursday
+function isoWeek(date) {
+  const thursday = calendarDate(date.year, date.month, date.day - ((weekday(date) + 6) % 7) + 3);
+  const dayOfYear = (Date.UTC(thursday.year, thursday.month - 1, thursday.day) - Date.UTC(thursday.year, 0, 1)) / 86400000;
+  return { year: thursday.year, week: Math.floor(dayOfYear / 7) + 1 };
+}
+
+// First calendar day of the period holding `date` (a zone calendar date)
+function periodStartDate(date, period, { weekStart = 1, isoWeeks = false } = {}) {
+  if (period === 'month') return calendarDate(date.year, date.month, 1);
+  if (period === 'week') {
+    const firstDay = isoWeeks ? 1 : weekStart;
+    return calendarDate(date.year, date.month, date.day - ((weekday(date) - firstDay + 7) % 7));
+  }
+  return date;
+}
+
+// Bucket label of an instant: 2026-10-19 (day), 2026-10-19 (week, by its
+// first day) or 2026-W43 (ISO week), 2026-10 (month)
+export function periodKey(date, period, { timeZone, weekStart = 1, isoWeeks = false } = {}) {
+  const local = zonedParts(date, timeZone);
+  if (period === 'month') return `${local.year}-${pad(local.month)}`;
+  if (period === 'week' && isoWeeks) {
+    const { year, week } = isoWeek(local);
+    return `${year}-W${pad(week)}`;
+  }
+  return dateKey(periodStartDate(local, period, { weekStart }));
+}
+
+// Start (as an instant) of the period `count - 1` periods before the one
+// holding `now`, so a window of `count` periods includes the current one
+export function periodWindowStart(now, period, count, { timeZone, weekStart = 1, isoWeeks = false } = {}) {
+  const local = zonedParts(now, timeZone);
+  const start = periodStartDate(local, period, { weekStart, isoWeeks });
+  const back = count - 1;
+
+  const first = period === 'month'
+    ? calendarDate(start.year, start.month - back, 1)
+    : calendarDate(start.year, start.month, start.day - back * (period === 'week' ? 7 : 1));
+  return fromZonedTime(first, timeZone);
+}
+
+// Dates without an explicit offset ("2026-10-01", "2026-10-01 09:30") are
+// wall-clock times in timeZone; anything else goes through Date
+export function parseZonedDate(value, timeZone) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(value.trim());
+  if (!match) return new Date(value);
+
+  const [, year, month, day, hour = 0, minute = 0, second = 0] = match.map(part => part === undefined ? undefined : parseInt(part));
+  return fromZonedTime({ year, month, day, hour, minute, second }, timeZone);
+}
+
+export function formatDateTime(date, { timeZone, locale }) {
+  return date.toLocaleString(locale, {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    timeZoneName: 'short'
+  });
+}
+
+export function formatDate(date, { timeZone, locale }) {
+  return date.toLocaleDateString(locale, { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+}
+
+// Start and end (exclusive) instants of the period holding `now`
+export function periodBounds(now, period, zone) {
+  return {
+    start: periodWindowStart(now, period, 1, zone),
+    // A window of zero periods starts where the current one ends
+    end: periodWindowStart(now, period, 0, zone)
+  };
+}
+
+// Calendar dates (YYYY-MM-DD) of timeZone whose midnight falls in
+// [start, end), preceded by the date holding `start` itself
+export function calendarDays(start, end, timeZone) {
+  const first = zonedParts(start, timeZone);
+  const days = [];
+  for (let offset = 0; ; offset++) {
+    const date = calendarDate(first.year, first.month, first.day + offset);
+    if (offset > 0 && fromZonedTime(date, timeZone) >= end) break;
+    days.push(dateKey(date));
+  }
+  return days;
+}
+
+// 0 = Sunday ... 6 = Saturday for a YYYY-MM-DD calendar date
+export function weekdayOf(dateString) {
+  return new Date(`${dateString}T00:00:00Z`).getUTCDay();
+}
@@ -0,0 +1,150 @@
+import fs from 'fs';
+import os from 'os';
+
+// The holder touches the lock this often; a lock whose heartbeat is older
+// than STALE_AFTER_MS is stale even if its pid exists (the pid was reused,
+// or the holder runs on another machine sharing the database)
+const HEARTBEAT_MS = 30 * 1000;
+const STALE_AFTER_MS = 5 * 60 * 1000;
+
+// Thrown when another live tracker already writes to the same database
+export class TrackerLockedError extends Error {
+  constructor(lockPath, holder) {
+    super(`Another tracker (pid ${holder.pid} on ${holder.host}, started ${holder.startedAt}) is already writing to this database (${lockPath})`);
+    this.name = 'TrackerLockedError';
+    this.lockPath = lockPath;
+    this.holder = holder;
+  }
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to someone else
+    return error.code === 'EPERM';
+  }
+}
+
+// PID file next to the database (<dbPath>.pid) that only one tracker can
+// hold at a time. `daemon status` and `daemon stop` read it to find the
+// running tracker. A lock is stale, and taken over, when its process is
+// gone or its heartbeat stopped.
+export class TrackerLock {
+  constructor(dbPath, { heartbeatMs = HEARTBEAT_MS, staleAfterMs = STALE_AFTER_MS } = {}) {
+    this.dbPath = dbPath;
+    this.path = `${dbPath}.pid`;
+    this.heartbeatMs = heartbeatMs;
+    this.staleAfterMs = staleAfterMs;
+    this.held = false;
+    this.heartbeat = null;
+  }
+
+  read() {
+    try {
+      const record = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+      return { ...record, heartbeatAt: fs.statSync(this.path).mtimeMs };
+    } catch {
+      return null;
+    }
+  }
+
+  isStale(record) {
+    if (!Number.isInteger(record.pid)) return true;
+    if (Date.now() - record.heartbeatAt > this.staleAfterMs) return true;
+    // Processes on other machines cannot be checked; the heartbeat decides
+    return record.host === os.hostname() && !isAlive(record.pid);
+  }
+
+  // The live holder's record, or null when the lock is free or stale
+  holder() {
+    const record = this.read();
+    return record && !this.isStale(record) ? record : null;
+  }
+
+  acquire() {
+    const record = {
+      pid: process.pid,
+      host: os.hostname(),
+      startedAt: new Date().toISOString(),
+      command: process.argv.slice(1).join(' ')
+    };
+
+    // Creating the file is the atomic step: of two trackers starting at
+    // once, or taking over the same stale lock, only one can create it
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        fs.writeFileSync(this.path, JSON.stringify(record, null, 2) + '\n', { flag: 'wx' });
+        this.held = true;
+        this.startHeartbeat();
+        return record;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      const holder = this.read();
+      if (holder && !this.isStale(holder)) {
+        throw new TrackerLockedError(this.path, holder);
+      }
+      if (holder) {
+        console.log(`🔓 Taking over stale tracker lock (pid ${holder.pid} on ${holder.host}, started ${holder.startedAt})`);
+      }
+      this.removeStale(holder);
+    }
+
+    throw new TrackerLockedError(this.path, this.read() || { pid: '?', host: '?', startedAt: '?' });
+  }
+
+  // Move the lock aside before deleting it; if what was moved is not the
+  // stale record (another tracker took over first), put it back
+  removeStale(stale) {
+    const aside = `${this.path}.stale-${process.pid}`;
+    try {
+      fs.renameSync(this.path, aside);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    let moved = null;
+    try {
+      moved = JSON.parse(fs.readFileSync(aside, 'utf8'));
+    } catch {
+      // Unreadable, so stale
+    }
+
+    if (moved && stale && (moved.pid !== stale.pid || moved.startedAt !== stale.startedAt)) {
+      try {
+        fs.linkSync(aside, this.path);
+      } catch {
+        // Someone created a newer lock meanwhile; theirs wins
+      }
+    }
+    fs.rmSync(aside, { force: true });
+  }
+
+  startHeartbeat() {
+    this.heartbeat = setInterval(() => {
+      try {
+        const now = new Date();
+        fs.utimesSync(this.path, now, now);
+      } catch (error) {
+        console.error('⚠️ Could not refresh tracker lock:', error.message);
+      }
+    }, this.heartbeatMs);
+    this.heartbeat.unref();
+  }
+
+  release() {
+    if (!this.held) return;
+    this.held = false;
+    clearInterval(this.heartbeat);
+
+    // Never remove a lock another process took over meanwhile
+    const record = this.read();
+    if (record && record.pid === process.pid && record.host === os.hostname()) {
+      fs.rmSync(this.path, { force: true });
+    }
+  }
+}
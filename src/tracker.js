@@ -1,22 +1,29 @@
 import chokidar from 'chokidar';
 import fs from 'fs';
 import path from 'path';
-import os from 'os';
 import { TokenDatabase } from './database.js';
+import { readSource } from './adapters/index.js';
+import { loadConfig } from './config.js';
+import { TrackerLock } from './tracker-lock.js';
 
 export class ClaudeTokenTracker {
-  constructor() {
-    this.db = new TokenDatabase();
-    this.claudeConfigPath = path.join(os.homedir(), '.claude.json');
+  constructor(options = {}) {
+    this.config = loadConfig(options);
+    this.db = new TokenDatabase({ dbPath: this.config.dbPath });
+    this.lock = new TrackerLock(this.config.dbPath);
+    this.claudeConfigPath = this.config.claudeConfigPath;
     this.previousState = new Map(); // Track previous state per project
     this.isProcessing = false;
-    this.codeBasePath = '/Users/anirudhgupta/Code'; // Base path for auto-discovery
+    this.codeBasePath = this.config.codeBasePath; // Base path for auto-discovery
     
     console.log(`🔍 Monitoring Claude config at: ${this.claudeConfigPath}`);
     console.log(`📁 Auto-discovering projects in: ${this.codeBasePath}`);
   }
 
   async start() {
+    // Refuses to run next to the robust tracker on the same database
+    this.lock.acquire();
+
     // Discover and register all Code folder projects first
     await this.discoverCodeProjects();
     
@@ -72,6 +79,7 @@ export class ClaudeTokenTracker {
       configWatcher.close();
       codeWatcher.close();
       this.db.close();
+      this.lock.release();
       process.exit(0);
     });
   }
@@ -85,16 +93,16 @@ export class ClaudeTokenTracker {
         return;
       }
 
-      const configData = JSON.parse(fs.readFileSync(this.claudeConfigPath, 'utf8'));
+      const { adapter, sessions } = readSource(this.claudeConfigPath);
       
-      if (!configData.projects) {
+      if (!adapter) {
         console.log('⚠️  No projects found in Claude config');
         return;
       }
 
       // Process each project
-      for (const [projectPath, projectData] of Object.entries(configData.projects)) {
-        await this.processProject(projectPath, projectData);
+      for (const session of sessions) {
+        await this.processProject(session);
       }
       
     } catch (error) {
@@ -104,56 +112,47 @@ export class ClaudeTokenTracker {
     }
   }
 
-  async processProject(projectPath, projectData) {
+  async processProject({ projectPath, sessionId, raw, snapshot: currentState }) {
     // Always register the project, even without a session
     await this.registerProject(projectPath);
     
     // Skip session processing if no session ID
-    if (!projectData.lastSessionId) {
+    if (!sessionId) {
       return;
     }
 
-    const sessionId = projectData.lastSessionId;
-    const currentState = this.extractTokenData(projectData);
     const previousState = this.previousState.get(projectPath);
 
-    // Get or create session FIRST
-    this.db.getOrCreateSession(sessionId, projectPath);
-    
-    // Then record snapshot
-    this.db.recordSnapshot(sessionId, projectPath, projectData);
-    
-    // Update session with latest totals
-    this.db.updateSession(sessionId, projectData);
-
     // Calculate deltas for conversation tracking
-    if (previousState) {
-      const deltaTokens = this.calculateDeltas(previousState, currentState);
+    const deltaTokens = previousState ? this.calculateDeltas(previousState, currentState) : null;
+    // Only record conversation if there are meaningful changes
+    const significant = deltaTokens && this.hasSignificantChange(deltaTokens);
+
+    this.db.transaction(() => {
+      // Get or create session FIRST
+      this.db.getOrCreateSession(sessionId, projectPath);
+      
+      // Then record snapshot
+      this.db.recordSnapshot(sessionId, projectPath, raw, currentState);
       
-      // Only record conversation if there are meaningful changes
-      if (this.hasSignificantChange(deltaTokens)) {
+      // Update session with latest totals
+      this.db.updateSession(sessionId, currentState);
+
+      if (significant) {
         this.db.recordConversation(sessionId, deltaTokens);
-        
-        console.log(`💬 New conversation detected in ${path.basename(projectPath)}`);
-        console.log(`   Input: +${deltaTokens.input} | Output: +${deltaTokens.output} | Cost: +$${deltaTokens.cost.toFixed(4)}`);
+        this.db.markSessionActivity(sessionId);
       }
+    });
+
+    if (significant) {
+      console.log(`💬 New conversation detected in ${path.basename(projectPath)}`);
+      console.log(`   Input: +${deltaTokens.input} | Output: +${deltaTokens.output} | Cost: +$${deltaTokens.cost.toFixed(4)}`);
     }
 
     // Update previous state
     this.previousState.set(projectPath, currentState);
   }
 
-  extractTokenData(projectData) {
-    return {
-      inputTokens: projectData.lastTotalInputTokens || 0,
-      outputTokens: projectData.lastTotalOutputTokens || 0,
-      cacheCreationTokens: projectData.lastTotalCacheCreationInputTokens || 0,
-      cacheReadTokens: projectData.lastTotalCacheReadInputTokens || 0,
-      cost: projectData.lastCost || 0,
-      sessionId: projectData.lastSessionId
-    };
-  }
-
   calculateDeltas(previous, current) {
     return {
       input: Math.max(0, current.inputTokens - previous.inputTokens),
@@ -225,6 +224,7 @@ export class ClaudeTokenTracker {
 
   stop() {
     this.db.close();
+    this.lock.release();
   }
 }
 
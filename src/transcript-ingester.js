@@ -0,0 +1,174 @@
+import fs from 'fs';
+import path from 'path';
+import { StringDecoder } from 'string_decoder';
+import { TokenDatabase } from './database.js';
+import { PricingEngine } from './pricing.js';
+import { getAdapter } from './adapters/index.js';
+import { loadConfig } from './config.js';
+
+const READ_CHUNK_BYTES = 1024 * 1024;
+
+export class TranscriptIngester {
+  constructor(db = null, options = {}) {
+    this.config = loadConfig(options);
+    this.ownsDb = !db;
+    this.db = db || new TokenDatabase({ dbPath: this.config.dbPath });
+    this.projectsDir = this.config.claudeProjectsDir;
+    this.pricing = new PricingEngine(this.config);
+    this.adapter = getAdapter('transcript-jsonl');
+  }
+
+  // Claude Code stores transcripts under a slug of the project path
+  // where every non-alphanumeric character becomes a dash
+  projectSlug(projectPath) {
+    return projectPath.replace(/[^a-zA-Z0-9]/g, '-');
+  }
+
+  // Ingest every transcript for every project
+  ingestAll() {
+    const totals = { files: 0, messages: 0 };
+
+    if (!fs.existsSync(this.projectsDir)) {
+      return totals;
+    }
+
+    const projectDirs = fs.readdirSync(this.projectsDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => path.join(this.projectsDir, entry.name));
+
+    for (const projectDir of projectDirs) {
+      const result = this.ingestDirectory(projectDir);
+      totals.files += result.files;
+      totals.messages += result.messages;
+    }
+
+    return totals;
+  }
+
+  // Ingest the transcripts belonging to one project path
+  ingestProject(projectPath) {
+    return this.ingestDirectory(path.join(this.projectsDir, this.projectSlug(projectPath)), projectPath);
+  }
+
+  ingestDirectory(projectDir, projectPath = null) {
+    const totals = { files: 0, messages: 0 };
+
+    if (!fs.existsSync(projectDir)) {
+      return totals;
+    }
+
+    const files = fs.readdirSync(projectDir)
+      .filter(name => name.endsWith('.jsonl'))
+      .map(name => path.join(projectDir, name));
+
+    for (const file of files) {
+      const count = this.ingestFile(file, projectPath);
+      if (count > 0) totals.files++;
+      totals.messages += count;
+    }
+
+    return totals;
+  }
+
+  // Read the lines appended since the last ingestion and store their usage
+  ingestFile(filePath, projectPath = null) {
+    const stat = fs.statSync(filePath);
+    const known = this.db.getTranscriptFile(filePath);
+
+    if (known && known.size === stat.size && known.mtime_ms === stat.mtimeMs) {
+      return 0;
+    }
+
+    // A file that shrank was rewritten - start over, upserts keep it idempotent
+    let offset = known && known.offset <= stat.size ? known.offset : 0;
+    let pending = '';
+    let messages = 0;
+
+    const fd = fs.openSync(filePath, 'r');
+    const buffer = Buffer.alloc(READ_CHUNK_BYTES);
+    const decoder = new StringDecoder('utf8');
+
+    try {
+      let position = offset;
+      let bytesRead;
+
+      while ((bytesRead = fs.readSync(fd, buffer, 0, READ_CHUNK_BYTES, position)) > 0) {
+        position += bytesRead;
+        pending += decoder.write(buffer.subarray(0, bytesRead));
+
+        // Only complete lines are consumed; a trailing partial line is
+        // left for the next pass since Claude Code may still be writing it
+        const lastNewline = pending.lastIndexOf('\n');
+        if (lastNewline === -1) continue;
+
+        const complete = pending.slice(0, lastNewline);
+        offset += Buffer.byteLength(complete, 'utf8') + 1;
+        pending = pending.slice(lastNewline + 1);
+
+        messages += this.ingestLines(complete.split('\n'), filePath, projectPath);
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    this.db.updateTranscriptFile(filePath, stat.size, stat.mtimeMs, offset);
+    return messages;
+  }
+
+  ingestLines(lines, filePath, projectPath) {
+    let count = 0;
+    // Earliest message time seen per session in this batch
+    const firstSeen = new Map();
+
+    const ingest = this.db.db.transaction(() => {
+      for (const line of lines) {
+        const message = this.parseLine(line, filePath);
+        if (!message) continue;
+
+        message.expectedCost = this.pricing.costOf(message, message.model, message.timestamp);
+
+        const sentAt = message.timestamp ? new Date(message.timestamp) : null;
+        const startedAt = sentAt && !Number.isNaN(sentAt.getTime()) ? sentAt : null;
+        if (startedAt && !(firstSeen.get(message.sessionId) <= startedAt)) {
+          firstSeen.set(message.sessionId, startedAt);
+        }
+
+        this.db.getOrCreateSession(message.sessionId, message.projectPath || projectPath || path.basename(path.dirname(filePath)), startedAt);
+        this.db.recordMessage(message);
+        count++;
+      }
+
+      // The tracker may have created the session before its transcript was
+      // read, with a start estimated from the last duration
+      for (const [sessionId, startedAt] of firstSeen) {
+        this.db.moveSessionStart(sessionId, startedAt);
+      }
+    });
+
+    ingest();
+    return count;
+  }
+
+  // Extract the usage block of an assistant message, or null for any other line
+  parseLine(line, filePath) {
+    const entry = this.adapter.parseLine(line);
+    if (!entry) return null;
+
+    this.adapter.warnUnknownFields(entry, filePath);
+    return this.adapter.normalizeMessage(entry, filePath);
+  }
+
+  close() {
+    if (this.ownsDb) {
+      this.db.close();
+    }
+  }
+}
+
+// CLI execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const ingester = new TranscriptIngester();
+  const result = process.argv[2] ? ingester.ingestProject(process.argv[2]) : ingester.ingestAll();
+  console.log(`📥 Ingested ${result.messages} messages from ${result.files} transcript files`);
+  ingester.close();
+}